@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./NewsRegistry.sol";
+
+// Second round of voting on finalized articles. Anyone can appeal by posting a bond and an evidence URI;
+// trusted publishers re-vote for a verdict label and, with a larger quorum than the first round, the plurality
+// label can overturn the status.
+contract AppealRegistry is Ownable {
+    struct Appeal {
+        address appellant;
+        string evidenceURI;
+        uint256 bond;
+        uint256 openedAt;
+        uint8 priorStatus; // NewsRegistry label id
+        uint256 reopenedAt; // NewsRegistry.reopenedAt when opened; a change means the verdict was redone meanwhile
+        uint256 totalVotes; // per-label tallies are in appealLabelVotes
+        bool resolved;
+        uint8 outcome;
+        bool moot; // resolved without a verdict since the article was reopened meanwhile; the bond is returned
+    }
+
+    NewsRegistry public news;
+    IPublisherRegistry public publisherRegistry;
+    uint256 public appealBond; // wei
+    uint256 public appealPeriod; // seconds
+    uint256 public appealMinVotes;
+    uint256 public forfeitedBonds; // bonds of appeals that did not overturn, withdrawable by owner
+    // returned bonds, pulled by the appellant (withdrawBond) so an appellant that rejects ETH can't block resolution
+    mapping(address => uint256) public bondRefunds;
+
+    mapping(bytes32 => Appeal[]) private appeals; // contentHash => appeal history
+    mapping(bytes32 => mapping(uint256 => mapping(address => bool))) public hasVotedOnAppeal;
+    mapping(bytes32 => mapping(uint256 => mapping(uint8 => uint256))) public appealLabelVotes; // contentHash => appealId => label => votes
+
+    event AppealOpened(bytes32 indexed contentHash, uint256 indexed appealId, address indexed appellant, string evidenceURI);
+    event AppealVoted(bytes32 indexed contentHash, uint256 indexed appealId, address indexed voter, uint8 label);
+    event AppealResolved(bytes32 indexed contentHash, uint256 indexed appealId, uint8 outcome, bool overturned);
+
+    constructor(
+        address _news,
+        address _publisherRegistry,
+        uint256 _appealBond,
+        uint256 _appealPeriod,
+        uint256 _appealMinVotes
+    ) Ownable(msg.sender) {
+        news = NewsRegistry(_news);
+        publisherRegistry = IPublisherRegistry(_publisherRegistry);
+        appealBond = _appealBond;
+        appealPeriod = _appealPeriod;
+        appealMinVotes = _appealMinVotes;
+    }
+
+    function openAppeal(bytes32 _contentHash, string calldata _evidenceURI) external payable returns (uint256 appealId) {
+        (, , , , , uint8 status, , , bool finalized) = news.getArticle(_contentHash);
+        require(finalized, "Not finalized");
+        require(msg.value >= appealBond, "Bond too low");
+        require(bytes(_evidenceURI).length > 0, "Evidence required");
+        Appeal[] storage list = appeals[_contentHash];
+        require(list.length == 0 || list[list.length - 1].resolved, "Appeal already open");
+
+        appealId = list.length;
+        Appeal storage ap = list.push();
+        ap.appellant = msg.sender;
+        ap.evidenceURI = _evidenceURI;
+        ap.bond = msg.value;
+        ap.openedAt = block.timestamp;
+        ap.priorStatus = status;
+        ap.reopenedAt = news.reopenedAt(_contentHash);
+        emit AppealOpened(_contentHash, appealId, msg.sender, _evidenceURI);
+    }
+
+    // _label is any label NewsRegistry currently accepts as a vote (NewsRegistry.isVotableLabel)
+    function voteAppeal(bytes32 _contentHash, uint8 _label) external {
+        uint256 appealId = _openAppealId(_contentHash);
+        Appeal storage ap = appeals[_contentHash][appealId];
+        require(block.timestamp < ap.openedAt + appealPeriod, "Appeal voting over");
+        require(publisherRegistry.isTrusted(msg.sender), "Not a trusted publisher");
+        // the same specialists that could vote on a categorized article in the first round (NewsRegistry._checkCanVote)
+        uint16 category = news.getArticleMeta(_contentHash).category;
+        require(category == 0 || publisherRegistry.categoryTrust(msg.sender, category), "Not trusted for category");
+        require(!hasVotedOnAppeal[_contentHash][appealId][msg.sender], "Already voted");
+        require(news.isVotableLabel(_label), "Invalid label");
+
+        hasVotedOnAppeal[_contentHash][appealId][msg.sender] = true;
+        appealLabelVotes[_contentHash][appealId][_label] += 1;
+        ap.totalVotes += 1;
+        emit AppealVoted(_contentHash, appealId, msg.sender, _label);
+    }
+
+    // callable by anyone once the appeal period is over; below quorum the prior verdict stands, otherwise the
+    // label with the most votes wins and a tie for the lead resolves as Disputed
+    function resolveAppeal(bytes32 _contentHash) external {
+        uint256 appealId = _openAppealId(_contentHash);
+        Appeal storage ap = appeals[_contentHash][appealId];
+        require(block.timestamp >= ap.openedAt + appealPeriod, "Appeal period not over");
+
+        (, , , , , , , , bool finalized) = news.getArticle(_contentHash);
+        if (!finalized || news.reopenedAt(_contentHash) != ap.reopenedAt) {
+            // reopened for review meanwhile (publisher removed for cause), and possibly finalized again: the
+            // appealed verdict is gone, so nothing is overturned and the bond is returned
+            ap.resolved = true;
+            ap.moot = true;
+            ap.outcome = ap.priorStatus;
+            bondRefunds[ap.appellant] += ap.bond;
+            emit AppealResolved(_contentHash, appealId, ap.outcome, false);
+            return;
+        }
+
+        uint8 outcome = ap.priorStatus;
+        if (ap.totalVotes >= appealQuorum()) {
+            outcome = _plurality(_contentHash, appealId);
+        }
+        ap.resolved = true;
+        ap.outcome = outcome;
+
+        bool overturned = outcome != ap.priorStatus;
+        if (overturned) {
+            news.applyAppealOutcome(_contentHash, outcome);
+            bondRefunds[ap.appellant] += ap.bond;
+        } else {
+            forfeitedBonds += ap.bond;
+        }
+        emit AppealResolved(_contentHash, appealId, outcome, overturned);
+    }
+
+    function withdrawBond() external {
+        uint256 amount = bondRefunds[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        bondRefunds[msg.sender] = 0;
+        (bool ok, ) = payable(msg.sender).call{value: amount}("");
+        require(ok, "Transfer failed");
+    }
+
+    // always stricter than the first round, even if NewsRegistry.minVotes is raised later
+    function appealQuorum() public view returns (uint256) {
+        uint256 firstRound = news.minVotes();
+        return appealMinVotes > firstRound ? appealMinVotes : firstRound + 1;
+    }
+
+    function appealCount(bytes32 _contentHash) external view returns (uint256) {
+        return appeals[_contentHash].length;
+    }
+
+    function getAppeal(bytes32 _contentHash, uint256 _appealId) external view returns (Appeal memory) {
+        return appeals[_contentHash][_appealId];
+    }
+
+    // the leading label of an appeal, Disputed on a tie for the lead
+    function _plurality(bytes32 _contentHash, uint256 _appealId) internal view returns (uint8 winner) {
+        uint256 labelCount = news.getLabels().length;
+        uint256 best;
+        bool tied;
+        for (uint8 id = VERIFIED_TRUE; id < labelCount; id++) {
+            uint256 n = appealLabelVotes[_contentHash][_appealId][id];
+            if (n > best) {
+                best = n;
+                winner = id;
+                tied = false;
+            } else if (n == best && n > 0) {
+                tied = true;
+            }
+        }
+        if (tied) winner = DISPUTED;
+    }
+
+    function _openAppealId(bytes32 _contentHash) internal view returns (uint256) {
+        Appeal[] storage list = appeals[_contentHash];
+        require(list.length > 0 && !list[list.length - 1].resolved, "No open appeal");
+        return list.length - 1;
+    }
+
+    // admin functions
+    function setAppealParams(uint256 _appealBond, uint256 _appealPeriod, uint256 _appealMinVotes) external onlyOwner {
+        appealBond = _appealBond;
+        appealPeriod = _appealPeriod;
+        appealMinVotes = _appealMinVotes;
+    }
+
+    function withdrawForfeitedBonds(address payable _to) external onlyOwner {
+        uint256 amount = forfeitedBonds;
+        forfeitedBonds = 0;
+        (bool ok, ) = _to.call{value: amount}("");
+        require(ok, "Transfer failed");
+    }
+}
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// M-of-N council that owns PublisherRegistry, NewsRegistry and AppealRegistry.
+// A member proposes a call; once `threshold` members approved it, anyone can execute it after `delay` seconds.
+// Membership, threshold and delay are changed the same way, through proposals targeting the council itself.
+contract Council {
+    struct Proposal {
+        address proposer;
+        address target;
+        bytes data; // calldata for target
+        string description;
+        uint256 approvals; // filled in by getProposal: approvals from current members (approvalCount)
+        uint256 readyAt; // set when approvals reach the threshold (or by queue): that time + delay
+        bool executed;
+        bool cancelled;
+    }
+
+    address[] private members;
+    mapping(address => bool) public isMember;
+    // membership epoch, new on every (re-)add; approvals record it, so those from an earlier membership lapse
+    mapping(address => uint256) public memberSince;
+    uint256 private memberNonce;
+    uint256 public threshold;
+    uint256 public delay; // seconds
+
+    Proposal[] private proposals;
+    mapping(uint256 => mapping(address => uint256)) private approvedIn; // proposalId => member => memberSince at approval
+
+    event Proposed(uint256 indexed proposalId, address indexed proposer, address indexed target, string description);
+    event Approved(uint256 indexed proposalId, address indexed member, uint256 approvals);
+    event Queued(uint256 indexed proposalId, uint256 readyAt);
+    event Executed(uint256 indexed proposalId);
+    event Cancelled(uint256 indexed proposalId);
+    event MemberAdded(address indexed member);
+    event MemberRemoved(address indexed member);
+    event ThresholdChanged(uint256 threshold);
+    event DelayChanged(uint256 delay);
+
+    modifier onlyMember() {
+        require(isMember[msg.sender], "Not a council member");
+        _;
+    }
+
+    modifier onlyCouncil() {
+        require(msg.sender == address(this), "Only via proposal");
+        _;
+    }
+
+    constructor(address[] memory _members, uint256 _threshold, uint256 _delay) {
+        for (uint256 i = 0; i < _members.length; i++) {
+            _addMember(_members[i]);
+        }
+        require(_threshold > 0 && _threshold <= members.length, "Invalid threshold");
+        threshold = _threshold;
+        delay = _delay;
+    }
+
+    // the proposer's approval is counted right away
+    function propose(address _target, bytes calldata _data, string calldata _description) external onlyMember returns (uint256 proposalId) {
+        require(_target != address(0), "Target required");
+        proposalId = proposals.length;
+        Proposal storage p = proposals.push();
+        p.proposer = msg.sender;
+        p.target = _target;
+        p.data = _data;
+        p.description = _description;
+        emit Proposed(proposalId, msg.sender, _target, _description);
+        _approve(proposalId, p);
+    }
+
+    function approve(uint256 _proposalId) external onlyMember {
+        Proposal storage p = _openProposal(_proposalId);
+        require(!hasApproved(_proposalId, msg.sender), "Already approved");
+        _approve(_proposalId, p);
+    }
+
+    // starts the timelock of a proposal that reached the threshold without being queued, e.g. after setThreshold lowered it
+    function queue(uint256 _proposalId) external {
+        Proposal storage p = _openProposal(_proposalId);
+        require(p.readyAt == 0, "Already queued");
+        require(approvalCount(_proposalId) >= threshold, "Not enough approvals");
+        _queue(_proposalId, p);
+    }
+
+    // callable by anyone once the proposal is approved and its timelock has passed; reverts with the target's reason on failure
+    // approvals are re-counted here, so those of members removed since no longer count
+    function execute(uint256 _proposalId) external {
+        Proposal storage p = _openProposal(_proposalId);
+        require(approvalCount(_proposalId) >= threshold, "Not enough approvals");
+        require(p.readyAt != 0, "Not queued");
+        require(block.timestamp >= p.readyAt, "Timelock not expired");
+        p.executed = true;
+
+        (bool ok, bytes memory ret) = p.target.call(p.data);
+        if (!ok) {
+            if (ret.length > 0) {
+                assembly {
+                    revert(add(ret, 32), mload(ret))
+                }
+            }
+            revert("Execution failed");
+        }
+        emit Executed(_proposalId);
+    }
+
+    function cancel(uint256 _proposalId) external {
+        Proposal storage p = _openProposal(_proposalId);
+        require(msg.sender == p.proposer, "Not proposer");
+        p.cancelled = true;
+        emit Cancelled(_proposalId);
+    }
+
+    function proposalCount() external view returns (uint256) {
+        return proposals.length;
+    }
+
+    function getProposal(uint256 _proposalId) external view returns (Proposal memory p) {
+        require(_proposalId < proposals.length, "No proposal");
+        p = proposals[_proposalId];
+        p.approvals = approvalCount(_proposalId);
+    }
+
+    // only approvals given during the member's current membership
+    function hasApproved(uint256 _proposalId, address _member) public view returns (bool) {
+        return isMember[_member] && approvedIn[_proposalId][_member] == memberSince[_member];
+    }
+
+    function approvalCount(uint256 _proposalId) public view returns (uint256 count) {
+        for (uint256 i = 0; i < members.length; i++) {
+            if (hasApproved(_proposalId, members[i])) count++;
+        }
+    }
+
+    function getMembers() external view returns (address[] memory) {
+        return members;
+    }
+
+    function _approve(uint256 _proposalId, Proposal storage p) internal {
+        approvedIn[_proposalId][msg.sender] = memberSince[msg.sender];
+        uint256 approvals = approvalCount(_proposalId);
+        emit Approved(_proposalId, msg.sender, approvals);
+        if (p.readyAt == 0 && approvals >= threshold) {
+            _queue(_proposalId, p);
+        }
+    }
+
+    function _queue(uint256 _proposalId, Proposal storage p) internal {
+        p.readyAt = block.timestamp + delay;
+        emit Queued(_proposalId, p.readyAt);
+    }
+
+    function _openProposal(uint256 _proposalId) internal view returns (Proposal storage p) {
+        require(_proposalId < proposals.length, "No proposal");
+        p = proposals[_proposalId];
+        require(!p.executed && !p.cancelled, "Proposal closed");
+    }
+
+    function _addMember(address _member) internal {
+        require(_member != address(0), "Zero address");
+        require(!isMember[_member], "Already a member");
+        isMember[_member] = true;
+        memberSince[_member] = ++memberNonce;
+        members.push(_member);
+        emit MemberAdded(_member);
+    }
+
+    // council functions, only reachable through an executed proposal
+    function addMember(address _member) external onlyCouncil {
+        _addMember(_member);
+    }
+
+    function removeMember(address _member) external onlyCouncil {
+        require(isMember[_member], "Not a member");
+        require(members.length - 1 >= threshold, "Below threshold");
+        isMember[_member] = false;
+        for (uint256 i = 0; i < members.length; i++) {
+            if (members[i] == _member) {
+                members[i] = members[members.length - 1];
+                members.pop();
+                break;
+            }
+        }
+        emit MemberRemoved(_member);
+    }
+
+    function setThreshold(uint256 _threshold) external onlyCouncil {
+        require(_threshold > 0 && _threshold <= members.length, "Invalid threshold");
+        threshold = _threshold;
+        emit ThresholdChanged(_threshold);
+    }
+
+    function setDelay(uint256 _delay) external onlyCouncil {
+        delay = _delay;
+        emit DelayChanged(_delay);
+    }
+}
@@ -2,13 +2,24 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 interface IPublisherRegistry {
     function isTrusted(address _publisher) external view returns (bool);
+    function removedForCause(address _publisher) external view returns (bool);
+    function isActiveCategory(uint16 _id) external view returns (bool);
+    function categoryTrust(address _publisher, uint16 _category) external view returns (bool);
+    function eligibleVoters(uint16 _category) external view returns (uint256);
 }
 
-contract NewsRegistry is Ownable {
-    enum Status { UnderReview, VerifiedTrue, MarkedFake, Disputed }
+// verdict label ids with a fixed meaning; NewsRegistry.getLabels lists these and the ones added later
+uint8 constant UNDER_REVIEW = 0;
+uint8 constant VERIFIED_TRUE = 1;
+uint8 constant MARKED_FAKE = 2;
+uint8 constant DISPUTED = 3; // no clear winner; never voted for directly
+
+contract NewsRegistry is Ownable, EIP712 {
 
     struct Article {
         bytes32 contentHash;
@@ -16,46 +27,295 @@ contract NewsRegistry is Ownable {
         address publisher; // if known (publisher wallet)
         address submitter;
         uint256 createdAt;
-        Status status;
-        uint256 yesVotes;
-        uint256 noVotes;
+        uint8 status; // verdict label id
+        uint256 yesVotes; // VerifiedTrue votes
+        uint256 noVotes; // MarkedFake votes
         bool finalized;
     }
 
+    // one per counted vote; rationale is an optional evidence URI or short explanation
+    struct VoteRecord {
+        address voter;
+        uint8 label;
+        uint256 timestamp;
+        string rationale;
+    }
+
+    // stake-weighted mode settings, snapshotted per article at submission
+    // the settlement fields are fixed by _finalize, so claims never depend on tallies that change later
+    struct StakePool {
+        bool enabled;
+        bool disputed; // the vote finalized as Disputed: every stake is refunded
+        uint8 winner; // plurality label
+        uint256 slashBps; // share of a losing stake paid to the winning side, in basis points
+        uint256 winningStake; // staked on the winner
+        uint256 losingStake; // staked on other labels or never revealed
+    }
+
+    // optional topic metadata chosen at submission
+    struct ArticleMeta {
+        uint16 category; // PublisherRegistry category id, 0 = uncategorized
+        bytes2 language; // ISO 639-1 code such as "en", zero when not given
+        bytes32[] tags; // short free-form labels (bytes32 strings)
+    }
+
+    // verdict label; retired labels keep their id and name but can no longer be voted for
+    struct Label {
+        string name;
+        bool active;
+    }
+
+    // voting accuracy of a publisher over finalized articles with a decisive outcome
+    struct Reputation {
+        uint256 scoredVotes;
+        uint256 agreedVotes; // votes on the side of the final status
+    }
+
+    // EIP-712 struct a publisher signs to vouch for an article submitted by someone else
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256("ArticleAttestation(bytes32 contentHash,uint8 hashVersion,string uri)");
+
     IPublisherRegistry public publisherRegistry;
     uint256 public votingPeriod; // seconds
     uint256 public minVotes;
 
-    mapping(bytes32 => Article) public articles;
+    // verdict policy (setVerdictPolicy), all in basis points; zero disables a rule
+    uint16 public supermajorityBps; // share of the tally the winning side needs, otherwise Disputed
+    uint16 public quorumBps; // voters needed as a share of the publishers eligible for the article's category
+    uint16 public minMarginBps; // (winner - loser) / tally needed, otherwise Disputed
+    // margin of the vote that set the status, (winner - runner-up) / tally in basis points; 0 when no vote decided it
+    mapping(bytes32 => uint16) public confidence;
+
+    Label[] private labels; // label id = index
+    uint256 public constant MAX_LABELS = 32; // finalize scans every label
+    mapping(bytes32 => mapping(uint8 => uint256)) private labelTallies; // labels other than VerifiedTrue / MarkedFake
+
+    mapping(bytes32 => Article) private articles; // read through getArticle
+    // canonicalization rules the contentHash was computed with (HASH_VERSIONS in frontend/src/hashing.js)
+    mapping(bytes32 => uint8) public hashVersion;
+    // optional 64-bit SimHash of the article text for near-duplicate lookups (frontend/src/fingerprint.js)
+    mapping(bytes32 => bytes8) public fingerprints;
     mapping(bytes32 => mapping(address => bool)) public hasVoted; // contentHash => voter => voted
+    mapping(bytes32 => uint256) public voterCount; // compared against minVotes (tallies may be stake-weighted)
+    mapping(bytes32 => VoteRecord[]) private voteRecords;
+    mapping(bytes32 => mapping(address => uint256)) private voteIndex; // 1-based position in voteRecords
+    uint256 public constant MAX_RATIONALE_LENGTH = 512; // bytes
+
+    // optional stake-weighted voting: tallies are in wei and losers are slashed on finalization
+    bool public stakeWeighted;
+    uint256 public minStake;
+    uint256 public slashBps;
+    mapping(bytes32 => StakePool) public stakePools;
+    mapping(bytes32 => mapping(address => uint256)) public stakeOf; // contentHash => voter => locked wei
+    mapping(bytes32 => mapping(address => uint8)) public stakedLabel; // label a staked vote was cast for
+
+    // commit-reveal mode (fixed at deploy): votes are committed during votingPeriod and revealed
+    // during the following revealPeriod; unrevealed commits are discarded and their stake is slashed
+    bool public immutable commitReveal;
+    uint256 public revealPeriod; // seconds
+    mapping(bytes32 => mapping(address => bytes32)) public voteCommitments;
+    mapping(bytes32 => mapping(address => bool)) public hasRevealed;
+    mapping(bytes32 => uint256) public unrevealedStake; // committed stake not yet revealed
+
+    address public appealRegistry; // may overturn finalized verdicts (see AppealRegistry)
+
+    // scored on finalize (Disputed is not scored) and re-scored when an appeal changes the status
+    mapping(address => Reputation) public reputation;
+
+    bytes32[] public articleHashes; // submission order
+    mapping(address => bytes32[]) private submitterArticles;
+
+    // auto-verified articles are reopened for review if their publisher is later removed for cause
+    mapping(bytes32 => bool) public autoVerified;
+    mapping(address => bytes32[]) private publisherAutoVerified;
+    mapping(bytes32 => uint256) public reopenedAt; // voting restarts from here after a reopen
+
+    // link lookup: urlHash = sha256 of the stored uri (clients store canonical URLs, see hashing.js);
+    // several articles may share a link, so it resolves to all of them in submission order
+    mapping(bytes32 => bytes32) public urlHashes; // contentHash => urlHash, zero when submitted without a uri
+    mapping(bytes32 => bytes32[]) private urlArticles;
+
+    mapping(bytes32 => ArticleMeta) private articleMeta;
+    mapping(uint16 => bytes32[]) private categoryArticles;
+    uint256 public constant MAX_TAGS = 5;
+    bytes32 private constant NON_ASCII = 0x8080808080808080808080808080808080808080808080808080808080808080;
+
+    // IPFS copies of article text, kept apart from the uri so an archived article is still found by its link
+    mapping(bytes32 => string) public archiveCids;
+
+    // corrections: each revision links to the version it replaces, so a chain has one latest version
+    mapping(bytes32 => bytes32) public previousVersion;
+    mapping(bytes32 => bytes32) public nextVersion;
 
     event Submitted(bytes32 indexed contentHash, address indexed submitter, string uri);
     event PublisherAutoVerified(bytes32 indexed contentHash);
-    event Voted(bytes32 indexed contentHash, address indexed voter, bool support);
-    event Finalized(bytes32 indexed contentHash, Status finalStatus);
+    event Voted(bytes32 indexed contentHash, address indexed voter, uint8 label, string rationale);
+    event Finalized(bytes32 indexed contentHash, uint8 finalStatus);
+    event StakeLocked(bytes32 indexed contentHash, address indexed voter, uint256 amount);
+    event StakeClaimed(bytes32 indexed contentHash, address indexed voter, uint256 amount);
+    event StakeParamsUpdated(bool enabled, uint256 minStake, uint256 slashBps);
+    event VoteCommitted(bytes32 indexed contentHash, address indexed voter);
+    event AppealApplied(bytes32 indexed contentHash, uint8 previousStatus, uint8 newStatus);
+    event ArticleReopened(bytes32 indexed contentHash, address indexed publisher);
+    event Fingerprinted(bytes32 indexed contentHash, bytes8 fingerprint);
+    event UrlLinked(bytes32 indexed urlHash, bytes32 indexed contentHash);
+    event Categorized(bytes32 indexed contentHash, uint16 indexed category, bytes2 language, bytes32[] tags);
+    event Revised(bytes32 indexed previousHash, bytes32 indexed contentHash, bool verdictCarried);
+    event Archived(bytes32 indexed contentHash, string cid);
+    event VerdictPolicyUpdated(uint16 supermajorityBps, uint16 quorumBps, uint16 minMarginBps);
+    event LabelAdded(uint8 indexed id, string name);
+    event LabelActiveSet(uint8 indexed id, bool active);
 
     // Pass deployer as initial owner to Ownable
-    constructor(address _publisherRegistry, uint256 _votingPeriod, uint256 _minVotes) Ownable(msg.sender) {
+    constructor(
+        address _publisherRegistry,
+        uint256 _votingPeriod,
+        uint256 _minVotes,
+        bool _commitReveal,
+        uint256 _revealPeriod
+    )
+        Ownable(msg.sender)
+        EIP712("NewsRegistry", "1")
+    {
         publisherRegistry = IPublisherRegistry(_publisherRegistry);
         votingPeriod = _votingPeriod;
         minVotes = _minVotes;
+        commitReveal = _commitReveal;
+        revealPeriod = _revealPeriod;
+        string[8] memory builtIn = [
+            "UnderReview", "VerifiedTrue", "MarkedFake", "Disputed", "Misleading", "Satire", "PartiallyTrue", "Unverifiable"
+        ];
+        for (uint256 i = 0; i < builtIn.length; i++) {
+            labels.push(Label(builtIn[i], i != UNDER_REVIEW && i != DISPUTED));
+        }
+    }
+
+    // auto-verifies only when the publisher itself is the caller
+    function submitArticle(
+        bytes32 _contentHash,
+        uint8 _hashVersion,
+        bytes8 _fingerprint,
+        string calldata _uri,
+        ArticleMeta calldata _meta,
+        address _publisher
+    ) external {
+        _submit(_contentHash, _hashVersion, _fingerprint, _uri, _publisher, msg.sender == _publisher);
+        _setMeta(_contentHash, _meta);
+    }
+
+    // auto-verifies when _signature is the publisher's EIP-712 attestation over (contentHash, hashVersion, uri)
+    function submitSignedArticle(
+        bytes32 _contentHash,
+        uint8 _hashVersion,
+        bytes8 _fingerprint,
+        string calldata _uri,
+        ArticleMeta calldata _meta,
+        address _publisher,
+        bytes calldata _signature
+    ) external {
+        require(_publisher != address(0), "Publisher required");
+        bytes32 digest = attestationDigest(_contentHash, _hashVersion, _uri);
+        require(ECDSA.recover(digest, _signature) == _publisher, "Invalid publisher signature");
+        _submit(_contentHash, _hashVersion, _fingerprint, _uri, _publisher, true);
+        _setMeta(_contentHash, _meta);
     }
 
-    function submitArticle(bytes32 _contentHash, string calldata _uri, address _publisher) external {
+    // only the article's publisher may revise it, and only the latest version of a chain. The verdict is
+    // carried forward for a trusted publisher whose previous version is finalized; otherwise the revision
+    // is reviewed like a new article
+    function submitRevision(
+        bytes32 _previousHash,
+        bytes32 _contentHash,
+        uint8 _hashVersion,
+        bytes8 _fingerprint,
+        string calldata _uri,
+        ArticleMeta calldata _meta,
+        bool _carryVerdict
+    ) external {
+        Article storage prev = articles[_previousHash];
+        require(prev.createdAt != 0, "Previous not submitted");
+        require(prev.publisher == msg.sender, "Not the publisher");
+        require(nextVersion[_previousHash] == bytes32(0), "Already revised");
+        if (_carryVerdict) {
+            require(prev.finalized, "Previous not finalized");
+            require(publisherRegistry.isTrusted(msg.sender), "Not a trusted publisher");
+        }
+
+        _submit(_contentHash, _hashVersion, _fingerprint, _uri, msg.sender, false);
+        _setMeta(_contentHash, _meta);
+        previousVersion[_contentHash] = _previousHash;
+        nextVersion[_previousHash] = _contentHash;
+
+        if (_carryVerdict) {
+            Article storage a = articles[_contentHash];
+            a.status = prev.status;
+            a.finalized = true;
+            confidence[_contentHash] = confidence[_previousHash];
+            // a carried auto-verification is reopened along with the original
+            if (autoVerified[_previousHash]) {
+                autoVerified[_contentHash] = true;
+                publisherAutoVerified[msg.sender].push(_contentHash);
+            }
+            emit Finalized(_contentHash, a.status);
+        }
+        emit Revised(_previousHash, _contentHash, _carryVerdict);
+    }
+
+    // the submitter records where the text was archived, once; clients check the copy against the contentHash
+    function recordArchive(bytes32 _contentHash, string calldata _cid) external {
+        require(articles[_contentHash].submitter == msg.sender, "Not the submitter");
+        require(bytes(_cid).length != 0, "CID required");
+        require(bytes(archiveCids[_contentHash]).length == 0, "Already archived");
+        archiveCids[_contentHash] = _cid;
+        emit Archived(_contentHash, _cid);
+    }
+
+    function attestationDigest(bytes32 _contentHash, uint8 _hashVersion, string calldata _uri) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(abi.encode(ATTESTATION_TYPEHASH, _contentHash, _hashVersion, keccak256(bytes(_uri))))
+        );
+    }
+
+    function _submit(
+        bytes32 _contentHash,
+        uint8 _hashVersion,
+        bytes8 _fingerprint,
+        string calldata _uri,
+        address _publisher,
+        bool _attested
+    ) internal {
         Article storage a = articles[_contentHash];
         require(a.createdAt == 0, "Already submitted");
+        require(_hashVersion != 0, "Hash version required");
 
         a.contentHash = _contentHash;
         a.uri = _uri;
         a.publisher = _publisher;
         a.submitter = msg.sender;
         a.createdAt = block.timestamp;
-        a.status = Status.UnderReview;
+        a.status = UNDER_REVIEW;
+        hashVersion[_contentHash] = _hashVersion;
+        if (_fingerprint != bytes8(0)) {
+            fingerprints[_contentHash] = _fingerprint;
+            emit Fingerprinted(_contentHash, _fingerprint);
+        }
+        if (bytes(_uri).length != 0) {
+            bytes32 urlHash = sha256(bytes(_uri));
+            urlHashes[_contentHash] = urlHash;
+            urlArticles[urlHash].push(_contentHash);
+            emit UrlLinked(urlHash, _contentHash);
+        }
+        if (stakeWeighted) {
+            stakePools[_contentHash] = StakePool(true, false, 0, slashBps, 0, 0);
+        }
+        articleHashes.push(_contentHash);
+        submitterArticles[msg.sender].push(_contentHash);
 
-        // auto-verify if publisher is trusted
-        if (_publisher != address(0) && publisherRegistry.isTrusted(_publisher)) {
-            a.status = Status.VerifiedTrue;
+        // auto-verify if publisher is trusted and has attested to the article
+        if (_attested && _publisher != address(0) && publisherRegistry.isTrusted(_publisher)) {
+            a.status = VERIFIED_TRUE;
             a.finalized = true;
+            autoVerified[_contentHash] = true;
+            publisherAutoVerified[_publisher].push(_contentHash);
             emit PublisherAutoVerified(_contentHash);
             emit Finalized(_contentHash, a.status);
         } else {
@@ -63,43 +323,351 @@ contract NewsRegistry is Ownable {
         }
     }
 
-    function vote(bytes32 _contentHash, bool support) external {
+    // category must be active in PublisherRegistry; nothing is stored or emitted for empty metadata.
+    // The language must be ASCII and every tag zero-terminated ASCII, so clients can always decode them
+    function _setMeta(bytes32 _contentHash, ArticleMeta calldata _meta) internal {
+        require(_meta.category == 0 || publisherRegistry.isActiveCategory(_meta.category), "Unknown category");
+        require(_meta.tags.length <= MAX_TAGS, "Too many tags");
+        require(bytes32(_meta.language) & NON_ASCII == 0, "Invalid language");
+        for (uint256 i = 0; i < _meta.tags.length; i++) {
+            require(_meta.tags[i][31] == 0 && _meta.tags[i] & NON_ASCII == 0, "Invalid tag");
+        }
+        if (_meta.category == 0 && _meta.language == bytes2(0) && _meta.tags.length == 0) return;
+        ArticleMeta storage m = articleMeta[_contentHash];
+        m.category = _meta.category;
+        m.language = _meta.language;
+        m.tags = _meta.tags;
+        if (_meta.category != 0) {
+            categoryArticles[_meta.category].push(_contentHash);
+        }
+        emit Categorized(_contentHash, _meta.category, _meta.language, _meta.tags);
+    }
+
+    // yes/no shorthand for voteLabel: support = VerifiedTrue, otherwise MarkedFake
+    function vote(bytes32 _contentHash, bool support, string calldata _rationale) external payable {
+        voteLabel(_contentHash, support ? VERIFIED_TRUE : MARKED_FAKE, _rationale);
+    }
+
+    // in stake-weighted mode msg.value is the stake and the vote's weight; otherwise it must be zero
+    function voteLabel(bytes32 _contentHash, uint8 _label, string calldata _rationale) public payable {
+        require(!commitReveal, "Use commitVote");
+        Article storage a = _checkCanVote(_contentHash);
+        hasVoted[_contentHash][msg.sender] = true;
+
+        uint256 weight = _lockStake(_contentHash);
+        _tally(_contentHash, a, _label, weight, _rationale);
+
+        if (_canFinalize(_contentHash, a)) {
+            _finalize(_contentHash, a);
+        }
+    }
+
+    // commit phase: _commitment = keccak256(abi.encodePacked(contentHash, voter, label, salt))
+    function commitVote(bytes32 _contentHash, bytes32 _commitment) external payable {
+        require(commitReveal, "Commit-reveal disabled");
+        Article storage a = _checkCanVote(_contentHash);
+        require(block.timestamp < _votingStart(_contentHash, a) + votingPeriod, "Commit phase over");
+        require(_commitment != bytes32(0), "Empty commitment");
+        hasVoted[_contentHash][msg.sender] = true;
+        voteCommitments[_contentHash][msg.sender] = _commitment;
+
+        uint256 stake = _lockStake(_contentHash);
+        if (stakePools[_contentHash].enabled) {
+            unrevealedStake[_contentHash] += stake;
+        }
+        emit VoteCommitted(_contentHash, msg.sender);
+    }
+
+    // reveal phase: only revealed votes are tallied, finalize() runs once the reveal window closes
+    // the rationale is published with the reveal, not committed
+    function revealVote(bytes32 _contentHash, uint8 _label, bytes32 _salt, string calldata _rationale) external {
         Article storage a = articles[_contentHash];
+        // the reveal window moves with votingPeriod / revealPeriod, so it can reopen after finalization
+        require(!a.finalized, "Already finalized");
+        bytes32 commitment = voteCommitments[_contentHash][msg.sender];
+        require(commitment != bytes32(0), "No commitment");
+        require(!hasRevealed[_contentHash][msg.sender], "Already revealed");
+        uint256 revealStart = _votingStart(_contentHash, a) + votingPeriod;
+        require(block.timestamp >= revealStart && block.timestamp < revealStart + revealPeriod, "Not in reveal phase");
+        require(commitmentFor(_contentHash, msg.sender, _label, _salt) == commitment, "Commitment mismatch");
+        hasRevealed[_contentHash][msg.sender] = true;
+
+        uint256 weight = 1;
+        uint256 stake = stakeOf[_contentHash][msg.sender];
+        if (stakePools[_contentHash].enabled) {
+            weight = stake;
+            unrevealedStake[_contentHash] -= stake;
+        }
+        _tally(_contentHash, a, _label, weight, _rationale);
+    }
+
+    function commitmentFor(bytes32 _contentHash, address _voter, uint8 _label, bytes32 _salt) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_contentHash, _voter, _label, _salt));
+    }
+
+    function _checkCanVote(bytes32 _contentHash) internal view returns (Article storage a) {
+        a = articles[_contentHash];
         require(a.createdAt != 0, "Not submitted");
         require(!a.finalized, "Already finalized");
+        require(publisherRegistry.isTrusted(msg.sender), "Not a trusted publisher");
+        // categorized articles only take votes from publishers trusted for that category
+        uint16 category = articleMeta[_contentHash].category;
+        require(category == 0 || publisherRegistry.categoryTrust(msg.sender, category), "Not trusted for category");
         require(!hasVoted[_contentHash][msg.sender], "Already voted");
+    }
 
-        hasVoted[_contentHash][msg.sender] = true;
+    // returns the vote weight: the stake in stake-weighted mode, otherwise 1
+    function _lockStake(bytes32 _contentHash) internal returns (uint256) {
+        if (!stakePools[_contentHash].enabled) {
+            require(msg.value == 0, "Staking not enabled");
+            return 1;
+        }
+        require(msg.value > 0 && msg.value >= minStake, "Stake too low");
+        stakeOf[_contentHash][msg.sender] = msg.value;
+        emit StakeLocked(_contentHash, msg.sender, msg.value);
+        return msg.value;
+    }
+
+    function _tally(
+        bytes32 _contentHash,
+        Article storage a,
+        uint8 _label,
+        uint256 weight,
+        string calldata _rationale
+    ) internal {
+        require(isVotableLabel(_label), "Invalid label");
+        require(bytes(_rationale).length <= MAX_RATIONALE_LENGTH, "Rationale too long");
+        voterCount[_contentHash] += 1;
+        voteRecords[_contentHash].push(VoteRecord(msg.sender, _label, block.timestamp, _rationale));
+        voteIndex[_contentHash][msg.sender] = voteRecords[_contentHash].length;
+        if (stakePools[_contentHash].enabled) {
+            stakedLabel[_contentHash][msg.sender] = _label;
+        }
+        if (_label == VERIFIED_TRUE) {
+            a.yesVotes += weight;
+        } else if (_label == MARKED_FAKE) {
+            a.noVotes += weight;
+        } else {
+            labelTallies[_contentHash][_label] += weight;
+        }
+        emit Voted(_contentHash, msg.sender, _label, _rationale);
+    }
+
+    function labelVotes(bytes32 _contentHash, uint8 _label) public view returns (uint256) {
+        if (_label == VERIFIED_TRUE) return articles[_contentHash].yesVotes;
+        if (_label == MARKED_FAKE) return articles[_contentHash].noVotes;
+        return labelTallies[_contentHash][_label];
+    }
+
+    // plurality over every label: the leading label, its tally, the runner-up's tally and the whole tally
+    function _plurality(bytes32 _contentHash) internal view returns (uint8 winner, uint256 best, uint256 second, uint256 total) {
+        for (uint8 id = VERIFIED_TRUE; id < labels.length; id++) {
+            uint256 n = labelVotes(_contentHash, id);
+            total += n;
+            if (n > best) {
+                second = best;
+                best = n;
+                winner = id;
+            } else if (n > second) {
+                second = n;
+            }
+        }
+    }
+
+    // anyone can close out an article once its voting period elapsed with enough votes
+    // (or, with stakes stuck behind too few reveals, as Disputed; see _stakesStuck)
+    function finalize(bytes32 _contentHash) external {
+        Article storage a = articles[_contentHash];
+        require(a.createdAt != 0, "Not submitted");
+        require(!a.finalized, "Already finalized");
+        require(block.timestamp >= votingEndsAt(_contentHash), "Voting period not over");
+        if (!_stakesStuck(_contentHash)) {
+            require(voterCount[_contentHash] >= minVotes, "Not enough votes");
+            require(_quorumMet(_contentHash), "Quorum not met");
+        }
+        _finalize(_contentHash, a);
+    }
+
+    // skips hashes that are not finalizable instead of reverting; returns how many were finalized
+    function finalizeBatch(bytes32[] calldata _contentHashes) external returns (uint256 count) {
+        for (uint256 i = 0; i < _contentHashes.length; i++) {
+            Article storage a = articles[_contentHashes[i]];
+            if (_canFinalize(_contentHashes[i], a)) {
+                _finalize(_contentHashes[i], a);
+                count++;
+            }
+        }
+    }
+
+    function isFinalizable(bytes32 _contentHash) external view returns (bool) {
+        return _canFinalize(_contentHash, articles[_contentHash]);
+    }
+
+    function _canFinalize(bytes32 _contentHash, Article storage a) internal view returns (bool) {
+        return a.createdAt != 0
+            && !a.finalized
+            && block.timestamp >= votingEndsAt(_contentHash)
+            && (_enoughVotes(_contentHash) || _stakesStuck(_contentHash));
+    }
+
+    function _enoughVotes(bytes32 _contentHash) internal view returns (bool) {
+        return voterCount[_contentHash] >= minVotes && _quorumMet(_contentHash);
+    }
+
+    function _quorumMet(bytes32 _contentHash) internal view returns (bool) {
+        return quorumBps == 0
+            || voterCount[_contentHash] * 10000 >= quorumBps * publisherRegistry.eligibleVoters(articleMeta[_contentHash].category);
+    }
+
+    // nothing can be committed or revealed once a commit-reveal article's window is over, so stakes behind
+    // too few reveals would stay locked; such an article finalizes as Disputed, which refunds them
+    function _stakesStuck(bytes32 _contentHash) internal view returns (bool) {
+        return commitReveal && stakePools[_contentHash].enabled
+            && (voterCount[_contentHash] != 0 || unrevealedStake[_contentHash] != 0);
+    }
 
-        if (support) {
-            a.yesVotes += 1;
+    // end of voting, including the reveal window in commit-reveal mode
+    function votingEndsAt(bytes32 _contentHash) public view returns (uint256) {
+        return _votingStart(_contentHash, articles[_contentHash]) + votingPeriod + (commitReveal ? revealPeriod : 0);
+    }
+
+    function _votingStart(bytes32 _contentHash, Article storage a) internal view returns (uint256) {
+        uint256 reopened = reopenedAt[_contentHash];
+        return reopened != 0 ? reopened : a.createdAt;
+    }
+
+    // an article auto-verified by a publisher that was later removed for cause, and not overturned since
+    function canReopen(bytes32 _contentHash) public view returns (bool) {
+        Article storage a = articles[_contentHash];
+        return autoVerified[_contentHash]
+            && a.status == VERIFIED_TRUE
+            && publisherRegistry.removedForCause(a.publisher);
+    }
+
+    // callable by anyone; puts eligible articles back under review with a fresh voting period,
+    // skips the rest and returns how many were reopened
+    function reopenArticles(bytes32[] calldata _contentHashes) external returns (uint256 count) {
+        for (uint256 i = 0; i < _contentHashes.length; i++) {
+            bytes32 h = _contentHashes[i];
+            if (!canReopen(h)) continue;
+            Article storage a = articles[h];
+            a.status = UNDER_REVIEW;
+            a.finalized = false;
+            autoVerified[h] = false;
+            reopenedAt[h] = block.timestamp;
+            emit ArticleReopened(h, a.publisher);
+            count++;
+        }
+    }
+
+    // the plurality label wins unless it misses the supermajority or the minimum margin, or too few votes were
+    // revealed (_stakesStuck); ties are always Disputed
+    function _finalize(bytes32 _contentHash, Article storage a) internal {
+        (uint8 winner, uint256 best, uint256 second, uint256 total) = _plurality(_contentHash);
+        uint256 margin = total == 0 ? 0 : ((best - second) * 10000) / total;
+        if (margin == 0 || best * 10000 < total * supermajorityBps || margin < minMarginBps || !_enoughVotes(_contentHash)) {
+            a.status = DISPUTED;
         } else {
-            a.noVotes += 1;
+            a.status = winner;
+        }
+        confidence[_contentHash] = uint16(margin);
+        StakePool storage pool = stakePools[_contentHash];
+        if (pool.enabled) {
+            pool.disputed = a.status == DISPUTED;
+            pool.winner = winner;
+            pool.winningStake = best;
+            pool.losingStake = total - best + unrevealedStake[_contentHash];
         }
-        emit Voted(_contentHash, msg.sender, support);
+        a.finalized = true;
+        _scoreVotes(_contentHash, a.status, false);
+        emit Finalized(_contentHash, a.status);
+    }
 
-        uint256 totalVotes = a.yesVotes + a.noVotes;
-        if (totalVotes >= minVotes && block.timestamp >= a.createdAt + votingPeriod) {
-            // finalize simple majority
-            if (a.yesVotes > a.noVotes) {
-                a.status = Status.VerifiedTrue;
-            } else if (a.noVotes > a.yesVotes) {
-                a.status = Status.MarkedFake;
+    // _undo reverses an earlier scoring of the same article (used when an appeal changes its status)
+    function _scoreVotes(bytes32 _contentHash, uint8 _outcome, bool _undo) internal {
+        if (_outcome == UNDER_REVIEW || _outcome == DISPUTED) return;
+        VoteRecord[] storage records = voteRecords[_contentHash];
+        for (uint256 i = 0; i < records.length; i++) {
+            Reputation storage r = reputation[records[i].voter];
+            bool agreed = records[i].label == _outcome;
+            if (_undo) {
+                r.scoredVotes -= 1;
+                if (agreed) r.agreedVotes -= 1;
             } else {
-                a.status = Status.Disputed;
+                r.scoredVotes += 1;
+                if (agreed) r.agreedVotes += 1;
             }
-            a.finalized = true;
-            emit Finalized(_contentHash, a.status);
         }
     }
 
+    // share of scored votes that agreed with the final status, in basis points (0 when nothing is scored yet)
+    function reputationScore(address _publisher) external view returns (uint256) {
+        Reputation storage r = reputation[_publisher];
+        if (r.scoredVotes == 0) return 0;
+        return r.agreedVotes * 10000 / r.scoredVotes;
+    }
+
+    // what a staked voter can withdraw once the article is finalized:
+    // voters for the plurality label get their stake plus a pro-rata share of the slashed pool, the rest keep
+    // the unslashed part, and a Disputed verdict (a tie, or a plurality short of the policy) refunds everyone
+    function claimableStake(bytes32 _contentHash, address _voter) public view returns (uint256) {
+        Article storage a = articles[_contentHash];
+        uint256 stake = stakeOf[_contentHash][_voter];
+        if (!a.finalized || stake == 0) return 0;
+        // settled on the first round as recorded by _finalize, so a later appeal does not change payouts
+        StakePool storage pool = stakePools[_contentHash];
+        if (pool.disputed) return stake;
+
+        bool unrevealed = commitReveal && !hasRevealed[_contentHash][_voter];
+        if (unrevealed || stakedLabel[_contentHash][_voter] != pool.winner) {
+            // rounds the kept part down so the slashed pool always covers the winners' bonus
+            return stake * (10000 - pool.slashBps) / 10000;
+        }
+        return stake + (pool.losingStake * pool.slashBps / 10000) * stake / pool.winningStake;
+    }
+
+    function claimStake(bytes32 _contentHash) external {
+        require(articles[_contentHash].finalized, "Not finalized");
+        uint256 amount = claimableStake(_contentHash, msg.sender);
+        require(amount > 0, "Nothing to claim");
+        stakeOf[_contentHash][msg.sender] = 0;
+
+        (bool ok, ) = payable(msg.sender).call{value: amount}("");
+        require(ok, "Transfer failed");
+        emit StakeClaimed(_contentHash, msg.sender, amount);
+    }
+
+    function applyAppealOutcome(bytes32 _contentHash, uint8 _status) external {
+        require(msg.sender == appealRegistry, "Not appeal registry");
+        Article storage a = articles[_contentHash];
+        require(a.finalized, "Not finalized");
+        uint8 previous = a.status;
+        a.status = _status;
+        confidence[_contentHash] = 0; // no longer the vote's verdict
+        _scoreVotes(_contentHash, previous, true);
+        _scoreVotes(_contentHash, _status, false);
+        emit AppealApplied(_contentHash, previous, _status);
+        emit Finalized(_contentHash, _status);
+    }
+
+    function getVotes(bytes32 _contentHash) external view returns (VoteRecord[] memory) {
+        return voteRecords[_contentHash];
+    }
+
+    // reverts if the voter has no counted vote (commit-reveal: not revealed yet)
+    function getVote(bytes32 _contentHash, address _voter) external view returns (VoteRecord memory) {
+        uint256 idx = voteIndex[_contentHash][_voter];
+        require(idx != 0, "No vote");
+        return voteRecords[_contentHash][idx - 1];
+    }
+
     function getArticle(bytes32 _contentHash) external view returns (
         bytes32 contentHash,
         string memory uri,
         address publisher,
         address submitter,
         uint256 createdAt,
-        Status status,
+        uint8 status,
         uint256 yesVotes,
         uint256 noVotes,
         bool finalized
@@ -108,9 +676,155 @@ contract NewsRegistry is Ownable {
         return (a.contentHash, a.uri, a.publisher, a.submitter, a.createdAt, a.status, a.yesVotes, a.noVotes, a.finalized);
     }
 
+    // enumeration: paged getters return newest first, offset 0 = most recent submission
+    function articleCount() external view returns (uint256) {
+        return articleHashes.length;
+    }
+
+    function submitterArticleCount(address _submitter) external view returns (uint256) {
+        return submitterArticles[_submitter].length;
+    }
+
+    function getArticleHashes(uint256 _offset, uint256 _limit) external view returns (bytes32[] memory) {
+        return _page(articleHashes, _offset, _limit);
+    }
+
+    function getAutoVerifiedBy(address _publisher) external view returns (bytes32[] memory) {
+        return publisherAutoVerified[_publisher];
+    }
+
+    function getArticlesBySubmitter(address _submitter, uint256 _offset, uint256 _limit) external view returns (bytes32[] memory) {
+        return _page(submitterArticles[_submitter], _offset, _limit);
+    }
+
+    function getArticleMeta(bytes32 _contentHash) external view returns (ArticleMeta memory) {
+        return articleMeta[_contentHash];
+    }
+
+    function categoryArticleCount(uint16 _category) external view returns (uint256) {
+        return categoryArticles[_category].length;
+    }
+
+    function getArticlesByCategory(uint16 _category, uint256 _offset, uint256 _limit) external view returns (bytes32[] memory) {
+        return _page(categoryArticles[_category], _offset, _limit);
+    }
+
+    // every version in the article's chain, oldest first; empty if the article was never submitted
+    function getVersionChain(bytes32 _contentHash) external view returns (bytes32[] memory chain) {
+        if (articles[_contentHash].createdAt == 0) return chain;
+        bytes32 root = _contentHash;
+        while (previousVersion[root] != bytes32(0)) {
+            root = previousVersion[root];
+        }
+        uint256 n = 1;
+        for (bytes32 h = root; nextVersion[h] != bytes32(0); h = nextVersion[h]) {
+            n++;
+        }
+        chain = new bytes32[](n);
+        bytes32 cur = root;
+        for (uint256 i = 0; i < n; i++) {
+            chain[i] = cur;
+            cur = nextVersion[cur];
+        }
+    }
+
+    // every article submitted with the link, oldest first
+    function getArticlesByUrl(bytes32 _urlHash) external view returns (bytes32[] memory) {
+        return urlArticles[_urlHash];
+    }
+
+    // the first article submitted with the link, zero if none
+    function resolveUrl(bytes32 _urlHash) external view returns (bytes32) {
+        bytes32[] storage list = urlArticles[_urlHash];
+        return list.length == 0 ? bytes32(0) : list[0];
+    }
+
+    // scans the index, so _offset counts matching articles rather than positions
+    function getArticlesByStatus(uint8 _status, uint256 _offset, uint256 _limit) external view returns (bytes32[] memory) {
+        bytes32[] memory matches = new bytes32[](_limit);
+        uint256 found;
+        uint256 skipped;
+        for (uint256 i = articleHashes.length; i > 0 && found < _limit; i--) {
+            bytes32 h = articleHashes[i - 1];
+            if (articles[h].status != _status) continue;
+            if (skipped < _offset) {
+                skipped++;
+                continue;
+            }
+            matches[found++] = h;
+        }
+        bytes32[] memory page = new bytes32[](found);
+        for (uint256 i = 0; i < found; i++) {
+            page[i] = matches[i];
+        }
+        return page;
+    }
+
+    function _page(bytes32[] storage _list, uint256 _offset, uint256 _limit) internal view returns (bytes32[] memory page) {
+        uint256 len = _list.length;
+        if (_offset >= len) return new bytes32[](0);
+        uint256 n = len - _offset;
+        if (n > _limit) n = _limit;
+        page = new bytes32[](n);
+        for (uint256 i = 0; i < n; i++) {
+            page[i] = _list[len - 1 - _offset - i];
+        }
+    }
+
     // admin functions
     function setVotingParams(uint256 _votingPeriod, uint256 _minVotes) external onlyOwner {
         votingPeriod = _votingPeriod;
         minVotes = _minVotes;
     }
+
+    function setAppealRegistry(address _appealRegistry) external onlyOwner {
+        appealRegistry = _appealRegistry;
+    }
+
+    function setRevealPeriod(uint256 _revealPeriod) external onlyOwner {
+        revealPeriod = _revealPeriod;
+    }
+
+    // only affects articles submitted afterwards
+    function setStakeParams(bool _enabled, uint256 _minStake, uint256 _slashBps) external onlyOwner {
+        require(_slashBps <= 10000, "Slash above 100%");
+        stakeWeighted = _enabled;
+        minStake = _minStake;
+        slashBps = _slashBps;
+        emit StakeParamsUpdated(_enabled, _minStake, _slashBps);
+    }
+
+    function getLabels() external view returns (Label[] memory) {
+        return labels;
+    }
+
+    function isVotableLabel(uint8 _label) public view returns (bool) {
+        return _label < labels.length && labels[_label].active;
+    }
+
+    // new labels can be voted for right away, including on articles already under review
+    function addLabel(string calldata _name) external onlyOwner returns (uint8 id) {
+        require(bytes(_name).length > 0, "Name required");
+        require(labels.length < MAX_LABELS, "Too many labels");
+        id = uint8(labels.length);
+        labels.push(Label(_name, true));
+        emit LabelAdded(id, _name);
+    }
+
+    // UnderReview and Disputed are outcomes, never votes
+    function setLabelActive(uint8 _id, bool _active) external onlyOwner {
+        require(_id < labels.length && _id != UNDER_REVIEW && _id != DISPUTED, "Unknown label");
+        labels[_id].active = _active;
+        emit LabelActiveSet(_id, _active);
+    }
+
+    // applies to articles finalized afterwards; a supermajority must be above half
+    function setVerdictPolicy(uint16 _supermajorityBps, uint16 _quorumBps, uint16 _minMarginBps) external onlyOwner {
+        require(_supermajorityBps == 0 || (_supermajorityBps > 5000 && _supermajorityBps <= 10000), "Invalid supermajority");
+        require(_quorumBps <= 10000 && _minMarginBps <= 10000, "Above 100%");
+        supermajorityBps = _supermajorityBps;
+        quorumBps = _quorumBps;
+        minMarginBps = _minMarginBps;
+        emit VerdictPolicyUpdated(_supermajorityBps, _quorumBps, _minMarginBps);
+    }
 }
@@ -4,26 +4,298 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 contract PublisherRegistry is Ownable {
-    mapping(address => bool) public isTrusted;
+    enum ApplicationStatus { None, Pending, Approved, Rejected }
+    // Suspended is temporary (reinstatePublisher); Removed ends trust until the publisher is added again
+    enum TrustState { None, Active, Suspended, Removed }
+
+    // self-submitted request to become a trusted publisher, decided by the owner
+    struct Application {
+        string orgName;
+        string website;
+        string contactURI;
+        uint256 submittedAt;
+        ApplicationStatus status;
+        string reason; // rejection reason
+        uint256 decidedAt;
+    }
+
+    // public metadata shown instead of the bare address; kept after removal for history
+    struct Profile {
+        string name;
+        string domain;
+        string logoURI;
+        uint256 addedAt; // last time the publisher was trusted
+        address addedBy;
+    }
+
+    // topic articles are filed under (NewsRegistry.ArticleMeta); retired categories keep their id and name
+    struct Category {
+        string name;
+        bool active; // new articles can only use active categories
+    }
+
+    mapping(address => TrustState) public trustState;
+    mapping(address => uint256) public trustExpiresAt; // 0 = no expiry
+    mapping(address => bool) public removedForCause; // lets NewsRegistry reopen the publisher's auto-verified articles
+    mapping(address => Profile) private profiles;
+    mapping(address => Application) private applications; // latest application per wallet
+    address[] private applicants; // every wallet that ever applied, in first-application order
+    Category[] private categories; // category id = index + 1; 0 means uncategorized
+    mapping(bytes32 => uint16) public categoryIdByName; // keccak256(name) => id
+    uint256 public constant MAX_CATEGORIES = 65535; // ids are uint16
+    // domain specialists: only publishers granted a category vote on articles filed under it
+    mapping(address => mapping(uint16 => bool)) public categoryTrust;
+    // running voter pool sizes for eligibleVoters; a publisher is counted while trusted, and an expired one
+    // stays counted until settleExpiry
+    mapping(address => bool) public counted;
+    uint256 public activePublisherCount;
+    mapping(uint16 => uint256) public categoryTrustCount; // counted publishers granted the category
+
     event PublisherAdded(address indexed publisher);
     event PublisherRemoved(address indexed publisher);
+    event PublisherRemovedForCause(address indexed publisher, string reason);
+    event PublisherSuspended(address indexed publisher, string reason);
+    event PublisherReinstated(address indexed publisher);
+    event TrustExpirySet(address indexed publisher, uint256 expiresAt);
+    event TrustExpirySettled(address indexed publisher);
+    event ApplicationSubmitted(address indexed applicant, string orgName);
+    event ApplicationApproved(address indexed applicant);
+    event ApplicationRejected(address indexed applicant, string reason);
+    event ProfileUpdated(address indexed publisher, string name, string domain, string logoURI);
+    event CategoryAdded(uint16 indexed id, string name);
+    event CategoryActiveSet(uint16 indexed id, bool active);
+    event CategoryTrustGranted(address indexed publisher, uint16 indexed category);
+    event CategoryTrustRevoked(address indexed publisher, uint16 indexed category);
 
     // Pass deployer as initial owner to the Ownable base
     constructor() Ownable(msg.sender) {}
 
-    function addPublisher(address _publisher) external onlyOwner {
-        require(!isTrusted[_publisher], "Already trusted");
-        isTrusted[_publisher] = true;
+    // a rejected applicant may apply again
+    function applyAsPublisher(string calldata _orgName, string calldata _website, string calldata _contactURI) external {
+        require(!isTrusted(msg.sender), "Already trusted");
+        require(trustState[msg.sender] != TrustState.Suspended, "Suspended");
+        require(bytes(_orgName).length > 0, "Name required");
+        Application storage app = applications[msg.sender];
+        require(app.status != ApplicationStatus.Pending, "Application pending");
+        if (app.status == ApplicationStatus.None) {
+            applicants.push(msg.sender);
+        }
+        applications[msg.sender] = Application(_orgName, _website, _contactURI, block.timestamp, ApplicationStatus.Pending, "", 0);
+        emit ApplicationSubmitted(msg.sender, _orgName);
+    }
+
+    // by the publisher itself or the owner, for anyone who has been a publisher
+    function updateProfile(address _publisher, string calldata _name, string calldata _domain, string calldata _logoURI) external {
+        require(msg.sender == _publisher || msg.sender == owner(), "Not publisher or owner");
+        require(profiles[_publisher].addedAt != 0, "Not a publisher");
+        require(bytes(_name).length > 0, "Name required");
+        _setProfile(_publisher, _name, _domain, _logoURI);
+    }
+
+    function getProfile(address _publisher) external view returns (Profile memory) {
+        return profiles[_publisher];
+    }
+
+    function getApplication(address _applicant) external view returns (Application memory) {
+        return applications[_applicant];
+    }
+
+    function getApplicants() external view returns (address[] memory) {
+        return applicants;
+    }
+
+    function getCategories() external view returns (Category[] memory) {
+        return categories;
+    }
+
+    function isActiveCategory(uint16 _id) public view returns (bool) {
+        return _id != 0 && _id <= categories.length && categories[_id - 1].active;
+    }
+
+    // category ids granted to the publisher, ascending
+    function getPublisherCategories(address _publisher) external view returns (uint16[] memory ids) {
+        uint256 count;
+        for (uint16 id = 1; id <= categories.length; id++) {
+            if (categoryTrust[_publisher][id]) count++;
+        }
+        ids = new uint16[](count);
+        count = 0;
+        for (uint16 id = 1; id <= categories.length; id++) {
+            if (categoryTrust[_publisher][id]) ids[count++] = id;
+        }
+    }
+
+    // uncategorized articles (category 0) are open to every trusted publisher
+    function isTrustedFor(address _publisher, uint16 _category) external view returns (bool) {
+        return isTrusted(_publisher) && (_category == 0 || categoryTrust[_publisher][_category]);
+    }
+
+    // size of the voter pool a quorum is measured against (NewsRegistry.setVerdictPolicy): trusted publishers,
+    // and for a categorized article only those granted the category. Includes expired publishers nobody has
+    // settled yet (settleExpiry)
+    function eligibleVoters(uint16 _category) external view returns (uint256) {
+        return _category == 0 ? activePublisherCount : categoryTrustCount[_category];
+    }
+
+    // active and not expired
+    function isTrusted(address _publisher) public view returns (bool) {
+        uint256 expiresAt = trustExpiresAt[_publisher];
+        return trustState[_publisher] == TrustState.Active && (expiresAt == 0 || block.timestamp < expiresAt);
+    }
+
+    function trustStatus(address _publisher) external view returns (bool) {
+        return isTrusted(_publisher);
+    }
+
+    // an expired publisher can be added again; a suspended one is reinstated instead
+    function _addPublisher(address _publisher) internal {
+        require(!isTrusted(_publisher), "Already trusted");
+        require(trustState[_publisher] != TrustState.Suspended, "Suspended");
+        trustState[_publisher] = TrustState.Active;
+        trustExpiresAt[_publisher] = 0;
+        removedForCause[_publisher] = false;
+        profiles[_publisher].addedAt = block.timestamp;
+        profiles[_publisher].addedBy = msg.sender;
+        _syncCounts(_publisher);
         emit PublisherAdded(_publisher);
     }
 
-    function removePublisher(address _publisher) external onlyOwner {
-        require(isTrusted[_publisher], "Not trusted");
-        isTrusted[_publisher] = false;
+    function _setProfile(address _publisher, string memory _name, string memory _domain, string memory _logoURI) internal {
+        Profile storage p = profiles[_publisher];
+        p.name = _name;
+        p.domain = _domain;
+        p.logoURI = _logoURI;
+        emit ProfileUpdated(_publisher, _name, _domain, _logoURI);
+    }
+
+    function _removePublisher(address _publisher) internal {
+        TrustState state = trustState[_publisher];
+        require(state == TrustState.Active || state == TrustState.Suspended, "Not trusted");
+        trustState[_publisher] = TrustState.Removed;
+        _syncCounts(_publisher);
         emit PublisherRemoved(_publisher);
     }
 
-    function trustStatus(address _publisher) external view returns (bool) {
-        return isTrusted[_publisher];
+    // brings the running counts in line with isTrusted; walks the categories since grants outlive trust
+    function _syncCounts(address _publisher) internal {
+        bool trusted = isTrusted(_publisher);
+        if (counted[_publisher] == trusted) return;
+        counted[_publisher] = trusted;
+        if (trusted) activePublisherCount++;
+        else activePublisherCount--;
+        for (uint16 id = 1; id <= categories.length; id++) {
+            if (!categoryTrust[_publisher][id]) continue;
+            if (trusted) categoryTrustCount[id]++;
+            else categoryTrustCount[id]--;
+        }
+    }
+
+    function _pendingApplication(address _applicant) internal view returns (Application storage app) {
+        app = applications[_applicant];
+        require(app.status == ApplicationStatus.Pending, "No pending application");
+    }
+
+    // admin functions
+    function addPublisher(address _publisher) external onlyOwner {
+        _addPublisher(_publisher);
+    }
+
+    function removePublisher(address _publisher) external onlyOwner {
+        _removePublisher(_publisher);
+    }
+
+    // removal for misconduct: articles the publisher auto-verified can be reopened for review (NewsRegistry.reopenArticles)
+    function removePublisherForCause(address _publisher, string calldata _reason) external onlyOwner {
+        require(bytes(_reason).length > 0, "Reason required");
+        _removePublisher(_publisher);
+        removedForCause[_publisher] = true;
+        emit PublisherRemovedForCause(_publisher, _reason);
+    }
+
+    function suspendPublisher(address _publisher, string calldata _reason) external onlyOwner {
+        require(trustState[_publisher] == TrustState.Active, "Not active");
+        trustState[_publisher] = TrustState.Suspended;
+        _syncCounts(_publisher);
+        emit PublisherSuspended(_publisher, _reason);
+    }
+
+    function reinstatePublisher(address _publisher) external onlyOwner {
+        require(trustState[_publisher] == TrustState.Suspended, "Not suspended");
+        trustState[_publisher] = TrustState.Active;
+        _syncCounts(_publisher);
+        emit PublisherReinstated(_publisher);
+    }
+
+    // _expiresAt = 0 clears the expiry
+    function setTrustExpiry(address _publisher, uint256 _expiresAt) external onlyOwner {
+        TrustState state = trustState[_publisher];
+        require(state == TrustState.Active || state == TrustState.Suspended, "Not trusted");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Expiry in the past");
+        trustExpiresAt[_publisher] = _expiresAt;
+        _syncCounts(_publisher);
+        emit TrustExpirySet(_publisher, _expiresAt);
+    }
+
+    // trust expires without a transaction, so anyone can drop an expired publisher from the voter counts
+    function settleExpiry(address _publisher) external {
+        require(counted[_publisher] && !isTrusted(_publisher), "Not expired");
+        _syncCounts(_publisher);
+        emit TrustExpirySettled(_publisher);
+    }
+
+    function addCategory(string calldata _name) external onlyOwner returns (uint16 id) {
+        require(bytes(_name).length > 0, "Name required");
+        bytes32 key = keccak256(bytes(_name));
+        require(categoryIdByName[key] == 0, "Category exists");
+        require(categories.length < MAX_CATEGORIES, "Too many categories");
+        categories.push(Category(_name, true));
+        id = uint16(categories.length);
+        categoryIdByName[key] = id;
+        emit CategoryAdded(id, _name);
+    }
+
+    // retiring a category keeps existing articles filed under it
+    function setCategoryActive(uint16 _id, bool _active) external onlyOwner {
+        require(_id != 0 && _id <= categories.length, "Unknown category");
+        categories[_id - 1].active = _active;
+        emit CategoryActiveSet(_id, _active);
+    }
+
+    // category trust is kept across suspension and removal; it only counts while the publisher is trusted
+    function grantCategoryTrust(address _publisher, uint16 _category) external onlyOwner {
+        require(profiles[_publisher].addedAt != 0, "Not a publisher");
+        require(_category != 0 && _category <= categories.length, "Unknown category");
+        require(!categoryTrust[_publisher][_category], "Already granted");
+        categoryTrust[_publisher][_category] = true;
+        if (counted[_publisher]) categoryTrustCount[_category]++;
+        emit CategoryTrustGranted(_publisher, _category);
+    }
+
+    function revokeCategoryTrust(address _publisher, uint16 _category) external onlyOwner {
+        require(categoryTrust[_publisher][_category], "Not granted");
+        categoryTrust[_publisher][_category] = false;
+        if (counted[_publisher]) categoryTrustCount[_category]--;
+        emit CategoryTrustRevoked(_publisher, _category);
+    }
+
+    function approveApplication(address _applicant) external onlyOwner {
+        Application storage app = _pendingApplication(_applicant);
+        app.status = ApplicationStatus.Approved;
+        app.decidedAt = block.timestamp;
+        _addPublisher(_applicant);
+        // the application's details seed the profile
+        if (bytes(profiles[_applicant].name).length == 0) {
+            _setProfile(_applicant, app.orgName, app.website, "");
+        }
+        emit ApplicationApproved(_applicant);
+    }
+
+    function rejectApplication(address _applicant, string calldata _reason) external onlyOwner {
+        require(bytes(_reason).length > 0, "Reason required");
+        Application storage app = _pendingApplication(_applicant);
+        app.status = ApplicationStatus.Rejected;
+        app.reason = _reason;
+        app.decidedAt = block.timestamp;
+        emit ApplicationRejected(_applicant, _reason);
     }
 }
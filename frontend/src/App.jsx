@@ -6,8 +6,14 @@ import CheckStatus from "./components/CheckStatus";
 import VoteArticle from "./components/VoteArticle";
 import BlockViewer from "./components/BlockViewer";
 import PublisherAdmin from "./components/PublisherAdmin";
+import LatestArticles from "./components/LatestArticles";
+import PublisherLeaderboard from "./components/PublisherLeaderboard";
+import GovernancePanel from "./components/GovernancePanel";
+import ApplyPublisher from "./components/ApplyPublisher";
+import PublisherProfile from "./components/PublisherProfile";
 import PubJson from "./abis/PublisherRegistry.json";
-import { PUB_ADDRESS } from "./constants";
+import CouncilJson from "./abis/Council.json";
+import { PUB_ADDRESS, COUNCIL_ADDRESS } from "./constants";
 // Ensure bootstrap is imported in index.js: import "bootstrap/dist/css/bootstrap.min.css";
 
 export default function App() {
@@ -17,6 +23,7 @@ export default function App() {
   const [alert, setAlert] = useState(null); // { type, msg } or null
   const [checkingRole, setCheckingRole] = useState(false);
   const [viewKey, setViewKey] = useState(0); // used to force remount of main area when role changes
+  const [selectedHash, setSelectedHash] = useState(null); // feed click-through into CheckStatus
 
   function getProvider() {
     if (typeof window !== "undefined" && window.ethereum) {
@@ -68,11 +75,16 @@ export default function App() {
     setAlert({ type: "info", msg: "Disconnected wallet — back to Guest view." });
   }
 
+  // the owner wallet, or any council member once the Council owns the registries
   async function isOwnerAddress(addr) {
     try {
       const provider = getProvider();
       const contract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, provider);
       const owner = await contract.owner();
+      if (owner && COUNCIL_ADDRESS && owner.toLowerCase() === COUNCIL_ADDRESS.toLowerCase()) {
+        const council = new ethers.Contract(COUNCIL_ADDRESS, CouncilJson.abi, provider);
+        return Boolean(await council.isMember(addr));
+      }
       return owner && owner.toLowerCase() === (addr || "").toLowerCase();
     } catch (e) {
       console.error("owner check failed", e);
@@ -114,7 +126,7 @@ export default function App() {
         if (!trusted) {
           setAlert({
             type: "warning",
-            msg: "Your connected account is NOT a trusted publisher. Ask the owner to add you as a trusted publisher.",
+            msg: "Your connected account is NOT a trusted publisher. Use \"Apply as Publisher\" on the Home view to request access.",
           });
           return;
         }
@@ -126,7 +138,7 @@ export default function App() {
         if (!ownerOk) {
           setAlert({
             type: "warning",
-            msg: "Connected wallet is not the contract owner. Connect the owner wallet to access Owner Dashboard.",
+            msg: "Connected wallet is not the contract owner or a council member. Connect the owner wallet to access Owner Dashboard.",
           });
           return;
         }
@@ -220,7 +232,9 @@ export default function App() {
             <p className="text-muted">As a guest you can submit a public article or check its status on-chain.</p>
             <div className="row gy-3">
               <div className="col-md-6"><SubmitArticle connectedAddress={connectedAddress} /></div>
-              <div className="col-md-6"><CheckStatus connectedAddress={connectedAddress} /></div>
+              <div className="col-md-6"><CheckStatus connectedAddress={connectedAddress} selectedHash={selectedHash} /></div>
+              <div className="col-12"><LatestArticles onSelect={setSelectedHash} /></div>
+              <div className="col-md-6"><ApplyPublisher connectedAddress={connectedAddress} /></div>
             </div>
           </main>
         )}
@@ -232,7 +246,9 @@ export default function App() {
             <div className="row gy-3">
               <div className="col-lg-6"><SubmitArticle connectedAddress={connectedAddress} /></div>
               <div className="col-lg-6"><VoteArticle connectedAddress={connectedAddress} /></div>
-              <div className="col-12"><CheckStatus connectedAddress={connectedAddress} /></div>
+              <div className="col-12"><CheckStatus connectedAddress={connectedAddress} selectedHash={selectedHash} /></div>
+              <div className="col-12"><LatestArticles onSelect={setSelectedHash} /></div>
+              <div className="col-lg-6"><PublisherProfile connectedAddress={connectedAddress} /></div>
             </div>
           </main>
         )}
@@ -245,7 +261,11 @@ export default function App() {
               <div className="col-lg-6"><SubmitArticle connectedAddress={connectedAddress} /></div>
               <div className="col-lg-6"><VoteArticle connectedAddress={connectedAddress} /></div>
               <div className="col-lg-6"><PublisherAdmin connectedAddress={connectedAddress} /></div>
-              <div className="col-lg-6"><CheckStatus connectedAddress={connectedAddress} /></div>
+              <div className="col-lg-6"><PublisherLeaderboard /></div>
+              <div className="col-lg-6"><PublisherProfile connectedAddress={connectedAddress} /></div>
+              <div className="col-lg-6"><GovernancePanel connectedAddress={connectedAddress} /></div>
+              <div className="col-12"><CheckStatus connectedAddress={connectedAddress} selectedHash={selectedHash} /></div>
+              <div className="col-12"><LatestArticles onSelect={setSelectedHash} /></div>
               <div className="col-12"><BlockViewer connectedAddress={connectedAddress} /></div>
             </div>
           </main>
@@ -0,0 +1,104 @@
+// src/archive.js
+// IPFS archival of article text. The archived block is the canonicalized text itself, stored as a raw
+// CIDv1 block, so its sha2-256 multihash is exactly the on-chain contentHash: the CID follows from the hash
+// and anything retrieved can be checked against the chain. The CID is recorded with NewsRegistry.recordArchive,
+// apart from the article's uri, which keeps the link.
+import { CID } from "multiformats/cid";
+import * as Digest from "multiformats/hashes/digest";
+import { canonicalize, sha256Hex } from "./hashing.js";
+import { IPFS_API_URL } from "./constants.js";
+
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+export const MAX_ARCHIVE_BYTES = 1024 * 1024; // largest block Kubo accepts through block/put
+
+export function archiveCid(contentHash) {
+  const digest = Digest.create(SHA2_256, hexToBytes(contentHash));
+  return CID.createV1(RAW_CODEC, digest);
+}
+
+export function archiveUri(contentHash) {
+  return `ipfs://${archiveCid(contentHash)}`;
+}
+
+// the CID in a bare CID or an ipfs:// uri, or null for anything else
+export function parseArchiveCid(value) {
+  const m = /^(?:ipfs:\/\/)?([^/?#\s:]+)$/.exec((value ?? "").trim());
+  if (!m) return null;
+  try {
+    return CID.parse(m[1]);
+  } catch {
+    return null;
+  }
+}
+
+function hexToBytes(hex) {
+  const h = hex.replace(/^0x/, "");
+  if (!/^[0-9a-fA-F]{64}$/.test(h)) throw new Error("contentHash must be 32 bytes");
+  return Uint8Array.from(h.match(/../g), b => parseInt(b, 16));
+}
+
+export function archiveBackend() {
+  return IPFS_API_URL ? `Kubo at ${IPFS_API_URL}` : "in-browser Helia node";
+}
+
+// Helia runs in the page: content is served to the network only while the tab stays open
+let heliaNode = null;
+async function helia() {
+  if (!heliaNode) {
+    heliaNode = import("helia").then(({ createHelia }) => createHelia());
+  }
+  return heliaNode;
+}
+
+async function kubo(command, params, body) {
+  const query = new URLSearchParams(params).toString();
+  const res = await fetch(`${IPFS_API_URL.replace(/\/$/, "")}/api/v0/${command}?${query}`, { method: "POST", body });
+  if (!res.ok) throw new Error(`IPFS ${command} failed: ${res.status} ${await res.text()}`);
+  return res;
+}
+
+// pins the text as hashed under hashVersion; resolves to the CID to record on-chain
+export async function archiveText(text, hashVersion) {
+  const canonical = canonicalize(text, hashVersion);
+  const bytes = new TextEncoder().encode(canonical);
+  if (bytes.length > MAX_ARCHIVE_BYTES) throw new Error("Article text is too large to archive");
+  const cid = archiveCid(await sha256Hex(canonical));
+
+  if (IPFS_API_URL) {
+    const form = new FormData();
+    form.append("file", new Blob([bytes]));
+    const { Key } = await (await kubo("block/put", { "cid-codec": "raw", mhtype: "sha2-256", pin: "true" }, form)).json();
+    if (Key !== cid.toString()) throw new Error(`IPFS node stored ${Key}, expected ${cid}`);
+  } else {
+    const node = await helia();
+    await node.blockstore.put(cid, bytes);
+    // pins.add only pins as its generator is consumed
+    for await (const _pinned of node.pins.add(cid)) {
+      // nothing to do per pinned block
+    }
+  }
+  return cid.toString();
+}
+
+async function fetchBlock(cid) {
+  if (IPFS_API_URL) {
+    return new Uint8Array(await (await kubo("block/get", { arg: cid.toString() })).arrayBuffer());
+  }
+  const node = await helia();
+  const chunks = [];
+  for await (const chunk of node.blockstore.get(cid)) chunks.push(chunk);
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+// retrieves the archived text behind a recorded CID; verified is true only when it hashes to contentHash
+export async function fetchArchivedText(archivedCid, contentHash) {
+  const cid = parseArchiveCid(archivedCid);
+  if (!cid) throw new Error("Not an IPFS CID");
+  const bytes = await fetchBlock(cid);
+  // hash the bytes as retrieved, not the decoded text, so invalid UTF-8 cannot pass
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  const expected = hexToBytes(contentHash);
+  const verified = digest.every((b, i) => b === expected[i]);
+  return { cid: cid.toString(), text: new TextDecoder().decode(bytes), verified };
+}
@@ -0,0 +1,121 @@
+// src/articleMeta.js
+// Category, language and tags chosen at submission (NewsRegistry.ArticleMeta); categories come from
+// the owner-managed registry in PublisherRegistry
+import { ethers } from "ethers";
+import NewsJson from "./abis/NewsRegistry.json";
+import PubJson from "./abis/PublisherRegistry.json";
+import { NEWS_ADDRESS, PUB_ADDRESS } from "./constants";
+
+export const MAX_TAGS = 5; // NewsRegistry.MAX_TAGS
+const MAX_TAG_BYTES = 31; // bytes32 strings keep a terminating zero byte
+const NO_LANGUAGE = "0x0000";
+const SCAN_BATCH = 50;
+
+// ISO 639-1 codes offered in the selectors
+export const LANGUAGES = [
+  ["en", "English"],
+  ["es", "Spanish"],
+  ["fr", "French"],
+  ["de", "German"],
+  ["pt", "Portuguese"],
+  ["it", "Italian"],
+  ["ar", "Arabic"],
+  ["hi", "Hindi"],
+  ["zh", "Chinese"],
+  ["ru", "Russian"],
+];
+
+export function languageName(code) {
+  const match = LANGUAGES.find(([c]) => c === code);
+  return match ? match[1] : code;
+}
+
+// "Vaccines, WHO" => ["vaccines", "who"]; throws when there are too many, or one is too long or not ASCII
+// (NewsRegistry rejects the submission otherwise)
+export function parseTags(input) {
+  const tags = Array.from(new Set((input ?? "").split(",").map(t => t.trim().toLowerCase()).filter(Boolean)));
+  if (tags.length > MAX_TAGS) throw new Error(`At most ${MAX_TAGS} tags`);
+  for (const t of tags) {
+    if ([...t].some(c => c.charCodeAt(0) > 0x7f)) throw new Error(`Tag "${t}" must be ASCII`);
+    if (new TextEncoder().encode(t).length > MAX_TAG_BYTES) throw new Error(`Tag "${t}" is longer than ${MAX_TAG_BYTES} bytes`);
+  }
+  return tags;
+}
+
+// { category, language, tags } from the form => the contract's ArticleMeta tuple
+export function encodeMeta({ category = 0, language = "", tags = [] } = {}) {
+  return {
+    category: Number(category) || 0,
+    language: language ? ethers.utils.hexlify(ethers.utils.toUtf8Bytes(language)) : NO_LANGUAGE,
+    tags: tags.map(t => ethers.utils.formatBytes32String(t)),
+  };
+}
+
+// bytes that do not decode (stored before NewsRegistry checked them) are shown as hex rather than failing
+function decodeOrHex(bytes, decode) {
+  try {
+    return decode(bytes);
+  } catch {
+    return bytes;
+  }
+}
+
+export function decodeMeta(raw) {
+  return {
+    category: Number(raw.category),
+    language: raw.language === NO_LANGUAGE ? "" : decodeOrHex(raw.language, ethers.utils.toUtf8String),
+    tags: raw.tags.map(t => decodeOrHex(t, ethers.utils.parseBytes32String)),
+  };
+}
+
+// [{ id, name, active }] in id order
+export async function loadCategories(provider) {
+  const contract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, provider);
+  const list = await contract.getCategories();
+  return list.map((c, i) => ({ id: i + 1, name: c.name, active: c.active }));
+}
+
+export async function loadArticleMeta(provider, contentHash) {
+  const contract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+  return decodeMeta(await contract.getArticleMeta(contentHash));
+}
+
+// filter = { status, category, language, tag }, unset fields match everything
+async function matches(contract, contentHash, { status, category, language, tag }) {
+  if (status !== undefined && category) {
+    if (Number((await contract.getArticle(contentHash)).status) !== status) return false;
+  }
+  if (!language && !tag) return true;
+  const meta = decodeMeta(await contract.getArticleMeta(contentHash));
+  return (!language || meta.language === language) && (!tag || meta.tags.includes(tag));
+}
+
+// newest first, like the contract's paged getters: offset counts matching articles. Uses the category or
+// status index when one applies and checks the remaining filters article by article
+export async function findArticles(provider, filter, offset, limit) {
+  const contract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+  const { status, category, language, tag } = filter;
+  const source = category
+    ? (o, n) => contract.getArticlesByCategory(category, o, n)
+    : status !== undefined
+      ? (o, n) => contract.getArticlesByStatus(status, o, n)
+      : (o, n) => contract.getArticleHashes(o, n);
+
+  if (!language && !tag && !(category && status !== undefined)) {
+    const hashes = await source(offset, limit + 1);
+    return { hashes: hashes.slice(0, limit), hasMore: hashes.length > limit };
+  }
+
+  const found = [];
+  let skipped = 0;
+  for (let pos = 0; found.length <= limit; pos += SCAN_BATCH) {
+    const batch = await source(pos, SCAN_BATCH);
+    for (const h of batch) {
+      if (found.length > limit || !(await matches(contract, h, filter))) continue;
+      if (skipped < offset) skipped++;
+      else found.push(h);
+    }
+    if (batch.length < SCAN_BATCH) break;
+  }
+  return { hashes: found.slice(0, limit), hasMore: found.length > limit };
+}
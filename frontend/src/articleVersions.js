@@ -0,0 +1,51 @@
+// src/articleVersions.js
+// Correction chains (NewsRegistry.submitRevision): every version of an article with its verdict. Read from the
+// indexer's /api/articles/:hash/versions when INDEXER_URL is set, since the chain path replays Revised events
+import { ethers } from "ethers";
+import NewsJson from "./abis/NewsRegistry.json";
+import { NEWS_ADDRESS } from "./constants";
+import { indexerEnabled, indexerGet } from "./indexerApi";
+
+async function loadFromIndexer(contentHash) {
+  const versions = await indexerGet(`/api/articles/${contentHash}/versions`);
+  return versions.map((v, i) => ({
+    contentHash: v.contentHash,
+    version: i + 1,
+    uri: v.uri,
+    createdAt: v.createdAt,
+    status: v.status,
+    finalized: v.finalized,
+    confidence: v.confidence,
+    verdictCarried: v.verdictCarried,
+  }));
+}
+
+// oldest first; a single entry when the article was never revised
+export async function loadVersionHistory(provider, contentHash) {
+  if (indexerEnabled()) {
+    const versions = await loadFromIndexer(contentHash).catch(e => {
+      console.warn("indexer unavailable, reading from chain", e);
+      return null;
+    });
+    if (versions) return versions;
+  }
+  const contract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+  const chain = await contract.getVersionChain(contentHash);
+  return Promise.all(chain.map(async (hash, i) => {
+    const [a, confidence, revised] = await Promise.all([
+      contract.getArticle(hash),
+      contract.confidence(hash),
+      i === 0 ? [] : contract.queryFilter(contract.filters.Revised(null, hash), 0, "latest"),
+    ]);
+    return {
+      contentHash: hash,
+      version: i + 1,
+      uri: a.uri,
+      createdAt: Number(a.createdAt.toString()),
+      status: Number(a.status),
+      finalized: a.finalized,
+      confidence: Number(confidence),
+      verdictCarried: revised.length > 0 && revised[0].args.verdictCarried,
+    };
+  }));
+}
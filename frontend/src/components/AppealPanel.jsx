@@ -0,0 +1,207 @@
+// src/components/AppealPanel.jsx
+import React, { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import AppealJson from "../abis/AppealRegistry.json";
+import { APPEAL_ADDRESS } from "../constants";
+import { VERIFIED_TRUE, labelName, loadLabels, useLabels, votableLabels } from "../labels";
+
+/*
+  AppealPanel: appeal history and actions for a finalized article (AppealRegistry)
+  - Lists every appeal with evidence, votes per label and outcome
+  - "Appeal" opens a new appeal with the configured bond and an evidence URI
+  - Trusted publishers vote for a verdict label in an open appeal; anyone can resolve it after the appeal
+    period, and the label with the most votes wins (a tie for the lead resolves as Disputed)
+  - A returned bond is withdrawn by the appellant (AppealRegistry.withdrawBond)
+*/
+
+function getProviderAndSigner() {
+  if (typeof window !== "undefined" && window.ethereum) {
+    const prov = new ethers.providers.Web3Provider(window.ethereum);
+    return { provider: prov, signer: prov.getSigner() };
+  }
+  const prov = new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
+  return { provider: prov, signer: null };
+}
+
+function shortRevert(e) {
+  const raw = e?.error?.message || e?.message || String(e);
+  if (/not a trusted publisher/i.test(raw)) return "Only trusted publishers can vote on appeals.";
+  if (/not trusted for category/i.test(raw)) return "Only publishers trusted for this article's category can vote on its appeals.";
+  const m = raw.match(/revert(?:.*:)?\s*(.*)/i);
+  return (m && m[1] ? m[1] : raw).slice(0, 200);
+}
+
+export default function AppealPanel({ contentHash, finalized, connectedAddress, onStatusChange }) {
+  const labels = useLabels();
+  const [appeals, setAppeals] = useState([]);
+  const [params, setParams] = useState(null); // { bond, period, quorum }
+  const [now, setNow] = useState(0);
+  const [refund, setRefund] = useState(null); // returned bonds the connected wallet can withdraw
+  const [evidence, setEvidence] = useState("");
+  const [choice, setChoice] = useState(VERIFIED_TRUE); // label to vote for
+  const [showForm, setShowForm] = useState(false);
+  const [msg, setMsg] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    if (!contentHash || !APPEAL_ADDRESS) return;
+    let cancelled = false;
+    async function load() {
+      try {
+        const { provider } = getProviderAndSigner();
+        const contract = new ethers.Contract(APPEAL_ADDRESS, AppealJson.abi, provider);
+        const [count, bond, period, quorum, block, labelList] = await Promise.all([
+          contract.appealCount(contentHash),
+          contract.appealBond(),
+          contract.appealPeriod(),
+          contract.appealQuorum(),
+          provider.getBlock("latest"),
+          loadLabels(provider),
+        ]);
+        const list = [];
+        for (let i = 0; i < Number(count.toString()); i++) {
+          const ap = await contract.getAppeal(contentHash, i);
+          // one tally per label that received votes
+          const amounts = ap.totalVotes.isZero()
+            ? []
+            : await Promise.all(labelList.map(l => contract.appealLabelVotes(contentHash, i, l.id)));
+          const tallies = amounts
+            .map((n, j) => ({ id: labelList[j].id, votes: Number(n.toString()) }))
+            .filter(t => t.votes > 0);
+          list.push({
+            id: i,
+            appellant: ap.appellant,
+            evidenceURI: ap.evidenceURI,
+            bond: ap.bond,
+            openedAt: Number(ap.openedAt.toString()),
+            priorStatus: Number(ap.priorStatus),
+            tallies,
+            resolved: ap.resolved,
+            outcome: Number(ap.outcome),
+            moot: ap.moot,
+          });
+        }
+        const owed = connectedAddress ? await contract.bondRefunds(connectedAddress) : null;
+        if (cancelled) return;
+        setRefund(owed && !owed.isZero() ? owed : null);
+        setAppeals(list);
+        setParams({ bond, period: Number(period.toString()), quorum: Number(quorum.toString()) });
+        setNow(block.timestamp);
+      } catch (e) {
+        console.error("appeal load error", e);
+        if (!cancelled) setMsg("Failed to load appeals.");
+      }
+    }
+    load();
+    return () => { cancelled = true; };
+  }, [contentHash, connectedAddress, refreshKey]);
+
+  async function send(action) {
+    setMsg("");
+    const { signer } = getProviderAndSigner();
+    if (!signer || !connectedAddress) { setMsg("Connect your wallet first."); return false; }
+    try {
+      setBusy(true);
+      const contract = new ethers.Contract(APPEAL_ADDRESS, AppealJson.abi, signer);
+      const tx = await action(contract);
+      setMsg(`Tx sent: ${tx.hash}`);
+      await tx.wait();
+      setMsg("Done.");
+      setRefreshKey(k => k + 1);
+      onStatusChange && onStatusChange();
+      return true;
+    } catch (e) {
+      console.error(e);
+      setMsg("Failed: " + shortRevert(e));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function openAppeal() {
+    if (!evidence.trim()) { setMsg("Add an evidence URI for the appeal."); return; }
+    const ok = await send(c => c.openAppeal(contentHash, evidence.trim(), { value: params.bond }));
+    if (ok) {
+      setEvidence("");
+      setShowForm(false);
+    }
+  }
+
+  if (!APPEAL_ADDRESS) return null;
+
+  const open = appeals.length > 0 && !appeals[appeals.length - 1].resolved ? appeals[appeals.length - 1] : null;
+  const votingOpen = open && params && now < open.openedAt + params.period;
+
+  return (
+    <div className="mt-3">
+      <div className="d-flex justify-content-between align-items-center">
+        <strong>Appeals</strong>
+        {finalized && !open && params && (
+          <button className="btn btn-sm btn-outline-danger" onClick={() => setShowForm(v => !v)} disabled={busy}>Appeal</button>
+        )}
+      </div>
+
+      {showForm && !open && params && (
+        <div className="mt-2">
+          <label className="form-label small">Evidence URI (bond: {ethers.utils.formatEther(params.bond)} ETH, refunded if the verdict is overturned)</label>
+          <div className="input-group input-group-sm">
+            <input className="form-control" value={evidence} onChange={e => setEvidence(e.target.value)} placeholder="https://... or ipfs://..." />
+            <button className="btn btn-danger" onClick={openAppeal} disabled={busy || !connectedAddress}>Open Appeal</button>
+          </div>
+        </div>
+      )}
+
+      {appeals.length === 0
+        ? <div className="small text-muted mt-1">No appeals.</div>
+        : (
+          <div className="small mt-2">
+            {appeals.map(ap => (
+              <div key={ap.id} className="border-top pt-1 mt-1">
+                <div>
+                  <strong>#{ap.id + 1}</strong> by <span className="text-monospace">{ap.appellant}</span> · {new Date(ap.openedAt * 1000).toLocaleString()}
+                </div>
+                <div>Evidence: <a href={ap.evidenceURI} target="_blank" rel="noreferrer">{ap.evidenceURI}</a></div>
+                <div>
+                  Votes: {ap.tallies.length === 0 ? "none" : ap.tallies.map(t => `${labelName(labels, t.id)} ${t.votes}`).join(" · ")} ·{" "}
+                  {ap.resolved
+                    ? (ap.moot
+                      ? <span className="badge bg-secondary">Moot: article re-reviewed, bond returned</span>
+                      : ap.outcome !== ap.priorStatus
+                      ? <span className="badge bg-warning">Overturned: {labelName(labels, ap.priorStatus)} → {labelName(labels, ap.outcome)}</span>
+                      : <span className="badge bg-secondary">Upheld {labelName(labels, ap.outcome)}</span>)
+                    : <span className="badge bg-info">Open (quorum {params?.quorum})</span>}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+      {open && (
+        <div className="d-flex gap-2 mt-2">
+          {votingOpen ? (
+            <>
+              <select className="form-select form-select-sm" style={{ width: "auto" }} value={choice} onChange={e => setChoice(Number(e.target.value))} disabled={busy}>
+                {votableLabels(labels).map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+              <button className="btn btn-sm btn-outline-primary" onClick={() => send(c => c.voteAppeal(contentHash, choice))} disabled={busy || !connectedAddress}>Appeal vote</button>
+            </>
+          ) : (
+            <button className="btn btn-sm btn-outline-warning" onClick={() => send(c => c.resolveAppeal(contentHash))} disabled={busy || !connectedAddress}>Resolve Appeal</button>
+          )}
+        </div>
+      )}
+
+      {refund && (
+        <div className="mt-2">
+          <button className="btn btn-sm btn-outline-success" onClick={() => send(c => c.withdrawBond())} disabled={busy}>
+            Withdraw returned bond ({ethers.utils.formatEther(refund)} ETH)
+          </button>
+        </div>
+      )}
+
+      {msg && <div className="alert alert-info py-2 mt-2">{msg}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+// src/components/ApplyPublisher.jsx
+import React, { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import PubJson from "../abis/PublisherRegistry.json";
+import { PUB_ADDRESS } from "../constants";
+
+/*
+  ApplyPublisher: self-application to become a trusted publisher (PublisherRegistry.applyAsPublisher)
+  - Organisation name, website and contact URI
+  - Shows the connected wallet's application status and the rejection reason, if any
+  - Rejected applicants can apply again
+*/
+
+const APP_STATUS = ["None", "Pending", "Approved", "Rejected"];
+
+function getProviderAndSigner() {
+  if (typeof window !== "undefined" && window.ethereum) {
+    const prov = new ethers.providers.Web3Provider(window.ethereum);
+    return { provider: prov, signer: prov.getSigner() };
+  }
+  return { provider: new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545"), signer: null };
+}
+
+function shortRevert(e) {
+  const raw = e?.error?.message || e?.message || String(e);
+  const m = raw.match(/revert(?:.*:)?\s*(.*)/i);
+  return (m && m[1] ? m[1] : raw).slice(0, 200);
+}
+
+export default function ApplyPublisher({ connectedAddress }) {
+  const [orgName, setOrgName] = useState("");
+  const [website, setWebsite] = useState("");
+  const [contactURI, setContactURI] = useState("");
+  const [application, setApplication] = useState(null); // latest application of connectedAddress
+  const [trusted, setTrusted] = useState(false);
+  const [msg, setMsg] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    setApplication(null);
+    setTrusted(false);
+    if (!connectedAddress) return;
+    let cancelled = false;
+    async function load() {
+      try {
+        const { provider } = getProviderAndSigner();
+        const contract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, provider);
+        const [app, isTrusted] = await Promise.all([
+          contract.getApplication(connectedAddress),
+          contract.isTrusted(connectedAddress),
+        ]);
+        if (cancelled) return;
+        setTrusted(Boolean(isTrusted));
+        setApplication({
+          orgName: app.orgName,
+          website: app.website,
+          contactURI: app.contactURI,
+          submittedAt: Number(app.submittedAt.toString()),
+          status: Number(app.status),
+          reason: app.reason,
+          decidedAt: Number(app.decidedAt.toString()),
+        });
+      } catch (e) {
+        console.error("application load error", e);
+        if (!cancelled) setMsg("Failed to load application: " + shortRevert(e));
+      }
+    }
+    load();
+    return () => { cancelled = true; };
+  }, [connectedAddress, refreshKey]);
+
+  async function apply() {
+    setMsg("");
+    if (!orgName.trim()) { setMsg("Organisation name is required."); return; }
+    const { signer } = getProviderAndSigner();
+    if (!signer || !connectedAddress) { setMsg("Connect your wallet first."); return; }
+    try {
+      setBusy(true);
+      const contract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, signer);
+      const tx = await contract.applyAsPublisher(orgName.trim(), website.trim(), contactURI.trim());
+      setMsg("Tx sent: " + tx.hash);
+      await tx.wait();
+      setMsg("Application submitted. The owner will review it.");
+      setOrgName(""); setWebsite(""); setContactURI("");
+      setRefreshKey(k => k + 1);
+    } catch (e) {
+      console.error(e);
+      setMsg("Failed: " + shortRevert(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const status = application ? application.status : 0;
+  const canApply = connectedAddress && !trusted && status !== 1;
+
+  return (
+    <div className="card h-100">
+      <div className="card-body">
+        <h5 className="card-title">Apply as Publisher</h5>
+
+        {!connectedAddress && <div className="alert alert-warning py-2">Connect your wallet to apply.</div>}
+
+        {trusted && <div className="alert alert-success py-2">Your wallet is a trusted publisher. Use "Login as Publisher".</div>}
+
+        {application && status !== 0 && (
+          <div className="mb-3 small">
+            <div>
+              <strong>Your application:</strong> {application.orgName}{" "}
+              <span className={`badge bg-${status === 2 ? "success" : status === 3 ? "danger" : "info"}`}>{APP_STATUS[status]}</span>
+            </div>
+            <div className="text-muted">Submitted {new Date(application.submittedAt * 1000).toLocaleString()}</div>
+            {application.decidedAt > 0 && <div className="text-muted">Decided {new Date(application.decidedAt * 1000).toLocaleString()}</div>}
+            {status === 3 && <div>Reason: {application.reason}</div>}
+            {status === 3 && <div className="text-muted">You can update your details and apply again.</div>}
+          </div>
+        )}
+
+        {canApply && (
+          <>
+            <div className="mb-2">
+              <label className="form-label small">Organisation name</label>
+              <input className="form-control form-control-sm" value={orgName} onChange={e => setOrgName(e.target.value)} placeholder="Daily Planet" />
+            </div>
+            <div className="mb-2">
+              <label className="form-label small">Website</label>
+              <input className="form-control form-control-sm" value={website} onChange={e => setWebsite(e.target.value)} placeholder="https://..." />
+            </div>
+            <div className="mb-2">
+              <label className="form-label small">Contact URI</label>
+              <input className="form-control form-control-sm" value={contactURI} onChange={e => setContactURI(e.target.value)} placeholder="mailto:... or https://..." />
+            </div>
+            <button className="btn btn-sm btn-primary" onClick={apply} disabled={busy}>Submit Application</button>
+          </>
+        )}
+
+        {msg && <div className="alert alert-info py-2 mt-2">{msg}</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+// src/components/ArchivedText.jsx
+import React, { useEffect, useState } from "react";
+import { archiveBackend, fetchArchivedText, parseArchiveCid } from "../archive";
+
+/*
+  ArchivedText: the IPFS copy of an article, from the CID in NewsRegistry.archiveCids (see src/archive.js)
+  - Loaded on request, since retrieval from the network can be slow
+  - Only text that hashes to the on-chain contentHash is marked verified
+*/
+
+export default function ArchivedText({ cid, contentHash }) {
+  const [archived, setArchived] = useState(null);
+  const [err, setErr] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // another article was selected
+  useEffect(() => {
+    setArchived(null);
+    setErr("");
+  }, [cid, contentHash]);
+
+  if (!parseArchiveCid(cid)) return null;
+
+  async function load() {
+    setErr("");
+    try {
+      setLoading(true);
+      setArchived(await fetchArchivedText(cid, contentHash));
+    } catch (e) {
+      console.error(e);
+      setErr(e?.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="mt-3">
+      <div className="d-flex justify-content-between align-items-center">
+        <strong>Archived text</strong> <span className="small text-muted text-monospace">ipfs://{cid}</span>
+        {!archived && (
+          <button className="btn btn-sm btn-outline-secondary" onClick={load} disabled={loading} title={`Retrieve through the ${archiveBackend()}`}>
+            {loading ? "Loading..." : "Load from IPFS"}
+          </button>
+        )}
+      </div>
+      {err && <div className="small text-danger mt-1">Retrieval failed: {err}</div>}
+      {archived && (
+        <div className="mt-1">
+          {archived.verified
+            ? <span className="badge bg-success">Verified: hashes to the contentHash</span>
+            : <span className="badge bg-danger">Mismatch: does not hash to the contentHash</span>}
+          <div className="small border rounded p-2 mt-1" style={{ whiteSpace: "pre-wrap", maxHeight: 240, overflowY: "auto" }}>
+            {archived.text}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,24 @@
 // src/components/CheckStatus.jsx
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import { ethers } from "ethers";
 import NewsJson from "../abis/NewsRegistry.json";
-import { NEWS_ADDRESS } from "../constants";
+import { NEWS_ADDRESS, PUB_ADDRESS } from "../constants";
+import AppealPanel from "./AppealPanel";
+import PublisherName from "./PublisherName";
+import { HASH_VERSIONS, findContentHash } from "../hashing";
+import { simhash } from "../fingerprint";
+import { findSimilarVerdicts } from "../similarArticles";
+import SimilarArticles from "./SimilarArticles";
+import { loadVersionHistory } from "../articleVersions";
+import VersionHistory from "./VersionHistory";
+import ArchivedText from "./ArchivedText";
+import MetaSelect from "./MetaSelect";
+import StatusBadge from "./StatusBadge";
+import { labelName, loadLabels, useLabels } from "../labels";
+import { findArticles, languageName, loadArticleMeta, loadCategories } from "../articleMeta";
+import { indexerEnabled, indexerGet } from "../indexerApi";
+
+const TOPIC_LIMIT = 20;
 
 function getProvider() {
   if (typeof window !== "undefined" && window.ethereum) {
@@ -11,53 +27,73 @@ function getProvider() {
   return new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
 }
 
-async function computeSha256HexStrict(text) {
-  const encoder = new TextEncoder();
-  const normalized = (text ?? "").trim();
-  const data = encoder.encode(normalized);
-  const hashBuffer = await crypto.subtle.digest("SHA-256", data);
-  const bytes = Array.from(new Uint8Array(hashBuffer));
-  const hex = bytes.map(b => b.toString(16).padStart(2, "0")).join("");
-  return "0x" + hex;
+function normalizeHexInput(raw) {
+  if (!raw) return "";
+  let h = raw.trim();
+  if (!h.startsWith("0x")) h = "0x" + h;
+  return h;
+}
+
+function isValidBytes32(hex) {
+  try {
+    if (!hex) return false;
+    if (!hex.startsWith("0x")) hex = "0x" + hex;
+    const arr = ethers.utils.arrayify(hex);
+    return arr.length === 32;
+  } catch (e) {
+    return false;
+  }
+}
+
+// evidence links are clickable, plain rationales are shown as text
+function Rationale({ text }) {
+  if (!text) return <span className="text-muted">—</span>;
+  if (/^(https?:\/\/|ipfs:\/\/)\S+$/i.test(text.trim())) {
+    return <a href={text.trim()} target="_blank" rel="noreferrer">{text.trim()}</a>;
+  }
+  return <span>{text}</span>;
 }
 
-function StatusBadge({ statusNum }) {
-  const s = Number(statusNum);
-  const cls = s === 1 ? "success" : s === 2 ? "danger" : s === 3 ? "warning" : "secondary";
-  const label = s === 0 ? "UnderReview" : s === 1 ? "VerifiedTrue" : s === 2 ? "MarkedFake" : s === 3 ? "Disputed" : `Unknown(${s})`;
-  return <span className={`badge bg-${cls}`}>{label}</span>;
+// confidence = NewsRegistry.confidence, the deciding vote's margin in basis points (0 = not voted)
+// coarse reading of the vote margin shown next to the percentage
+function confidenceLevel(bps) {
+  return bps >= 6000 ? "high" : bps >= 2000 ? "moderate" : "low";
 }
 
-export default function CheckStatus() {
+export default function CheckStatus({ connectedAddress, selectedHash }) {
   const provider = getProvider();
+  const labels = useLabels();
   const [hashInput, setHashInput] = useState("");
   const [articleInput, setArticleInput] = useState("");
   const [computedHash, setComputedHash] = useState("");
   const [res, setRes] = useState(null);
   const [err, setErr] = useState("");
   const [loading, setLoading] = useState(false);
+  const [finalizable, setFinalizable] = useState(false);
+  const [finalizeMsg, setFinalizeMsg] = useState("");
+  const [votes, setVotes] = useState([]);
+  const [similar, setSimilar] = useState([]);
+  const [linked, setLinked] = useState([]); // every article submitted with a pasted link
+  const [versions, setVersions] = useState([]); // correction chain, oldest first
+  const [categories, setCategories] = useState([]);
+  const [topic, setTopic] = useState({ category: "", language: "", tags: "" });
+  const [topicResults, setTopicResults] = useState(null); // [{ contentHash, uri, status, confidence }] once searched
 
-  function normalizeHexInput(raw) {
-    if (!raw) return "";
-    let h = raw.trim();
-    if (!h.startsWith("0x")) h = "0x" + h;
-    return h;
-  }
-
-  function isValidBytes32(hex) {
-    try {
-      if (!hex) return false;
-      if (!hex.startsWith("0x")) hex = "0x" + hex;
-      const arr = ethers.utils.arrayify(hex);
-      return arr.length === 32;
-    } catch (e) {
-      return false;
-    }
-  }
+  useEffect(() => {
+    if (!PUB_ADDRESS) return;
+    loadCategories(getProvider()).then(setCategories).catch(e => console.error("loadCategories error", e));
+  }, []);
 
-  async function fetchArticleByHash(hex) {
+  // a fresh provider per call keeps the callback stable across renders
+  const fetchArticleByHash = useCallback(async (hex) => {
+    const provider = getProvider();
     setErr("");
     setRes(null);
+    setFinalizable(false);
+    setFinalizeMsg("");
+    setVotes([]);
+    setSimilar([]);
+    setVersions([]);
     if (!hex) { setErr("No content hash provided"); return; }
     if (!isValidBytes32(hex)) { setErr("Invalid contentHash: must be 32 bytes (0x..)."); return; }
 
@@ -72,9 +108,27 @@ export default function CheckStatus() {
         return;
       }
       const status = Number(article[5]);
-      const yes = Number(article[6].toString());
-      const no = Number(article[7].toString());
       const finalized = Boolean(article[8]);
+      // stake-weighted articles tally wei, not votes
+      const staked = Boolean((await contract.stakePools(hex)).enabled);
+      const format = v => (staked ? `${ethers.utils.formatEther(v)} ETH` : v.toString());
+      // one tally per label that received votes
+      const labelList = await loadLabels(provider);
+      const amounts = await Promise.all(labelList.map(l => contract.labelVotes(hex, l.id)));
+      const tallies = labelList
+        .map((l, i) => ({ id: l.id, amount: amounts[i] }))
+        .filter(t => !t.amount.isZero())
+        .map(t => ({ id: t.id, amount: format(t.amount) }));
+      // auto-verifications by a publisher removed for cause are reopened (or can be)
+      const [reopenedAt, reopenable, hashVersion, fingerprint, meta, confidence, archiveCid] = await Promise.all([
+        contract.reopenedAt(hex),
+        contract.canReopen(hex),
+        contract.hashVersion(hex),
+        contract.fingerprints(hex),
+        loadArticleMeta(provider, hex),
+        contract.confidence(hex),
+        contract.archiveCids(hex),
+      ]);
 
       setRes({
         contentHash: article[0],
@@ -83,10 +137,100 @@ export default function CheckStatus() {
         submitter: article[3],
         createdAt,
         status,
-        yes,
-        no,
-        finalized
+        tallies,
+        finalized,
+        staked,
+        reopenedAt: Number(reopenedAt.toString()),
+        reopenable: Boolean(reopenable),
+        hashVersion: Number(hashVersion),
+        meta,
+        confidence: Number(confidence),
+        archiveCid,
       });
+      if (!finalized) setFinalizable(Boolean(await contract.isFinalizable(hex)));
+      const records = await contract.getVotes(hex);
+      setVotes(records.map(v => ({
+        voter: v.voter,
+        label: Number(v.label),
+        timestamp: Number(v.timestamp.toString()),
+        rationale: v.rationale,
+      })));
+      const history = await loadVersionHistory(provider, hex);
+      setVersions(history);
+      // other versions of the same article are shown in the history, not as near-duplicates
+      const chain = new Set(history.map(v => v.contentHash.toLowerCase()));
+      const close = await findSimilarVerdicts(provider, fingerprint, { exclude: hex });
+      setSimilar(close.filter(c => !chain.has(c.contentHash.toLowerCase())));
+    } catch (e) {
+      console.error(e);
+      setErr(e?.error?.message || e?.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // click-through from the Latest Articles feed
+  useEffect(() => {
+    if (!selectedHash) return;
+    setHashInput(selectedHash);
+    fetchArticleByHash(selectedHash);
+  }, [selectedHash, fetchArticleByHash]);
+
+  // voting period elapsed with enough votes but nobody voted since: anyone can close it out
+  async function finalizeArticle() {
+    setFinalizeMsg("");
+    if (!res) return;
+    if (!connectedAddress || !(typeof window !== "undefined" && window.ethereum)) {
+      setFinalizeMsg("Connect your wallet to finalize.");
+      return;
+    }
+    try {
+      setLoading(true);
+      const signer = provider.getSigner();
+      const contract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, signer);
+      const tx = await contract.finalize(res.contentHash);
+      setFinalizeMsg(`Finalize tx sent: ${tx.hash}`);
+      await tx.wait();
+      await fetchArticleByHash(res.contentHash);
+      setFinalizeMsg("Article finalized.");
+    } catch (e) {
+      console.error(e);
+      const raw = e?.error?.message || e?.message || String(e);
+      const m = raw.match(/revert(?:.*:)?\s*(.*)/i);
+      setFinalizeMsg("Finalize failed: " + (m && m[1] ? m[1] : raw).slice(0, 200));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // articles matching a category / language / tag, through the indexer when it is configured
+  async function searchTopic() {
+    setErr("");
+    setTopicResults(null);
+    const filter = {
+      category: topic.category ? Number(topic.category) : undefined,
+      language: topic.language || undefined,
+      tag: topic.tags.trim().toLowerCase() || undefined,
+    };
+    try {
+      setLoading(true);
+      let items = null;
+      if (indexerEnabled()) {
+        items = await indexerGet("/articles", { ...filter, limit: TOPIC_LIMIT })
+          .then(page => page.items.map(a => ({ contentHash: a.contentHash, uri: a.uri, status: a.status, confidence: a.confidence })))
+          .catch(e => {
+            console.warn("indexer unavailable, reading from chain", e);
+            return null;
+          });
+      }
+      if (!items) {
+        const contract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+        const { hashes } = await findArticles(provider, filter, 0, TOPIC_LIMIT);
+        const articles = await Promise.all(hashes.map(h => contract.getArticle(h)));
+        const confidences = await Promise.all(hashes.map(h => contract.confidence(h)));
+        items = articles.map((a, i) => ({ contentHash: a[0], uri: a[1], status: Number(a[5]), confidence: Number(confidences[i]) }));
+      }
+      setTopicResults(items);
     } catch (e) {
       console.error(e);
       setErr(e?.error?.message || e?.message || String(e));
@@ -95,6 +239,12 @@ export default function CheckStatus() {
     }
   }
 
+  function categoryName(id) {
+    if (!id) return "Uncategorized";
+    const c = categories.find(x => x.id === id);
+    return c ? c.name : `#${id}`;
+  }
+
   async function onCheckHash() {
     const hex = normalizeHexInput(hashInput);
     await fetchArticleByHash(hex);
@@ -103,12 +253,23 @@ export default function CheckStatus() {
   async function onComputeAndCheck() {
     setErr("");
     setRes(null);
+    setLinked([]);
     if (!articleInput || articleInput.trim() === "") { setErr("Enter article text or URL to compute."); return; }
     try {
       setLoading(true);
-      const h = await computeSha256HexStrict(articleInput);
+      // try every hash version so articles submitted under older rules are still found;
+      // a link also finds articles whose hash covers their text
+      const contract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+      const { hash: h, found, linked: byUrl } = await findContentHash(
+        articleInput,
+        async hash => Number((await contract.getArticle(hash))[4].toString()) !== 0,
+        urlHash => contract.getArticlesByUrl(urlHash)
+      );
       setComputedHash(h);
+      setLinked(byUrl.length > 1 ? byUrl : []);
       await fetchArticleByHash(h);
+      // not on-chain yet: a lightly edited copy may already have a verdict
+      if (!found) setSimilar(await findSimilarVerdicts(provider, simhash(articleInput)));
     } catch (e) {
       setErr(String(e));
     } finally {
@@ -138,27 +299,134 @@ export default function CheckStatus() {
           </div>
         </div>
 
+        <div className="mb-2">
+          <label className="form-label small">Or search by topic</label>
+          <MetaSelect value={topic} onChange={setTopic} categories={categories} mode="filter" />
+          <button className="btn btn-sm btn-outline-primary mt-2" onClick={searchTopic} disabled={loading || (!topic.category && !topic.language && !topic.tags.trim())}>Search</button>
+        </div>
+
+        {topicResults && (
+          <div className="small mt-2">
+            {topicResults.length === 0 ? <span className="text-muted">No articles match.</span> : (
+              <div className="list-group list-group-flush">
+                {topicResults.map(a => (
+                  <button
+                    key={a.contentHash}
+                    type="button"
+                    className="list-group-item list-group-item-action d-flex justify-content-between align-items-center"
+                    style={{ background: "transparent", color: "var(--text)" }}
+                    onClick={() => { setHashInput(a.contentHash); fetchArticleByHash(a.contentHash); }}
+                  >
+                    <span><span className="text-monospace">{a.contentHash.slice(0, 10)}…</span> <span className="text-muted">{a.uri || "(no URI)"}</span></span>
+                    <StatusBadge statusNum={a.status} confidence={a.confidence} />
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {err && <div className="alert alert-danger mt-3">{err}</div>}
 
+        {linked.length > 0 && (
+          <div className="small mt-2">
+            {linked.length} articles were submitted with this link:
+            {linked.map(h => (
+              <button
+                key={h}
+                className={`btn btn-link btn-sm text-monospace${res && res.contentHash === h ? " fw-bold" : ""}`}
+                onClick={() => { setHashInput(h); fetchArticleByHash(h); }}
+              >
+                {h.slice(0, 10)}…
+              </button>
+            ))}
+          </div>
+        )}
+
+        <SimilarArticles
+          items={similar}
+          onSelect={h => { setHashInput(h); fetchArticleByHash(h); }}
+        />
+
         {res && (
           <div className="card mt-3 p-2">
             <div className="d-flex justify-content-between align-items-start">
               <div>
                 <div><strong>contentHash:</strong> <span className="text-monospace">{res.contentHash}</span></div>
                 <div><strong>URI:</strong> {res.uri || "(empty)"}</div>
-                <div><strong>Publisher:</strong> {res.publisher}</div>
-                <div><strong>Submitter:</strong> {res.submitter}</div>
+                <div><strong>Publisher:</strong> <PublisherName address={res.publisher} /></div>
+                <div><strong>Submitter:</strong> <PublisherName address={res.submitter} /></div>
                 <div><strong>Stored At:</strong> {new Date(res.createdAt * 1000).toLocaleString()}</div>
+                <div><strong>Category:</strong> {categoryName(res.meta.category)}{res.meta.language && <> · <strong>Language:</strong> {languageName(res.meta.language)}</>}</div>
+                {res.meta.tags.length > 0 && (
+                  <div>{res.meta.tags.map(t => <span key={t} className="badge bg-light text-dark me-1">{t}</span>)}</div>
+                )}
+                <div className="small text-muted">
+                  Hash rules: {res.hashVersion ? `v${res.hashVersion} (${HASH_VERSIONS[res.hashVersion] || "unknown"})` : "not recorded"}
+                </div>
               </div>
               <div className="text-end">
-                <StatusBadge statusNum={res.status} />
-                <div className="mt-2 small">Yes / No: {res.yes} / {res.no}</div>
+                <StatusBadge statusNum={res.status} confidence={res.confidence} />
+                <div className="mt-2 small">
+                  {res.tallies.length === 0
+                    ? "No votes counted"
+                    : res.tallies.map(t => `${labelName(labels, t.id)} ${t.amount}`).join(" · ")}
+                </div>
+                {res.finalized && res.confidence > 0 && (
+                  <div className="small text-muted">Confidence {(res.confidence / 100).toFixed(1)}% ({confidenceLevel(res.confidence)})</div>
+                )}
+                {res.staked && <div className="small text-muted">Stake-weighted</div>}
                 <div className="small mt-1">Finalized: {String(res.finalized)}</div>
+                {res.reopenedAt > 0 && (
+                  <div className="small mt-1"><span className="badge bg-warning">Reopened {new Date(res.reopenedAt * 1000).toLocaleString()}</span></div>
+                )}
+                {res.reopenable && <div className="small mt-1"><span className="badge bg-danger">Publisher removed for cause</span></div>}
+                {finalizable && (
+                  <button className="btn btn-sm btn-outline-warning mt-2" onClick={finalizeArticle} disabled={loading}>Finalize</button>
+                )}
               </div>
             </div>
+            <ArchivedText cid={res.archiveCid} contentHash={res.contentHash} />
+            <VersionHistory
+              versions={versions}
+              current={res.contentHash}
+              onSelect={h => { setHashInput(h); fetchArticleByHash(h); }}
+            />
+            <div className="mt-3">
+              <strong>Votes</strong>
+              {votes.length === 0 ? <div className="small text-muted mt-1">No votes yet.</div> : (
+                <div className="table-responsive mt-1">
+                  <table className="table table-sm small mb-0" style={{ color: "var(--text)" }}>
+                    <thead>
+                      <tr><th>Voter</th><th>Choice</th><th>Time</th><th>Rationale</th></tr>
+                    </thead>
+                    <tbody>
+                      {votes.map(v => (
+                        <tr key={v.voter}>
+                          <td><PublisherName address={v.voter} /></td>
+                          <td><StatusBadge statusNum={v.label} /></td>
+                          <td>{new Date(v.timestamp * 1000).toLocaleString()}</td>
+                          <td style={{ wordBreak: "break-word" }}><Rationale text={v.rationale} /></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+            {res.finalized && (
+              <AppealPanel
+                contentHash={res.contentHash}
+                finalized={res.finalized}
+                connectedAddress={connectedAddress}
+                onStatusChange={() => fetchArticleByHash(res.contentHash)}
+              />
+            )}
           </div>
         )}
 
+        {finalizeMsg && <div className="alert alert-info py-2 mt-2">{finalizeMsg}</div>}
+
         {loading && <div className="mt-3"><div className="spinner-border spinner-border-sm" role="status"><span className="visually-hidden">Loading...</span></div> Checking...</div>}
       </div>
     </div>
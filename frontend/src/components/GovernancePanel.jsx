@@ -0,0 +1,252 @@
+// src/components/GovernancePanel.jsx
+import React, { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import CouncilJson from "../abis/Council.json";
+import NewsJson from "../abis/NewsRegistry.json";
+import PubJson from "../abis/PublisherRegistry.json";
+import AppealJson from "../abis/AppealRegistry.json";
+import { COUNCIL_ADDRESS, NEWS_ADDRESS, PUB_ADDRESS, APPEAL_ADDRESS } from "../constants";
+import { loadLabels } from "../labels";
+
+/*
+  GovernancePanel: M-of-N council that owns the registries (Council.sol)
+  - Members, threshold and timelock delay
+  - Proposal list with decoded calls, approvals and timelock state
+  - Members approve, execute (once approved and the timelock passed) or cancel their own proposals
+  - Only approvals of current members count; a proposal that meets a lowered threshold is queued by hand
+  - New proposals for voting params, the verdict policy, verdict labels and council membership; publisher add/remove is proposed from PublisherAdmin
+*/
+
+const TARGETS = [
+  { name: "PublisherRegistry", address: PUB_ADDRESS, abi: PubJson.abi },
+  { name: "NewsRegistry", address: NEWS_ADDRESS, abi: NewsJson.abi },
+  { name: "AppealRegistry", address: APPEAL_ADDRESS, abi: AppealJson.abi },
+  { name: "Council", address: COUNCIL_ADDRESS, abi: CouncilJson.abi },
+];
+
+const PROPOSAL_TYPES = [
+  { key: "setVotingParams", label: "Set voting params", target: "NewsRegistry", fields: ["votingPeriod (s)", "minVotes"] },
+  { key: "setVerdictPolicy", label: "Set verdict policy", target: "NewsRegistry", fields: ["supermajority (bps, 0 = simple majority)", "quorum (bps of eligible publishers)", "min margin (bps)"] },
+  { key: "addLabel", label: "Add verdict label", target: "NewsRegistry", fields: ["label name"] },
+  { key: "setLabelActive", label: "Retire / restore verdict label", target: "NewsRegistry", fields: ["label id", "active (true / false)"] },
+  { key: "addMember", label: "Add council member", target: "Council", fields: ["member address"] },
+  { key: "removeMember", label: "Remove council member", target: "Council", fields: ["member address"] },
+  { key: "setThreshold", label: "Set approval threshold", target: "Council", fields: ["threshold"] },
+  { key: "setDelay", label: "Set timelock delay", target: "Council", fields: ["delay (s)"] },
+];
+
+function getProviderAndSigner() {
+  if (typeof window !== "undefined" && window.ethereum) {
+    const prov = new ethers.providers.Web3Provider(window.ethereum);
+    return { provider: prov, signer: prov.getSigner() };
+  }
+  const prov = new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
+  return { provider: prov, signer: null };
+}
+
+function shortRevert(e) {
+  const raw = e?.error?.message || e?.message || String(e);
+  if (/not a council member/i.test(raw)) return "Only council members can propose or approve.";
+  const m = raw.match(/revert(?:.*:)?\s*(.*)/i);
+  return (m && m[1] ? m[1] : raw).slice(0, 200);
+}
+
+function findTarget(addr) {
+  return TARGETS.find(t => t.address && t.address.toLowerCase() === (addr || "").toLowerCase());
+}
+
+// "NewsRegistry.setVotingParams(60, 2)" when the target is known, raw calldata otherwise
+function describeCall(target, data) {
+  const t = findTarget(target);
+  if (!t) return `${target} ${data.slice(0, 10)}…`;
+  try {
+    const parsed = new ethers.utils.Interface(t.abi).parseTransaction({ data });
+    return `${t.name}.${parsed.name}(${parsed.args.map(a => a.toString()).join(", ")})`;
+  } catch {
+    return `${t.name} ${data.slice(0, 10)}…`;
+  }
+}
+
+export default function GovernancePanel({ connectedAddress }) {
+  const [info, setInfo] = useState(null); // { members, threshold, delay }
+  const [proposals, setProposals] = useState([]);
+  const [now, setNow] = useState(0);
+  const [isMember, setIsMember] = useState(false);
+  const [typeKey, setTypeKey] = useState(PROPOSAL_TYPES[0].key);
+  const [args, setArgs] = useState([]);
+  const [msg, setMsg] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    if (!COUNCIL_ADDRESS) return;
+    let cancelled = false;
+    async function load() {
+      try {
+        const { provider } = getProviderAndSigner();
+        const council = new ethers.Contract(COUNCIL_ADDRESS, CouncilJson.abi, provider);
+        const [members, threshold, delay, count, block] = await Promise.all([
+          council.getMembers(),
+          council.threshold(),
+          council.delay(),
+          council.proposalCount(),
+          provider.getBlock("latest"),
+        ]);
+        const list = [];
+        for (let i = Number(count.toString()) - 1; i >= 0; i--) {
+          const p = await council.getProposal(i);
+          const approved = connectedAddress ? await council.hasApproved(i, connectedAddress) : false;
+          list.push({
+            id: i,
+            proposer: p.proposer,
+            call: describeCall(p.target, p.data),
+            description: p.description,
+            approvals: Number(p.approvals.toString()),
+            readyAt: Number(p.readyAt.toString()),
+            executed: p.executed,
+            cancelled: p.cancelled,
+            approved,
+          });
+        }
+        if (cancelled) return;
+        setInfo({ members, threshold: Number(threshold.toString()), delay: Number(delay.toString()) });
+        setProposals(list);
+        setNow(block.timestamp);
+        setIsMember(Boolean(connectedAddress && members.some(m => m.toLowerCase() === connectedAddress.toLowerCase())));
+      } catch (e) {
+        console.error("governance load error", e);
+        if (!cancelled) setMsg("Failed to load council: " + shortRevert(e));
+      }
+    }
+    load();
+    return () => { cancelled = true; };
+  }, [connectedAddress, refreshKey]);
+
+  async function send(action) {
+    setMsg("");
+    const { signer } = getProviderAndSigner();
+    if (!signer || !connectedAddress) { setMsg("Connect your wallet first."); return false; }
+    try {
+      setBusy(true);
+      const council = new ethers.Contract(COUNCIL_ADDRESS, CouncilJson.abi, signer);
+      const tx = await action(council);
+      setMsg(`Tx sent: ${tx.hash}`);
+      await tx.wait();
+      setMsg("Done.");
+      setRefreshKey(k => k + 1);
+      return true;
+    } catch (e) {
+      console.error(e);
+      setMsg("Failed: " + shortRevert(e));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // an executed proposal may have changed the verdict labels every badge reads
+  async function execute(id) {
+    if (await send(c => c.execute(id))) loadLabels(undefined, true).catch(e => console.error("labels reload error", e));
+  }
+
+  async function propose() {
+    const type = PROPOSAL_TYPES.find(t => t.key === typeKey);
+    const values = type.fields.map((_, i) => (args[i] || "").trim());
+    if (values.some(v => !v)) { setMsg("Fill in all fields."); return; }
+    // ethers encodes any non-empty string as a true bool
+    const encoded = values.map(v => (v === "true" ? true : v === "false" ? false : v));
+    const target = TARGETS.find(t => t.name === type.target);
+    let data;
+    try {
+      data = new ethers.utils.Interface(target.abi).encodeFunctionData(type.key, encoded);
+    } catch {
+      setMsg("Invalid arguments.");
+      return;
+    }
+    const ok = await send(c => c.propose(target.address, data, `${type.label}: ${values.join(", ")}`));
+    if (ok) setArgs([]);
+  }
+
+  function proposalState(p) {
+    if (p.executed) return <span className="badge bg-success">Executed</span>;
+    if (p.cancelled) return <span className="badge bg-secondary">Cancelled</span>;
+    if (!info || p.approvals < info.threshold) {
+      return <span className="badge bg-info">Approvals {p.approvals}/{info?.threshold}</span>;
+    }
+    if (p.readyAt === 0) return <span className="badge bg-info">Approved, not queued</span>;
+    if (now < p.readyAt) return <span className="badge bg-warning">Timelocked until {new Date(p.readyAt * 1000).toLocaleString()}</span>;
+    return <span className="badge bg-primary">Ready</span>;
+  }
+
+  if (!COUNCIL_ADDRESS) return null;
+
+  const type = PROPOSAL_TYPES.find(t => t.key === typeKey);
+
+  return (
+    <div className="card h-100">
+      <div className="card-body">
+        <div className="d-flex justify-content-between align-items-center mb-2">
+          <h5 className="card-title mb-0">Governance Council</h5>
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => setRefreshKey(k => k + 1)} disabled={busy}>Refresh</button>
+        </div>
+
+        <div className="mb-2 small"><strong>Contract:</strong> <span className="text-monospace">{COUNCIL_ADDRESS}</span></div>
+        {info && (
+          <div className="mb-3 small">
+            <div><strong>Rule:</strong> {info.threshold}-of-{info.members.length} approvals, {info.delay}s timelock</div>
+            <div><strong>Members:</strong> {info.members.map(m => <span key={m} className="text-monospace d-block">{m}</span>)}</div>
+            {connectedAddress && !isMember && <div className="text-muted mt-1">Your wallet is not a council member (read-only).</div>}
+          </div>
+        )}
+
+        {isMember && (
+          <div className="mb-3">
+            <label className="form-label small">New proposal</label>
+            <div className="input-group input-group-sm">
+              <select className="form-select" value={typeKey} onChange={e => { setTypeKey(e.target.value); setArgs([]); }} style={{ maxWidth: 220 }}>
+                {PROPOSAL_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+              </select>
+              {type.fields.map((f, i) => (
+                <input key={f} className="form-control" placeholder={f} value={args[i] || ""} onChange={e => setArgs(a => { const n = [...a]; n[i] = e.target.value; return n; })} />
+              ))}
+              <button className="btn btn-outline-primary" onClick={propose} disabled={busy}>Propose</button>
+            </div>
+          </div>
+        )}
+
+        {msg && <div className="alert alert-info py-2">{msg}</div>}
+
+        <strong>Proposals</strong>
+        {proposals.length === 0 ? <div className="small text-muted mt-1">No proposals yet.</div> : (
+          <div className="small mt-2">
+            {proposals.map(p => {
+              const open = !p.executed && !p.cancelled;
+              const approved = open && info && p.approvals >= info.threshold;
+              const ready = approved && p.readyAt !== 0 && now >= p.readyAt;
+              return (
+                <div key={p.id} className="border-top pt-1 mt-1">
+                  <div className="d-flex justify-content-between align-items-center">
+                    <div><strong>#{p.id}</strong> {p.description || p.call}</div>
+                    {proposalState(p)}
+                  </div>
+                  <div className="text-monospace">{p.call}</div>
+                  <div className="text-muted">Proposed by <span className="text-monospace">{p.proposer}</span></div>
+                  {open && isMember && (
+                    <div className="d-flex gap-2 mt-1">
+                      {!p.approved && <button className="btn btn-sm btn-outline-success" onClick={() => send(c => c.approve(p.id))} disabled={busy}>Approve</button>}
+                      {approved && p.readyAt === 0 && <button className="btn btn-sm btn-outline-primary" onClick={() => send(c => c.queue(p.id))} disabled={busy}>Queue</button>}
+                      {ready && <button className="btn btn-sm btn-success" onClick={() => execute(p.id)} disabled={busy}>Execute</button>}
+                      {p.proposer.toLowerCase() === connectedAddress?.toLowerCase() && (
+                        <button className="btn btn-sm btn-outline-danger" onClick={() => send(c => c.cancel(p.id))} disabled={busy}>Cancel</button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
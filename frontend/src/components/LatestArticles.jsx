@@ -0,0 +1,208 @@
+// src/components/LatestArticles.jsx
+import React, { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import NewsJson from "../abis/NewsRegistry.json";
+import { NEWS_ADDRESS, PUB_ADDRESS } from "../constants";
+import { indexerEnabled, indexerGet } from "../indexerApi";
+import { findArticles, loadCategories } from "../articleMeta";
+import MetaSelect from "./MetaSelect";
+import StatusBadge from "./StatusBadge";
+import { useLabels } from "../labels";
+
+/*
+  LatestArticles: paginated feed over NewsRegistry's on-chain index
+  - Newest first (getArticleHashes / getArticlesByStatus)
+  - Status filter over the contract's verdict labels (src/labels.js), plus category / language / tag filters (src/articleMeta.js)
+  - Clicking a row hands the contentHash to onSelect (CheckStatus detail view)
+  - Reads through the indexer when INDEXER_URL is set, falling back to RPC if it is unreachable
+*/
+
+const PAGE_SIZE = 10;
+
+function getProvider() {
+  if (typeof window !== "undefined" && window.ethereum) {
+    return new ethers.providers.Web3Provider(window.ethereum);
+  }
+  return new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
+}
+
+// metadata filter as sent to findArticles / the indexer; "" means any
+function metaFilter(meta) {
+  return {
+    category: meta.category ? Number(meta.category) : undefined,
+    language: meta.language || undefined,
+    tag: meta.tags.trim().toLowerCase() || undefined,
+  };
+}
+
+// one page straight from the contract (findArticles asks for one extra row to know whether a next page exists)
+async function loadFromChain(statusFilter, meta, offset) {
+  const provider = getProvider();
+  const contract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+  const count = Number((await contract.articleCount()).toString());
+  const status = statusFilter === "all" ? undefined : Number(statusFilter);
+  const { hashes, hasMore } = await findArticles(provider, { status, ...metaFilter(meta) }, offset, PAGE_SIZE);
+
+  const [articles, confidences] = await Promise.all([
+    Promise.all(hashes.map(h => contract.getArticle(h))),
+    Promise.all(hashes.map(h => contract.confidence(h))),
+  ]);
+  return {
+    count,
+    hasMore,
+    rows: articles.map((a, i) => ({
+      contentHash: a[0],
+      uri: a[1],
+      submitter: a[3],
+      createdAt: Number(a[4].toString()),
+      status: Number(a[5]),
+      yes: Number(a[6].toString()),
+      no: Number(a[7].toString()),
+      confidence: Number(confidences[i]),
+    })),
+  };
+}
+
+async function loadFromIndexer(statusFilter, meta, offset) {
+  const status = statusFilter === "all" ? undefined : statusFilter;
+  const [page, stats] = await Promise.all([
+    indexerGet("/articles", { status, ...metaFilter(meta), offset, limit: PAGE_SIZE }),
+    indexerGet("/stats"),
+  ]);
+  return {
+    count: stats.articles,
+    hasMore: offset + page.items.length < page.total,
+    rows: page.items.map(a => ({
+      contentHash: a.contentHash,
+      uri: a.uri,
+      submitter: a.submitter,
+      createdAt: a.createdAt,
+      status: a.status,
+      yes: Number(a.yesVotes),
+      no: Number(a.noVotes),
+      confidence: a.confidence,
+    })),
+  };
+}
+
+function short(h = "", start = 10, end = 8) {
+  if (!h) return "";
+  if (h.length <= start + end) return h;
+  return `${h.slice(0, start)}…${h.slice(-end)}`;
+}
+
+export default function LatestArticles({ onSelect }) {
+  const labels = useLabels();
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [meta, setMeta] = useState({ category: "", language: "", tags: "" });
+  const [categories, setCategories] = useState([]);
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    if (!PUB_ADDRESS) return;
+    loadCategories(getProvider()).then(setCategories).catch(e => console.error("loadCategories error", e));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    async function load() {
+      setErr("");
+      setLoading(true);
+      try {
+        const offset = page * PAGE_SIZE;
+        let result = null;
+        if (indexerEnabled()) {
+          result = await loadFromIndexer(statusFilter, meta, offset).catch(e => {
+            console.warn("indexer unavailable, reading from chain", e);
+            return null;
+          });
+        }
+        if (!result) result = await loadFromChain(statusFilter, meta, offset);
+        if (cancelled) return;
+        setTotal(result.count);
+        setHasMore(result.hasMore);
+        setRows(result.rows);
+      } catch (e) {
+        console.error("feed load error", e);
+        if (!cancelled) setErr("Failed to load articles: " + (e?.message || String(e)).slice(0, 200));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+    load();
+    return () => { cancelled = true; };
+  }, [statusFilter, meta, page, refreshKey]);
+
+  function changeFilter(value) {
+    setStatusFilter(value);
+    setPage(0);
+  }
+
+  function changeMeta(value) {
+    setMeta(value);
+    setPage(0);
+  }
+
+  return (
+    <div className="card h-100">
+      <div className="card-body">
+        <div className="d-flex justify-content-between align-items-center mb-2">
+          <h5 className="card-title mb-0">Latest Articles</h5>
+          <div className="d-flex align-items-center gap-2">
+            <select className="form-select form-select-sm" value={statusFilter} onChange={e => changeFilter(e.target.value)} style={{ width: "auto" }}>
+              <option value="all">All</option>
+              {labels.map(l => <option key={l.id} value={String(l.id)}>{l.name}</option>)}
+            </select>
+            <button className="btn btn-sm btn-outline-secondary" onClick={() => setRefreshKey(k => k + 1)} disabled={loading}>Refresh</button>
+          </div>
+        </div>
+
+        <div className="mb-2">
+          <MetaSelect value={meta} onChange={changeMeta} categories={categories} mode="filter" />
+        </div>
+
+        {total !== null && <div className="small text-muted mb-2">{total} article{total === 1 ? "" : "s"} on-chain</div>}
+
+        {err && <div className="alert alert-danger py-2">{err}</div>}
+
+        {!err && rows.length === 0 && !loading && <div className="text-muted small">No articles found.</div>}
+
+        {rows.length > 0 && (
+          <div className="list-group list-group-flush">
+            {rows.map(r => (
+              <button
+                key={r.contentHash}
+                type="button"
+                className="list-group-item list-group-item-action d-flex justify-content-between align-items-center"
+                style={{ background: "transparent", color: "var(--text)" }}
+                onClick={() => onSelect && onSelect(r.contentHash)}
+                title="Open in Check Status"
+              >
+                <div className="small">
+                  <div className="text-monospace">{short(r.contentHash)}</div>
+                  <div className="text-muted">{r.uri || "(no URI)"} · {new Date(r.createdAt * 1000).toLocaleString()}</div>
+                </div>
+                <div className="text-end small">
+                  <StatusBadge statusNum={r.status} confidence={r.confidence} />
+                  <div className="mt-1">True / Fake: {r.yes} / {r.no}</div>
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="d-flex justify-content-between align-items-center mt-2">
+          <button className="btn btn-sm btn-outline-primary" onClick={() => setPage(p => p - 1)} disabled={loading || page === 0}>Prev</button>
+          <span className="small text-muted">{loading ? "Loading..." : `Page ${page + 1}`}</span>
+          <button className="btn btn-sm btn-outline-primary" onClick={() => setPage(p => p + 1)} disabled={loading || !hasMore}>Next</button>
+        </div>
+      </div>
+    </div>
+  );
+}
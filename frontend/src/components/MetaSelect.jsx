@@ -0,0 +1,35 @@
+// src/components/MetaSelect.jsx
+import React from "react";
+import { LANGUAGES, MAX_TAGS } from "../articleMeta";
+
+/*
+  MetaSelect: category / language / tag inputs (see src/articleMeta.js)
+  - "submit" mode offers active categories only and takes a comma-separated tag list
+  - "filter" mode offers every category (retired ones still label old articles) and a single tag
+  - value = { category, language, tags } as strings; "" means none / any
+*/
+
+export default function MetaSelect({ value, onChange, categories, mode = "submit" }) {
+  const filter = mode === "filter";
+  const set = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+  const options = filter ? categories : categories.filter(c => c.active);
+  return (
+    <div className="d-flex gap-1 flex-wrap">
+      <select className="form-select form-select-sm" style={{ width: "auto" }} value={value.category} onChange={set("category")}>
+        <option value="">{filter ? "Any category" : "Uncategorized"}</option>
+        {options.map(c => <option key={c.id} value={c.id}>{c.name}{c.active ? "" : " (retired)"}</option>)}
+      </select>
+      <select className="form-select form-select-sm" style={{ width: "auto" }} value={value.language} onChange={set("language")}>
+        <option value="">{filter ? "Any language" : "Language"}</option>
+        {LANGUAGES.map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+      </select>
+      <input
+        className="form-control form-control-sm"
+        style={{ width: "auto", flex: 1, minWidth: 120 }}
+        value={value.tags}
+        onChange={set("tags")}
+        placeholder={filter ? "Tag" : `Tags, comma-separated (up to ${MAX_TAGS})`}
+      />
+    </div>
+  );
+}
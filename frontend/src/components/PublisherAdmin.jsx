@@ -2,7 +2,13 @@
 import React, { useEffect, useState } from "react";
 import { ethers } from "ethers";
 import PubJson from "../abis/PublisherRegistry.json";
-import { PUB_ADDRESS } from "../constants";
+import NewsJson from "../abis/NewsRegistry.json";
+import CouncilJson from "../abis/Council.json";
+import { PUB_ADDRESS, NEWS_ADDRESS, COUNCIL_ADDRESS } from "../constants";
+import PublisherName from "./PublisherName";
+import { indexerEnabled, indexerGet } from "../indexerApi";
+
+const TRUST_STATES = ["None", "Active", "Suspended", "Removed"];
 
 function getProviderAndSigner() {
   if (typeof window !== "undefined" && window.ethereum) {
@@ -12,13 +18,53 @@ function getProviderAndSigner() {
   return { provider: new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545"), signer: null };
 }
 
+// every address ever added with its trust state: from the indexer when configured, otherwise by replaying
+// PublisherAdded and reading each address from the registry
+async function loadPublisherStates(contract) {
+  if (indexerEnabled()) {
+    const list = await indexerGet("/api/publishers").catch(e => {
+      console.warn("indexer unavailable, reading from chain", e);
+      return null;
+    });
+    if (list) {
+      return list.map(p => ({
+        addr: p.address,
+        state: TRUST_STATES.indexOf(p.state),
+        expiresAt: p.expiresAt,
+        forCause: p.removedForCause,
+        categories: p.categories,
+      }));
+    }
+  }
+  const added = await contract.queryFilter(contract.filters.PublisherAdded(), 0, "latest");
+  const addrs = Array.from(new Set(added.map(e => e.args[0])));
+  return Promise.all(addrs.map(async (addr) => {
+    const [state, expiresAt, forCause, categoryIds] = await Promise.all([
+      contract.trustState(addr),
+      contract.trustExpiresAt(addr),
+      contract.removedForCause(addr),
+      contract.getPublisherCategories(addr),
+    ]);
+    return { addr, state: Number(state), expiresAt: Number(expiresAt.toString()), forCause, categories: categoryIds.map(Number) };
+  }));
+}
+
 export default function PublisherAdmin({ connectedAddress }) {
   const [ownerAddress, setOwnerAddress] = useState(null);
   const [checkAddr, setCheckAddr] = useState("");
   const [checkResult, setCheckResult] = useState(null);
   const [inputAddr, setInputAddr] = useState("");
   const [message, setMessage] = useState("");
-  const [trustedList, setTrustedList] = useState([]);
+  const [trustedList, setTrustedList] = useState([]); // [{ addr, state, expiresAt, categories }] for Active and Suspended publishers
+  const [causeRemoved, setCauseRemoved] = useState([]); // [{ addr, reopenable: [contentHash] }]
+  const [now, setNow] = useState(0);
+  const [expiryInput, setExpiryInput] = useState(""); // datetime-local value, empty clears the expiry
+  const [reasonInput, setReasonInput] = useState("");
+  const [pendingApps, setPendingApps] = useState([]); // [{ addr, orgName, website, contactURI, submittedAt }]
+  const [rejectReasons, setRejectReasons] = useState({}); // applicant => reason input
+  const [categories, setCategories] = useState([]); // [{ id, name, active }]
+  const [categoryInput, setCategoryInput] = useState("");
+  const [trustCategory, setTrustCategory] = useState(""); // category id for grant / revoke
   const [loading, setLoading] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);
 
@@ -30,20 +76,33 @@ export default function PublisherAdmin({ connectedAddress }) {
         const owner = await contract.owner();
         setOwnerAddress(owner);
 
-        const added = await contract.queryFilter(contract.filters.PublisherAdded(), 0, "latest");
-        const removed = await contract.queryFilter(contract.filters.PublisherRemoved(), 0, "latest");
-        const evts = [];
-        for (const e of added) evts.push({ type: "add", addr: e.args[0], blockNumber: e.blockNumber, logIndex: e.logIndex });
-        for (const e of removed) evts.push({ type: "remove", addr: e.args[0], blockNumber: e.blockNumber, logIndex: e.logIndex });
-        evts.sort((a,b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
-
-        const map = new Map();
-        for (const e of evts) {
-          const a = e.addr.toLowerCase();
-          if (e.type === "add") map.set(a, true);
-          else if (e.type === "remove") map.delete(a);
-        }
-        setTrustedList(Array.from(map.keys()));
+        const news = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+        const entries = await Promise.all((await loadPublisherStates(contract)).map(async (entry) => {
+          let reopenable = [];
+          if (entry.forCause) {
+            const hashes = await news.getAutoVerifiedBy(entry.addr);
+            const flags = await Promise.all(hashes.map(h => news.canReopen(h)));
+            reopenable = hashes.filter((_, i) => flags[i]);
+          }
+          return { ...entry, reopenable };
+        }));
+        const block = await provider.getBlock("latest");
+        setNow(block.timestamp);
+        setTrustedList(entries.filter(e => e.state === 1 || e.state === 2));
+        setCauseRemoved(entries.filter(e => e.forCause));
+
+        const applicants = await contract.getApplicants();
+        const apps = await Promise.all(applicants.map(async (addr) => ({ addr, app: await contract.getApplication(addr) })));
+        setPendingApps(apps.filter(({ app }) => Number(app.status) === 1).map(({ addr, app }) => ({
+          addr,
+          orgName: app.orgName,
+          website: app.website,
+          contactURI: app.contactURI,
+          submittedAt: Number(app.submittedAt.toString()),
+        })));
+
+        const cats = await contract.getCategories();
+        setCategories(cats.map((c, i) => ({ id: i + 1, name: c.name, active: c.active })));
       } catch (e) {
         setMessage("Failed to load publisher registry: " + (e?.message || String(e)));
       }
@@ -51,6 +110,18 @@ export default function PublisherAdmin({ connectedAddress }) {
     load();
   }, [refreshKey]);
 
+  // once the Council owns the registry, owner actions become council proposals (see GovernancePanel)
+  const ownedByCouncil = Boolean(ownerAddress && COUNCIL_ADDRESS && ownerAddress.toLowerCase() === COUNCIL_ADDRESS.toLowerCase());
+
+  async function proposeToCouncil(signer, fn, args, description) {
+    const council = new ethers.Contract(COUNCIL_ADDRESS, CouncilJson.abi, signer);
+    const data = new ethers.utils.Interface(PubJson.abi).encodeFunctionData(fn, args);
+    const tx = await council.propose(PUB_ADDRESS, data, description);
+    setMessage("Tx sent: " + tx.hash);
+    await tx.wait();
+    setMessage(`Proposal created: ${description}. It runs once the council approves it and the timelock passes.`);
+  }
+
   async function checkAddress(addr) {
     setCheckResult(null);
     setMessage("");
@@ -71,8 +142,13 @@ export default function PublisherAdmin({ connectedAddress }) {
     try {
       const { signer } = getProviderAndSigner();
       if (!signer) { setMessage("Connect wallet as owner to manage publishers."); return; }
-      const writeContract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, signer);
       setLoading(true);
+      if (ownedByCouncil) {
+        await proposeToCouncil(signer, "addPublisher", [inputAddr], `Add publisher ${inputAddr}`);
+        setInputAddr("");
+        return;
+      }
+      const writeContract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, signer);
       const tx = await writeContract.addPublisher(inputAddr);
       setMessage("Tx sent: " + tx.hash);
       await tx.wait();
@@ -92,6 +168,11 @@ export default function PublisherAdmin({ connectedAddress }) {
       const { signer } = getProviderAndSigner();
       if (!signer) { setMessage("Connect wallet as owner to manage publishers."); return; }
       setLoading(true);
+      if (ownedByCouncil) {
+        await proposeToCouncil(signer, "removePublisher", [inputAddr], `Remove publisher ${inputAddr}`);
+        setInputAddr("");
+        return;
+      }
       const writeContract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, signer);
       const tx = await writeContract.removePublisher(inputAddr);
       setMessage("Tx sent: " + tx.hash);
@@ -105,6 +186,126 @@ export default function PublisherAdmin({ connectedAddress }) {
     }
   }
 
+  // owner call on the registry, or a council proposal for it
+  async function ownerAction(fn, args, description, doneMsg) {
+    setMessage("");
+    try {
+      const { signer } = getProviderAndSigner();
+      if (!signer) { setMessage("Connect wallet as owner to manage publishers."); return; }
+      setLoading(true);
+      if (ownedByCouncil) {
+        await proposeToCouncil(signer, fn, args, description);
+        return;
+      }
+      const writeContract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, signer);
+      const tx = await writeContract[fn](...args);
+      setMessage("Tx sent: " + tx.hash);
+      await tx.wait();
+      setMessage(doneMsg);
+      setRefreshKey(k => k+1);
+    } catch (e) {
+      setMessage("Failed: " + (e?.message || String(e)));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function setExpiry() {
+    if (!ethers.utils.isAddress(inputAddr)) { setMessage("Enter a valid address."); return; }
+    const expiresAt = expiryInput ? Math.floor(new Date(expiryInput).getTime() / 1000) : 0;
+    const label = expiresAt ? new Date(expiresAt * 1000).toLocaleString() : "no expiry";
+    ownerAction("setTrustExpiry", [inputAddr, expiresAt], `Set trust expiry of ${inputAddr} to ${label}`, `Trust expiry set: ${label}`);
+  }
+
+  function suspend() {
+    if (!ethers.utils.isAddress(inputAddr)) { setMessage("Enter a valid address."); return; }
+    ownerAction("suspendPublisher", [inputAddr, reasonInput.trim()], `Suspend publisher ${inputAddr}`, "Publisher suspended: " + inputAddr);
+  }
+
+  function reinstate() {
+    if (!ethers.utils.isAddress(inputAddr)) { setMessage("Enter a valid address."); return; }
+    ownerAction("reinstatePublisher", [inputAddr], `Reinstate publisher ${inputAddr}`, "Publisher reinstated: " + inputAddr);
+  }
+
+  function removeForCause() {
+    if (!ethers.utils.isAddress(inputAddr)) { setMessage("Enter a valid address."); return; }
+    if (!reasonInput.trim()) { setMessage("Enter a reason for removal for cause."); return; }
+    ownerAction("removePublisherForCause", [inputAddr, reasonInput.trim()], `Remove publisher ${inputAddr} for cause: ${reasonInput.trim()}`, "Publisher removed for cause: " + inputAddr);
+  }
+
+  function addCategory() {
+    const name = categoryInput.trim();
+    if (!name) { setMessage("Enter a category name."); return; }
+    ownerAction("addCategory", [name], `Add category ${name}`, "Category added: " + name);
+    setCategoryInput("");
+  }
+
+  // domain specialists: on a categorized article only publishers granted its category can vote
+  function setCategoryTrust(grant) {
+    if (!ethers.utils.isAddress(inputAddr)) { setMessage("Enter a valid address."); return; }
+    const c = categories.find(x => x.id === Number(trustCategory));
+    if (!c) { setMessage("Choose a category."); return; }
+    const fn = grant ? "grantCategoryTrust" : "revokeCategoryTrust";
+    ownerAction(fn, [inputAddr, c.id], `${grant ? "Trust" : "Stop trusting"} ${inputAddr} for ${c.name}`, `Category trust ${grant ? "granted" : "revoked"}: ${c.name}`);
+  }
+
+  function categoryName(id) {
+    const c = categories.find(x => x.id === id);
+    return c ? c.name : `#${id}`;
+  }
+
+  // retired categories stay readable on old articles but cannot be chosen for new ones
+  function setCategoryActive(c, active) {
+    ownerAction("setCategoryActive", [c.id, active], `${active ? "Restore" : "Retire"} category ${c.name}`, `Category ${active ? "restored" : "retired"}: ${c.name}`);
+  }
+
+  // permissionless: anyone can reopen articles auto-verified by a publisher removed for cause
+  async function reopenArticles(entry) {
+    setMessage("");
+    try {
+      const { signer } = getProviderAndSigner();
+      if (!signer) { setMessage("Connect your wallet first."); return; }
+      setLoading(true);
+      const news = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, signer);
+      const tx = await news.reopenArticles(entry.reopenable);
+      setMessage("Tx sent: " + tx.hash);
+      await tx.wait();
+      setMessage(`Reopened ${entry.reopenable.length} article(s) for review.`);
+      setRefreshKey(k => k+1);
+    } catch (e) {
+      setMessage("Failed to reopen: " + (e?.message || String(e)));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function decideApplication(app, approve) {
+    setMessage("");
+    const reason = (rejectReasons[app.addr] || "").trim();
+    if (!approve && !reason) { setMessage("Enter a reason to reject the application."); return; }
+    try {
+      const { signer } = getProviderAndSigner();
+      if (!signer) { setMessage("Connect wallet as owner to manage publishers."); return; }
+      setLoading(true);
+      const fn = approve ? "approveApplication" : "rejectApplication";
+      const args = approve ? [app.addr] : [app.addr, reason];
+      if (ownedByCouncil) {
+        await proposeToCouncil(signer, fn, args, `${approve ? "Approve" : "Reject"} application of ${app.orgName} (${app.addr})`);
+        return;
+      }
+      const writeContract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, signer);
+      const tx = await writeContract[fn](...args);
+      setMessage("Tx sent: " + tx.hash);
+      await tx.wait();
+      setMessage(`Application ${approve ? "approved" : "rejected"}: ${app.orgName}`);
+      setRefreshKey(k => k+1);
+    } catch (e) {
+      setMessage("Failed to decide application: " + (e?.message || String(e)));
+    } finally {
+      setLoading(false);
+    }
+  }
+
   return (
     <div className="card h-100">
       <div className="card-body">
@@ -113,7 +314,7 @@ export default function PublisherAdmin({ connectedAddress }) {
         {!connectedAddress && <div className="alert alert-warning">Connect wallet to manage publishers (owner only).</div>}
 
         <div className="mb-2 small"><strong>Contract:</strong> <span className="text-monospace">{PUB_ADDRESS}</span></div>
-        <div className="mb-2 small"><strong>Owner:</strong> <span className="text-monospace">{ownerAddress ?? "loading..."}</span></div>
+        <div className="mb-2 small"><strong>Owner:</strong> <span className="text-monospace">{ownerAddress ?? "loading..."}</span>{ownedByCouncil && <span className="badge bg-info ms-1">Council</span>}</div>
 
         <div className="mb-3">
           <label className="form-label small">Check address</label>
@@ -125,23 +326,114 @@ export default function PublisherAdmin({ connectedAddress }) {
         </div>
 
         <div className="mb-3">
-          <label className="form-label small">Add / Remove publisher (owner)</label>
+          <label className="form-label small">Add / Remove publisher ({ownedByCouncil ? "council proposal" : "owner"})</label>
           <div className="input-group input-group-sm">
             <input className="form-control" value={inputAddr} onChange={e => setInputAddr(e.target.value)} placeholder="0xPublisherAddress" />
             <button className="btn btn-outline-success" onClick={addPublisher} disabled={loading || !connectedAddress}>Add</button>
             <button className="btn btn-outline-danger" onClick={removePublisher} disabled={loading || !connectedAddress}>Remove</button>
           </div>
+          <div className="input-group input-group-sm mt-1">
+            <input type="datetime-local" className="form-control" value={expiryInput} onChange={e => setExpiryInput(e.target.value)} title="Trust expiry (empty = no expiry)" />
+            <button className="btn btn-outline-primary" onClick={setExpiry} disabled={loading || !connectedAddress}>Set Expiry</button>
+          </div>
+          <div className="input-group input-group-sm mt-1">
+            <input className="form-control" value={reasonInput} onChange={e => setReasonInput(e.target.value)} placeholder="Reason" />
+            <button className="btn btn-outline-warning" onClick={suspend} disabled={loading || !connectedAddress}>Suspend</button>
+            <button className="btn btn-outline-success" onClick={reinstate} disabled={loading || !connectedAddress}>Reinstate</button>
+            <button className="btn btn-outline-danger" onClick={removeForCause} disabled={loading || !connectedAddress}>Remove for cause</button>
+          </div>
+          <div className="input-group input-group-sm mt-1">
+            <select className="form-select" value={trustCategory} onChange={e => setTrustCategory(e.target.value)} title="Category-scoped trust">
+              <option value="">Category...</option>
+              {categories.map(c => <option key={c.id} value={c.id}>{c.name}{c.active ? "" : " (retired)"}</option>)}
+            </select>
+            <button className="btn btn-outline-success" onClick={() => setCategoryTrust(true)} disabled={loading || !connectedAddress}>Grant category</button>
+            <button className="btn btn-outline-danger" onClick={() => setCategoryTrust(false)} disabled={loading || !connectedAddress}>Revoke category</button>
+          </div>
+          <div className="form-text small">Votes on a categorized article only count from publishers granted its category.</div>
         </div>
 
         {message && <div className="alert alert-info">{message}</div>}
 
+        <div className="mb-3">
+          <strong>Pending applications</strong>
+          <div className="mt-2 small">
+            {pendingApps.length === 0 ? <div className="text-muted">No pending applications.</div> :
+              pendingApps.map((app) => (
+                <div key={app.addr} className="border-top pt-1 mt-1">
+                  <div><strong>{app.orgName}</strong> · <span className="text-monospace">{app.addr}</span></div>
+                  <div>
+                    {app.website && <a href={app.website} target="_blank" rel="noreferrer">{app.website}</a>}
+                    {app.website && app.contactURI && " · "}
+                    {app.contactURI && <a href={app.contactURI} target="_blank" rel="noreferrer">{app.contactURI}</a>}
+                  </div>
+                  <div className="text-muted">Applied {new Date(app.submittedAt * 1000).toLocaleString()}</div>
+                  <div className="input-group input-group-sm mt-1">
+                    <button className="btn btn-outline-success" onClick={() => decideApplication(app, true)} disabled={loading || !connectedAddress}>Approve</button>
+                    <input className="form-control" value={rejectReasons[app.addr] || ""} onChange={e => setRejectReasons(r => ({ ...r, [app.addr]: e.target.value }))} placeholder="Rejection reason" />
+                    <button className="btn btn-outline-danger" onClick={() => decideApplication(app, false)} disabled={loading || !connectedAddress}>Reject</button>
+                  </div>
+                </div>
+              ))}
+          </div>
+        </div>
+
         <div>
           <strong>Trusted list</strong>
           <div className="mt-2 small">
             {trustedList.length === 0 ? <div className="text-muted">No trusted publishers found.</div> :
-              trustedList.map((a) => <div key={a}><span className="text-monospace">{a}</span></div>)}
+              trustedList.map((e) => {
+                const expired = e.expiresAt !== 0 && now >= e.expiresAt;
+                return (
+                  <div key={e.addr} className="d-flex justify-content-between align-items-center">
+                    <span role="button" onClick={() => setInputAddr(e.addr)} title="Use this address">
+                      <PublisherName address={e.addr} />
+                      {e.categories.map(id => <span key={id} className="badge bg-light text-dark ms-1">{categoryName(id)}</span>)}
+                    </span>
+                    <span>
+                      {e.expiresAt !== 0 && <span className="text-muted me-1">{expired ? "expired" : "until"} {new Date(e.expiresAt * 1000).toLocaleString()}</span>}
+                      <span className={`badge ${e.state === 2 ? "bg-warning" : expired ? "bg-secondary" : "bg-success"}`}>{expired && e.state === 1 ? "Expired" : TRUST_STATES[e.state]}</span>
+                    </span>
+                  </div>
+                );
+              })}
           </div>
         </div>
+
+        <div className="mt-3">
+          <strong>Categories</strong>
+          <div className="mt-2 small">
+            {categories.length === 0 ? <div className="text-muted">No categories yet.</div> :
+              categories.map((c) => (
+                <div key={c.id} className="d-flex justify-content-between align-items-center">
+                  <span className={c.active ? "" : "text-muted"}>{c.name}{!c.active && " (retired)"}</span>
+                  {c.active
+                    ? <button className="btn btn-sm btn-link text-danger" onClick={() => setCategoryActive(c, false)} disabled={loading || !connectedAddress}>Retire</button>
+                    : <button className="btn btn-sm btn-link" onClick={() => setCategoryActive(c, true)} disabled={loading || !connectedAddress}>Restore</button>}
+                </div>
+              ))}
+            <div className="input-group input-group-sm mt-1">
+              <input className="form-control" value={categoryInput} onChange={e => setCategoryInput(e.target.value)} placeholder="New category" />
+              <button className="btn btn-outline-success" onClick={addCategory} disabled={loading || !connectedAddress}>Add</button>
+            </div>
+          </div>
+        </div>
+
+        {causeRemoved.length > 0 && (
+          <div className="mt-3">
+            <strong>Removed for cause</strong>
+            <div className="mt-2 small">
+              {causeRemoved.map((e) => (
+                <div key={e.addr} className="d-flex justify-content-between align-items-center">
+                  <PublisherName address={e.addr} />
+                  {e.reopenable.length > 0
+                    ? <button className="btn btn-sm btn-outline-warning" onClick={() => reopenArticles(e)} disabled={loading || !connectedAddress}>Reopen {e.reopenable.length} auto-verified article(s)</button>
+                    : <span className="text-muted">No articles to reopen</span>}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
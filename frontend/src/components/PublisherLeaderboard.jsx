@@ -0,0 +1,127 @@
+// src/components/PublisherLeaderboard.jsx
+import React, { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import NewsJson from "../abis/NewsRegistry.json";
+import PubJson from "../abis/PublisherRegistry.json";
+import { NEWS_ADDRESS, PUB_ADDRESS } from "../constants";
+import PublisherName from "./PublisherName";
+import { indexerEnabled, indexerGet } from "../indexerApi";
+
+/*
+  PublisherLeaderboard: publishers ranked by voting accuracy (NewsRegistry.reputation)
+  - Accuracy = votes agreeing with the final status / scored votes (Disputed outcomes are not scored)
+  - Lists everyone who was ever added as a publisher or has voted, removed publishers included
+  - Reads through the indexer when INDEXER_URL is set, falling back to RPC if it is unreachable
+*/
+
+function getProvider() {
+  if (typeof window !== "undefined" && window.ethereum) {
+    return new ethers.providers.Web3Provider(window.ethereum);
+  }
+  return new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
+}
+
+function accuracyRow(addr, scored, agreed, trusted) {
+  return { addr, scored, agreed, accuracy: scored ? agreed / scored : null, trusted };
+}
+
+// the indexer aggregates scored / agreed votes for every publisher it has seen
+async function loadFromIndexer() {
+  const list = await indexerGet("/api/publishers");
+  return list.map(p => accuracyRow(p.address, p.scoredVotes, p.agreedVotes, p.trusted));
+}
+
+async function loadFromChain() {
+  const provider = getProvider();
+  const news = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+  const pub = new ethers.Contract(PUB_ADDRESS, PubJson.abi, provider);
+
+  const [added, voted] = await Promise.all([
+    pub.queryFilter(pub.filters.PublisherAdded(), 0, "latest"),
+    news.queryFilter(news.filters.Voted(), 0, "latest"),
+  ]);
+  const addrs = new Map();
+  for (const e of [...added, ...voted]) {
+    const a = e.args[e.event === "Voted" ? 1 : 0];
+    addrs.set(a.toLowerCase(), a);
+  }
+
+  return Promise.all(Array.from(addrs.values()).map(async (addr) => {
+    const [rep, trusted] = await Promise.all([news.reputation(addr), pub.isTrusted(addr)]);
+    return accuracyRow(addr, Number(rep.scoredVotes.toString()), Number(rep.agreedVotes.toString()), Boolean(trusted));
+  }));
+}
+
+export default function PublisherLeaderboard() {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    async function load() {
+      setErr("");
+      setLoading(true);
+      try {
+        let list = null;
+        if (indexerEnabled()) {
+          list = await loadFromIndexer().catch(e => {
+            console.warn("indexer unavailable, reading from chain", e);
+            return null;
+          });
+        }
+        if (!list) list = await loadFromChain();
+        // most accurate first, more scored votes breaks ties, unscored publishers last
+        list.sort((a, b) => (b.accuracy ?? -1) - (a.accuracy ?? -1) || b.scored - a.scored);
+        if (!cancelled) setRows(list);
+      } catch (e) {
+        console.error("leaderboard load error", e);
+        if (!cancelled) setErr("Failed to load reputation: " + (e?.message || String(e)).slice(0, 200));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+    load();
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  return (
+    <div className="card h-100">
+      <div className="card-body">
+        <div className="d-flex justify-content-between align-items-center mb-2">
+          <h5 className="card-title mb-0">Publisher Reputation</h5>
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => setRefreshKey(k => k + 1)} disabled={loading}>Refresh</button>
+        </div>
+        <div className="small text-muted mb-2">Agreement with final outcomes (ties are not scored).</div>
+
+        {err && <div className="alert alert-danger py-2">{err}</div>}
+
+        {!err && rows.length === 0 && !loading && <div className="text-muted small">No publishers yet.</div>}
+
+        {rows.length > 0 && (
+          <div className="table-responsive">
+            <table className="table table-sm small mb-0" style={{ color: "var(--text)" }}>
+              <thead>
+                <tr><th>#</th><th>Publisher</th><th>Agreed / Scored</th><th>Accuracy</th></tr>
+              </thead>
+              <tbody>
+                {rows.map((r, i) => (
+                  <tr key={r.addr}>
+                    <td>{i + 1}</td>
+                    <td>
+                      <PublisherName address={r.addr} />
+                      {!r.trusted && <span className="badge bg-secondary ms-1">Removed</span>}
+                    </td>
+                    <td>{r.agreed} / {r.scored}</td>
+                    <td>{r.accuracy === null ? "—" : `${(r.accuracy * 100).toFixed(1)}%`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
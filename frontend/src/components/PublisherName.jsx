@@ -0,0 +1,36 @@
+// src/components/PublisherName.jsx
+import React, { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import { getPublisherProfile } from "../publisherProfiles";
+
+/*
+  PublisherName: a publisher's profile name (and domain / logo) in place of its address
+  - Falls back to the plain address when there is no profile name
+  - The full address stays available as the tooltip
+*/
+
+export default function PublisherName({ address }) {
+  const [loaded, setLoaded] = useState({ address: null, profile: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    getPublisherProfile(address).then(p => { if (!cancelled) setLoaded({ address, profile: p }); });
+    return () => { cancelled = true; };
+  }, [address]);
+
+  // ignore a profile still loaded for the previous address
+  const profile = loaded.address === address ? loaded.profile : null;
+
+  if (!address || address === ethers.constants.AddressZero) return <span className="text-muted">(none)</span>;
+  if (!profile || !profile.name) return <span className="text-monospace">{address}</span>;
+
+  return (
+    <span title={address}>
+      {/^https?:\/\//i.test(profile.logoURI) && (
+        <img src={profile.logoURI} alt="" width={16} height={16} className="me-1" style={{ objectFit: "contain", verticalAlign: "text-bottom" }} />
+      )}
+      <strong>{profile.name}</strong>
+      {profile.domain && <span className="text-muted"> · {profile.domain}</span>}
+    </span>
+  );
+}
@@ -0,0 +1,124 @@
+// src/components/PublisherProfile.jsx
+import React, { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import PubJson from "../abis/PublisherRegistry.json";
+import CouncilJson from "../abis/Council.json";
+import { PUB_ADDRESS, COUNCIL_ADDRESS } from "../constants";
+import { getPublisherProfile, forgetPublisherProfile } from "../publisherProfiles";
+
+/*
+  PublisherProfile: view and edit a publisher's on-chain profile (PublisherRegistry.updateProfile)
+  - Display name, domain, logo URI; date added and added-by are read-only
+  - A publisher edits its own profile; the owner can edit any (as a council proposal once the Council owns the registry)
+*/
+
+function getProviderAndSigner() {
+  if (typeof window !== "undefined" && window.ethereum) {
+    const prov = new ethers.providers.Web3Provider(window.ethereum);
+    return { provider: prov, signer: prov.getSigner() };
+  }
+  return { provider: new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545"), signer: null };
+}
+
+function shortRevert(e) {
+  const raw = e?.error?.message || e?.message || String(e);
+  const m = raw.match(/revert(?:.*:)?\s*(.*)/i);
+  return (m && m[1] ? m[1] : raw).slice(0, 200);
+}
+
+export default function PublisherProfile({ connectedAddress }) {
+  const [address, setAddress] = useState(connectedAddress || "");
+  const [profile, setProfile] = useState(null);
+  const [name, setName] = useState("");
+  const [domain, setDomain] = useState("");
+  const [logoURI, setLogoURI] = useState("");
+  const [msg, setMsg] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    setProfile(null);
+    if (!ethers.utils.isAddress(address)) return;
+    let cancelled = false;
+    getPublisherProfile(address).then(p => {
+      if (cancelled) return;
+      setProfile(p);
+      setName(p?.name || "");
+      setDomain(p?.domain || "");
+      setLogoURI(p?.logoURI || "");
+    });
+    return () => { cancelled = true; };
+  }, [address, refreshKey]);
+
+  async function save() {
+    setMsg("");
+    if (!name.trim()) { setMsg("Display name is required."); return; }
+    const { provider, signer } = getProviderAndSigner();
+    if (!signer || !connectedAddress) { setMsg("Connect your wallet first."); return; }
+    try {
+      setBusy(true);
+      const registry = new ethers.Contract(PUB_ADDRESS, PubJson.abi, signer);
+      const args = [address, name.trim(), domain.trim(), logoURI.trim()];
+      const self = address.toLowerCase() === connectedAddress.toLowerCase();
+      const owner = await registry.connect(provider).owner();
+      if (!self && COUNCIL_ADDRESS && owner.toLowerCase() === COUNCIL_ADDRESS.toLowerCase()) {
+        const council = new ethers.Contract(COUNCIL_ADDRESS, CouncilJson.abi, signer);
+        const data = registry.interface.encodeFunctionData("updateProfile", args);
+        const tx = await council.propose(PUB_ADDRESS, data, `Update profile of ${address}: ${name.trim()}`);
+        setMsg("Tx sent: " + tx.hash);
+        await tx.wait();
+        setMsg("Proposal created. The profile changes once the council approves it and the timelock passes.");
+        return;
+      }
+      const tx = await registry.updateProfile(...args);
+      setMsg("Tx sent: " + tx.hash);
+      await tx.wait();
+      setMsg("Profile updated.");
+      forgetPublisherProfile(address);
+      setRefreshKey(k => k + 1);
+    } catch (e) {
+      console.error(e);
+      setMsg("Failed: " + shortRevert(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="card h-100">
+      <div className="card-body">
+        <h5 className="card-title">Publisher Profile</h5>
+
+        <div className="mb-2">
+          <label className="form-label small">Publisher address</label>
+          <input className="form-control form-control-sm" value={address} onChange={e => setAddress(e.target.value.trim())} placeholder="0x..." />
+        </div>
+
+        {ethers.utils.isAddress(address) && !profile && <div className="small text-muted mb-2">This address has never been a publisher.</div>}
+
+        {profile && (
+          <>
+            <div className="small text-muted mb-2">
+              Added {new Date(profile.addedAt * 1000).toLocaleString()} by <span className="text-monospace">{profile.addedBy}</span>
+            </div>
+            <div className="mb-2">
+              <label className="form-label small">Display name</label>
+              <input className="form-control form-control-sm" value={name} onChange={e => setName(e.target.value)} placeholder="Daily Planet" />
+            </div>
+            <div className="mb-2">
+              <label className="form-label small">Domain</label>
+              <input className="form-control form-control-sm" value={domain} onChange={e => setDomain(e.target.value)} placeholder="dailyplanet.example" />
+            </div>
+            <div className="mb-2">
+              <label className="form-label small">Logo URI</label>
+              <input className="form-control form-control-sm" value={logoURI} onChange={e => setLogoURI(e.target.value)} placeholder="https://.../logo.png" />
+            </div>
+            <button className="btn btn-sm btn-primary" onClick={save} disabled={busy || !connectedAddress}>Save Profile</button>
+          </>
+        )}
+
+        {msg && <div className="alert alert-info py-2 mt-2">{msg}</div>}
+      </div>
+    </div>
+  );
+}
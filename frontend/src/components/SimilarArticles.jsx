@@ -0,0 +1,40 @@
+// src/components/SimilarArticles.jsx
+import React from "react";
+import StatusBadge from "./StatusBadge";
+
+/*
+  SimilarArticles: near-duplicates that already have a verdict (see src/similarArticles.js)
+  - Similarity is the share of matching SimHash bits
+  - Clicking a row hands the contentHash to onSelect when given
+*/
+
+function short(h = "", start = 10, end = 8) {
+  if (!h) return "";
+  if (h.length <= start + end) return h;
+  return `${h.slice(0, start)}…${h.slice(-end)}`;
+}
+
+export default function SimilarArticles({ items, onSelect, title = "Similar articles with a verdict" }) {
+  if (!items || items.length === 0) return null;
+  return (
+    <div className="alert alert-warning py-2 mt-3 mb-0">
+      <div className="small fw-bold mb-1">{title}</div>
+      <table className="table table-sm small mb-0" style={{ color: "inherit" }}>
+        <tbody>
+          {items.map(s => (
+            <tr key={s.contentHash}>
+              <td className="text-monospace">
+                {onSelect
+                  ? <button type="button" className="btn btn-link btn-sm p-0 text-monospace" onClick={() => onSelect(s.contentHash)}>{short(s.contentHash)}</button>
+                  : short(s.contentHash)}
+                {s.uri && <div className="text-muted text-truncate" style={{ maxWidth: 240 }}>{s.uri}</div>}
+              </td>
+              <td><StatusBadge statusNum={s.status} /></td>
+              <td className="text-end">{(s.similarity * 100).toFixed(0)}% similar</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
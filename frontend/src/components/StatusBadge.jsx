@@ -0,0 +1,16 @@
+// src/components/StatusBadge.jsx
+import React from "react";
+import { labelColor, labelName, useLabels } from "../labels";
+
+/*
+  StatusBadge: an article status or vote label, named from the contract's label registry (src/labels.js)
+  - confidence = NewsRegistry.confidence, the deciding vote's margin in basis points (0 = not voted)
+*/
+
+export default function StatusBadge({ statusNum, confidence = 0 }) {
+  const labels = useLabels();
+  const cls = labelColor(statusNum);
+  const label = labelName(labels, statusNum);
+  if (!confidence) return <span className={`badge bg-${cls}`}>{label}</span>;
+  return <span className={`badge bg-${cls}`} title="Confidence: the vote's margin">{label} · {Math.round(confidence / 100)}%</span>;
+}
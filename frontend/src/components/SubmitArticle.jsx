@@ -1,28 +1,32 @@
 // src/components/SubmitArticle.jsx
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { ethers } from "ethers";
 import NewsJson from "../abis/NewsRegistry.json";
 import PubJson from "../abis/PublisherRegistry.json";
 import { NEWS_ADDRESS, PUB_ADDRESS } from "../constants";
+import PublisherName from "./PublisherName";
+import { HASH_VERSION, HASH_VERSIONS, canonicalUri, candidateHashes, computeContentHash } from "../hashing";
+import { archiveBackend, archiveText } from "../archive";
+import { NO_FINGERPRINT, simhash } from "../fingerprint";
+import { findSimilarVerdicts } from "../similarArticles";
+import SimilarArticles from "./SimilarArticles";
+import MetaSelect from "./MetaSelect";
+import StatusBadge from "./StatusBadge";
+import { encodeMeta, loadCategories, parseTags } from "../articleMeta";
 
 /*
   SubmitArticle: improved duplicate submission handling
-  - Computes SHA-256 contentHash
-  - Pre-checks getArticle(contentHash) and shows a friendly message if already present
+  - Computes the canonical SHA-256 contentHash (src/hashing.js) and records its hash version on-chain
+  - Stores the URI in canonical form (no fragment, no utm_* parameters)
+  - Pre-checks getArticle under every hash version and shows a friendly message if already present
+  - Stores a SimHash fingerprint of the text and warns (once per article) when a near-duplicate already has a verdict
+  - Records a category (from the owner-managed list in PublisherRegistry), language and tags with the article
   - If not present, proceeds to submit using signer
+  - A trusted publisher only auto-verifies when it submits itself or provides an
+    EIP-712 attestation signature (signed here from the publisher wallet, or pasted)
   - Extracts concise revert/error messages instead of raw JSON-RPC dumps
 */
 
-async function computeSha256HexStrict(text) {
-  const encoder = new TextEncoder();
-  const normalized = (text ?? "").trim();
-  const data = encoder.encode(normalized);
-  const hashBuffer = await crypto.subtle.digest("SHA-256", data);
-  const bytes = Array.from(new Uint8Array(hashBuffer));
-  const hex = bytes.map(b => b.toString(16).padStart(2, "0")).join("");
-  return hex;
-}
-
 function getProviderAndSigner() {
   if (typeof window !== "undefined" && window.ethereum) {
     const prov = new ethers.providers.Web3Provider(window.ethereum);
@@ -32,20 +36,20 @@ function getProviderAndSigner() {
   return { provider: prov, signer: null };
 }
 
-function statusToString(statusNum) {
-  switch (Number(statusNum)) {
-    case 0: return "UnderReview";
-    case 1: return "VerifiedTrue";
-    case 2: return "MarkedFake";
-    case 3: return "Disputed";
-    default: return `Unknown(${statusNum})`;
-  }
-}
-
-function StatusBadge({ statusNum }) {
-  const s = Number(statusNum);
-  const bg = s === 1 ? "success" : s === 2 ? "danger" : s === 3 ? "warning" : "secondary";
-  return <span className={`badge bg-${bg}`}>{statusToString(s)}</span>;
+// EIP-712 payload matching NewsRegistry.ATTESTATION_TYPEHASH
+async function attestationTypedData(provider, contentHash, hashVersion, uri) {
+  const { chainId } = await provider.getNetwork();
+  return {
+    domain: { name: "NewsRegistry", version: "1", chainId, verifyingContract: NEWS_ADDRESS },
+    types: {
+      ArticleAttestation: [
+        { name: "contentHash", type: "bytes32" },
+        { name: "hashVersion", type: "uint8" },
+        { name: "uri", type: "string" },
+      ],
+    },
+    value: { contentHash, hashVersion, uri },
+  };
 }
 
 // Friendly short error extraction
@@ -63,12 +67,25 @@ export default function SubmitArticle({ connectedAddress }) {
   const [uri, setUri] = useState("");
   const [content, setContent] = useState("");
   const [publisherInput, setPublisherInput] = useState("");
+  const [signatureInput, setSignatureInput] = useState("");
   const [statusMsg, setStatusMsg] = useState("");
   const [articleInfo, setArticleInfo] = useState(null);
   const [txHash, setTxHash] = useState(null);
   const [computedHash, setComputedHash] = useState(null);
   const [busy, setBusy] = useState(false);
   const [publisherTrusted, setPublisherTrusted] = useState(null);
+  const [similar, setSimilar] = useState([]);
+  const [similarAckFor, setSimilarAckFor] = useState(null); // contentHash the near-duplicate warning was shown for
+  const [revisionOf, setRevisionOf] = useState(""); // contentHash of the version a correction replaces
+  const [carryVerdict, setCarryVerdict] = useState(true);
+  const [archive, setArchive] = useState(false); // pin the text to IPFS and record its CID after submitting
+  const [categories, setCategories] = useState([]);
+  const [meta, setMeta] = useState({ category: "", language: "", tags: "" });
+
+  useEffect(() => {
+    if (!PUB_ADDRESS) return;
+    loadCategories(getProviderAndSigner().provider).then(setCategories).catch(e => console.error("loadCategories error", e));
+  }, []);
 
   async function checkPublisherTrusted(addr) {
     try {
@@ -108,12 +125,66 @@ export default function SubmitArticle({ connectedAddress }) {
     }
   }
 
+  async function articleHash() {
+    const hex = await computeContentHash(content || uri || "");
+    if (hex.length !== 66) return null;
+    return hex;
+  }
+
+  // the same article may already be on-chain under an older hash version
+  async function findExisting() {
+    for (const { hash } of await candidateHashes(content || uri || "")) {
+      const existing = await precheckHash(hash);
+      if (existing) return existing;
+    }
+    return null;
+  }
+
+  // Publisher side: sign an attestation for the entered article so anyone can submit it auto-verified
+  async function signAttestation() {
+    setStatusMsg("");
+    if (!connectedAddress) {
+      setStatusMsg("Connect the publisher wallet to sign an attestation.");
+      return;
+    }
+    const maybe = publisherInput.trim();
+    if (maybe && (!ethers.utils.isAddress(maybe) || maybe.toLowerCase() !== connectedAddress.toLowerCase())) {
+      setStatusMsg("The connected wallet must be the publisher to sign an attestation.");
+      return;
+    }
+    try {
+      setBusy(true);
+      const contentHashHex = await articleHash();
+      if (!contentHashHex) {
+        setStatusMsg("Computed hash has unexpected length. Check input.");
+        return;
+      }
+      setComputedHash(contentHashHex);
+      const { provider, signer } = getProviderAndSigner();
+      if (!signer) {
+        setStatusMsg("Please connect wallet (signer needed).");
+        return;
+      }
+      const { domain, types, value } = await attestationTypedData(provider, contentHashHex, HASH_VERSION, canonicalUri(uri));
+      const sig = await signer._signTypedData(domain, types, value);
+      setPublisherInput(connectedAddress);
+      setSignatureInput(sig);
+      setStatusMsg("Attestation signed. Submit now, or share the publisher address and signature with the submitter.");
+    } catch (err) {
+      console.error("sign error:", err);
+      setStatusMsg("Signing failed: " + extractShortError(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
   async function submit() {
     setStatusMsg("");
     setArticleInfo(null);
     setTxHash(null);
     setComputedHash(null);
     setPublisherTrusted(null);
+    setSimilar([]);
 
     if (!NEWS_ADDRESS || !ethers.utils.isAddress(NEWS_ADDRESS)) {
       setStatusMsg("NEWS_ADDRESS invalid in src/constants.");
@@ -128,17 +199,16 @@ export default function SubmitArticle({ connectedAddress }) {
     try {
       setBusy(true);
       setStatusMsg("Computing SHA-256...");
-      const hex = await computeSha256HexStrict(content || uri || "");
-      if (hex.length !== 64) {
+      const contentHashHex = await articleHash();
+      if (!contentHashHex) {
         setStatusMsg("Computed hash has unexpected length. Check input.");
         setBusy(false);
         return;
       }
-      const contentHashHex = "0x" + hex;
       setComputedHash(contentHashHex);
 
       // pre-check: if already present, show friendly message and return
-      const existing = await precheckHash(contentHashHex);
+      const existing = await findExisting();
       if (existing) {
         setArticleInfo(existing);
         setStatusMsg(`This article is already submitted on-chain by ${existing.submitter} at ${new Date(existing.createdAt * 1000).toLocaleString()}.`);
@@ -162,6 +232,40 @@ export default function SubmitArticle({ connectedAddress }) {
         publisherToPass = maybe;
       }
 
+      // corrections are submitted by the publisher of the version they replace, which NewsRegistry checks
+      const previousHash = revisionOf.trim();
+      if (previousHash && !/^0x[0-9a-fA-F]{64}$/.test(previousHash)) {
+        setStatusMsg("Revision Of must be the 0x-prefixed contentHash of the previous version.");
+        setBusy(false);
+        return;
+      }
+      if (previousHash && signatureInput.trim()) {
+        setStatusMsg("Revisions are submitted by the publisher wallet itself; leave the signature empty.");
+        setBusy(false);
+        return;
+      }
+
+      let metaArg;
+      try {
+        metaArg = encodeMeta({ category: meta.category, language: meta.language, tags: parseTags(meta.tags) });
+      } catch (e) {
+        setStatusMsg(e.message);
+        setBusy(false);
+        return;
+      }
+
+      const signature = signatureInput.trim();
+      if (signature && publisherToPass === ethers.constants.AddressZero) {
+        setStatusMsg("A publisher signature needs the matching Publisher Address.");
+        setBusy(false);
+        return;
+      }
+      if (signature && !ethers.utils.isHexString(signature)) {
+        setStatusMsg("Publisher signature must be a 0x-prefixed hex string.");
+        setBusy(false);
+        return;
+      }
+
       // require signer
       const { provider, signer } = getProviderAndSigner();
       if (!signer) {
@@ -170,14 +274,51 @@ export default function SubmitArticle({ connectedAddress }) {
         return;
       }
 
+      // a lightly edited copy of an article that already has a verdict: warn first, submit on the next click
+      // (revisions are expected to resemble the version they replace)
+      const fingerprint = simhash(content) || NO_FINGERPRINT;
+      if (!previousHash && similarAckFor !== contentHashHex) {
+        const matches = await findSimilarVerdicts(provider, fingerprint);
+        if (matches.length > 0) {
+          setSimilar(matches);
+          setSimilarAckFor(contentHashHex);
+          setStatusMsg("Similar articles already have a verdict (see below). Press Submit again to submit this one anyway.");
+          setBusy(false);
+          return;
+        }
+      }
+
+      let archivedCid = null;
+      if (archive) {
+        if (!content.trim()) {
+          setStatusMsg("Archiving needs the article text.");
+          setBusy(false);
+          return;
+        }
+        setStatusMsg(`Archiving text to IPFS (${archiveBackend()})...`);
+        archivedCid = await archiveText(content, HASH_VERSION);
+      }
+
       setStatusMsg("Submitting article to chain...");
       const writeContract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, signer);
 
-      // Submit tx
-      const tx = await writeContract.submitArticle(contentHashHex, uri || "", publisherToPass);
+      // Submit tx (signed path lets a non-publisher submit with the publisher's attestation)
+      let tx;
+      if (previousHash) {
+        tx = await writeContract.submitRevision(previousHash, contentHashHex, HASH_VERSION, fingerprint, canonicalUri(uri), metaArg, carryVerdict);
+      } else if (signature) {
+        tx = await writeContract.submitSignedArticle(contentHashHex, HASH_VERSION, fingerprint, canonicalUri(uri), metaArg, publisherToPass, signature);
+      } else {
+        tx = await writeContract.submitArticle(contentHashHex, HASH_VERSION, fingerprint, canonicalUri(uri), metaArg, publisherToPass);
+      }
       setTxHash(tx.hash);
       setStatusMsg(`Transaction sent: ${tx.hash} — waiting to be mined...`);
       const receipt = await tx.wait();
+      // the CID goes in a second transaction so the uri keeps the link NewsRegistry looks articles up by
+      if (archivedCid) {
+        setStatusMsg(`Transaction mined: ${tx.hash} — recording the IPFS CID...`);
+        await (await writeContract.recordArchive(contentHashHex, archivedCid)).wait();
+      }
       setStatusMsg(`Transaction mined: ${tx.hash} — reading stored article...`);
 
       // read back
@@ -199,11 +340,20 @@ export default function SubmitArticle({ connectedAddress }) {
           finalized: article[8],
         };
         setArticleInfo(stored);
+        let trusted = false;
         if (stored.publisher && stored.publisher !== ethers.constants.AddressZero) {
-          const trusted = await checkPublisherTrusted(stored.publisher);
+          trusted = await checkPublisherTrusted(stored.publisher);
           setPublisherTrusted(trusted);
         } else setPublisherTrusted(false);
-        setStatusMsg("Submitted and stored on-chain.");
+        if (previousHash) {
+          setStatusMsg(stored.finalized
+            ? "Revision stored on-chain with the previous version's verdict."
+            : "Revision stored on-chain and sent for review.");
+        } else if (trusted && stored.status === 0) {
+          setStatusMsg("Submitted and stored on-chain. Without the publisher's signature it is under review rather than auto-verified.");
+        } else {
+          setStatusMsg("Submitted and stored on-chain.");
+        }
       }
     } catch (err) {
       console.error("submit error:", err);
@@ -228,6 +378,7 @@ export default function SubmitArticle({ connectedAddress }) {
         <div className="mb-2">
           <label className="form-label small">Article URI (optional)</label>
           <input className="form-control form-control-sm" value={uri} onChange={e => setUri(e.target.value)} placeholder="https://..." />
+          <div className="form-text small">Indexed separately, so the article can be looked up by its link or its text.</div>
         </div>
 
         <div className="mb-2">
@@ -235,24 +386,65 @@ export default function SubmitArticle({ connectedAddress }) {
           <textarea className="form-control form-control-sm" rows={4} value={content} onChange={e => setContent(e.target.value)} placeholder="Paste article text..." />
         </div>
 
+        <div className="mb-2">
+          <label className="form-label small">Category, Language and Tags (optional)</label>
+          <MetaSelect value={meta} onChange={setMeta} categories={categories} />
+        </div>
+
+        <div className="form-check mb-3">
+          <input className="form-check-input" type="checkbox" id="archiveText" checked={archive} onChange={e => setArchive(e.target.checked)} disabled={!content.trim()} />
+          <label className="form-check-label small" htmlFor="archiveText">
+            Archive the normalized text to IPFS ({archiveBackend()}); the CID is recorded on-chain next to the link
+          </label>
+        </div>
+
         <div className="mb-3">
           <label className="form-label small">Publisher Address (optional)</label>
           <input className="form-control form-control-sm" value={publisherInput} onChange={e => setPublisherInput(e.target.value)} placeholder="0xPublisherAddress" />
+          {ethers.utils.isAddress(publisherInput.trim()) && <div className="form-text small">Publisher: <PublisherName address={publisherInput.trim()} /></div>}
+        </div>
+
+        <div className="mb-3">
+          <label className="form-label small">Publisher Signature (optional)</label>
+          <input className="form-control form-control-sm" value={signatureInput} onChange={e => setSignatureInput(e.target.value)} placeholder="0x... EIP-712 attestation from the publisher wallet" />
+          <div className="form-text small">A trusted publisher only auto-verifies when it submits itself or signs an attestation.</div>
+        </div>
+
+        <div className="mb-3">
+          <label className="form-label small">Revision Of (optional)</label>
+          <input className="form-control form-control-sm" value={revisionOf} onChange={e => setRevisionOf(e.target.value)} placeholder="0x... contentHash of the version this corrects" />
+          {revisionOf.trim() && (
+            <div className="form-check mt-1">
+              <input className="form-check-input" type="checkbox" id="carryVerdict" checked={carryVerdict} onChange={e => setCarryVerdict(e.target.checked)} />
+              <label className="form-check-label small" htmlFor="carryVerdict">
+                Carry the previous verdict forward (trusted publishers only; otherwise the revision is reviewed again)
+              </label>
+            </div>
+          )}
+          <div className="form-text small">Only the publisher of the previous version can submit a correction, from its own wallet.</div>
         </div>
 
         <div className="d-flex align-items-center gap-2">
           <button className="btn btn-primary btn-sm" onClick={submit} disabled={busy || !connectedAddress}>
             {busy ? "Working..." : "Submit"}
           </button>
-          <button className="btn btn-secondary btn-sm" onClick={() => { setUri(""); setContent(""); setPublisherInput(""); setStatusMsg(""); setArticleInfo(null); setTxHash(null); setComputedHash(null); }}>
+          <button className="btn btn-outline-primary btn-sm" onClick={signAttestation} disabled={busy || !connectedAddress} title="Sign as the publisher wallet so another account can submit this article auto-verified">
+            Sign as Publisher
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => { setUri(""); setContent(""); setPublisherInput(""); setSignatureInput(""); setStatusMsg(""); setArticleInfo(null); setTxHash(null); setComputedHash(null); setSimilar([]); setSimilarAckFor(null); setRevisionOf(""); setArchive(false); setMeta({ category: "", language: "", tags: "" }); }}>
             Clear
           </button>
         </div>
 
         {statusMsg && <div className="mt-3"><div className="alert alert-info py-2">{statusMsg}</div></div>}
 
+        <SimilarArticles items={similar} />
+
         {computedHash && !articleInfo && (
-          <div className="mt-2"><small className="text-monospace">Computed: {computedHash}</small></div>
+          <div className="mt-2">
+            <small className="text-monospace">Computed: {computedHash}</small>
+            <div className="small text-muted">Hash rules v{HASH_VERSION}: {HASH_VERSIONS[HASH_VERSION]}</div>
+          </div>
         )}
 
         {txHash && (
@@ -269,8 +461,8 @@ export default function SubmitArticle({ connectedAddress }) {
               <div className="small mt-2">
                 <div><strong>contentHash:</strong> <span className="text-monospace">{articleInfo.contentHash}</span></div>
                 <div><strong>URI:</strong> {articleInfo.uri || "(empty)"}</div>
-                <div><strong>Publisher:</strong> {articleInfo.publisher}</div>
-                <div><strong>Submitter:</strong> {articleInfo.submitter}</div>
+                <div><strong>Publisher:</strong> <PublisherName address={articleInfo.publisher} /></div>
+                <div><strong>Submitter:</strong> <PublisherName address={articleInfo.submitter} /></div>
                 <div><strong>Submitted At:</strong> {new Date(articleInfo.createdAt * 1000).toLocaleString()}</div>
                 <div className="mt-1">{publisherTrusted !== null && (publisherTrusted ? <span className="badge bg-success">Publisher trusted</span> : <span className="badge bg-danger">Publisher not trusted</span>)}</div>
               </div>
@@ -0,0 +1,47 @@
+// src/components/VersionHistory.jsx
+import React from "react";
+import StatusBadge from "./StatusBadge";
+
+/*
+  VersionHistory: timeline of an article's corrections (see src/articleVersions.js)
+  - Oldest first; the version being viewed is highlighted
+  - A carried verdict was copied from the previous version instead of being voted on again
+*/
+
+function short(h = "", start = 10, end = 8) {
+  if (!h) return "";
+  if (h.length <= start + end) return h;
+  return `${h.slice(0, start)}…${h.slice(-end)}`;
+}
+
+export default function VersionHistory({ versions, current, onSelect }) {
+  if (!versions || versions.length < 2) return null;
+  const latest = versions[versions.length - 1].contentHash;
+  return (
+    <div className="mt-3">
+      <strong>Version history</strong>
+      {current !== latest && <div className="small text-warning">A newer correction of this article exists.</div>}
+      <ul className="list-group list-group-flush small mt-1">
+        {versions.map(v => (
+          <li
+            key={v.contentHash}
+            className={`list-group-item px-0 d-flex justify-content-between align-items-center${v.contentHash === current ? " fw-bold" : ""}`}
+            style={{ background: "transparent", color: "inherit" }}
+          >
+            <div>
+              <span className="me-2">v{v.version}</span>
+              {onSelect && v.contentHash !== current
+                ? <button type="button" className="btn btn-link btn-sm p-0 text-monospace" onClick={() => onSelect(v.contentHash)}>{short(v.contentHash)}</button>
+                : <span className="text-monospace">{short(v.contentHash)}</span>}
+              <div className="text-muted">{new Date(v.createdAt * 1000).toLocaleString()}</div>
+            </div>
+            <div className="text-end">
+              <StatusBadge statusNum={v.status} confidence={v.confidence} />
+              {v.verdictCarried && <div className="text-muted">verdict carried forward</div>}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -3,16 +3,11 @@ import React, { useEffect, useState } from "react";
 import { ethers } from "ethers";
 import NewsJson from "../abis/NewsRegistry.json";
 import { NEWS_ADDRESS } from "../constants";
-
-async function computeSha256HexStrict(text) {
-  const encoder = new TextEncoder();
-  const normalized = (text ?? "").trim();
-  const data = encoder.encode(normalized);
-  const hashBuffer = await crypto.subtle.digest("SHA-256", data);
-  const bytes = Array.from(new Uint8Array(hashBuffer));
-  const hex = bytes.map(b => b.toString(16).padStart(2, "0")).join("");
-  return "0x" + hex;
-}
+import AppealPanel from "./AppealPanel";
+import PublisherName from "./PublisherName";
+import { findContentHash } from "../hashing";
+import StatusBadge from "./StatusBadge";
+import { VERIFIED_TRUE, labelName, loadLabels, useLabels, votableLabels } from "../labels";
 
 function getProviderAndSigner() {
   if (typeof window !== "undefined" && window.ethereum) {
@@ -34,13 +29,17 @@ function isValidBytes32(hex) {
   }
 }
 
-function statusToString(n) {
-  switch (Number(n)) {
-    case 0: return "UnderReview";
-    case 1: return "VerifiedTrue";
-    case 2: return "MarkedFake";
-    case 3: return "Disputed";
-    default: return `Unknown(${n})`;
+// commit-reveal: the salt and choice must survive until the reveal window, so keep them in localStorage
+function saltKey(contentHash, voter) {
+  return `vote-salt:${NEWS_ADDRESS}:${contentHash}:${voter}`.toLowerCase();
+}
+
+function loadSalt(contentHash, voter) {
+  try {
+    const raw = localStorage.getItem(saltKey(contentHash, voter));
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
   }
 }
 
@@ -54,9 +53,133 @@ export default function VoteArticle({ connectedAddress }) {
   const [articleExists, setArticleExists] = useState(false);
   const [alreadyVoted, setAlreadyVoted] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [finalizable, setFinalizable] = useState(false);
+  const [stakeInfo, setStakeInfo] = useState(null); // { enabled, minStake, myStake, claimable } (BigNumbers)
+  const [stakeInput, setStakeInput] = useState("");
+  const [rationale, setRationale] = useState("");
+  const [phase, setPhase] = useState(null); // commit-reveal only: { revealStart, votingEnds, now, committed, revealed, saved }
+  const [choice, setChoice] = useState(VERIFIED_TRUE);
+  const [tallies, setTallies] = useState([]); // [{ id, amount }] for labels with votes
+  const labels = useLabels();
 
   useEffect(() => {}, []);
 
+  // stake-weighted articles: tallies are in wei and the vote carries an ETH stake
+  async function loadStakeInfo(readContract, hex) {
+    try {
+      const pool = await readContract.stakePools(hex);
+      if (!pool.enabled) { setStakeInfo({ enabled: false }); return; }
+      const minStake = await readContract.minStake();
+      let myStake = ethers.constants.Zero;
+      let claimable = ethers.constants.Zero;
+      if (connectedAddress) {
+        myStake = await readContract.stakeOf(hex, connectedAddress);
+        claimable = await readContract.claimableStake(hex, connectedAddress);
+      }
+      setStakeInfo({ enabled: true, minStake, myStake, claimable, slashBps: Number(pool.slashBps.toString()) });
+      setStakeInput(prev => prev || ethers.utils.formatEther(minStake));
+    } catch (e) {
+      console.error("stake info error", e);
+      setStakeInfo(null);
+    }
+  }
+
+  // per-label weights; zero until reveal on commit-reveal articles
+  async function loadTallies(readContract, hex) {
+    try {
+      const list = await loadLabels(readContract.provider);
+      const amounts = await Promise.all(list.map(l => readContract.labelVotes(hex, l.id)));
+      setTallies(list.map((l, i) => ({ id: l.id, amount: amounts[i] })).filter(t => !t.amount.isZero()));
+    } catch (e) {
+      console.error("tally load error", e);
+      setTallies([]);
+    }
+  }
+
+  async function loadPhase(readContract, hex) {
+    try {
+      if (!(await readContract.commitReveal())) { setPhase(null); return; }
+      // votingEndsAt counts from reopenedAt for reopened articles, like the contract's _votingStart
+      const [revealPeriod, votingEnds, block] = await Promise.all([
+        readContract.revealPeriod(),
+        readContract.votingEndsAt(hex),
+        readContract.provider.getBlock("latest"),
+      ]);
+      const next = {
+        revealStart: Number(votingEnds.toString()) - Number(revealPeriod.toString()),
+        votingEnds: Number(votingEnds.toString()),
+        now: block.timestamp,
+        committed: false,
+        revealed: false,
+        saved: null,
+      };
+      if (connectedAddress) {
+        next.committed = Boolean(await readContract.hasVoted(hex, connectedAddress));
+        next.revealed = Boolean(await readContract.hasRevealed(hex, connectedAddress));
+        next.saved = loadSalt(hex, connectedAddress);
+      }
+      setPhase(next);
+    } catch (e) {
+      console.error("phase load error", e);
+      setPhase(null);
+    }
+  }
+
+  async function revealVote() {
+    if (!articleInfo || !phase?.saved) return;
+    setStatusMsg("");
+    setLoading(true);
+    try {
+      const { signer, provider } = getProviderAndSigner();
+      if (!signer) { setStatusMsg("Signer required. Connect wallet."); return; }
+      const hex = articleInfo.contentHash;
+      const writeContract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, signer);
+      setStatusMsg("Sending reveal transaction...");
+      const tx = await writeContract.revealVote(hex, phase.saved.label, phase.saved.salt, phase.saved.rationale || "");
+      await tx.wait();
+      localStorage.removeItem(saltKey(hex, connectedAddress));
+
+      const readContract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+      await loadTallies(readContract, hex);
+      await loadPhase(readContract, hex);
+      setStatusMsg("Vote revealed and counted.");
+    } catch (e) {
+      console.error(e);
+      const raw = e?.error?.message || e?.message || String(e);
+      const m = raw.match(/revert(?:.*:)?\s*(.*)/i);
+      setStatusMsg(m && m[1] ? `Transaction reverted: ${m[1]}` : "Reveal failed: " + raw.slice(0, 200));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function formatTally(v) {
+    return stakeInfo?.enabled ? `${ethers.utils.formatEther(v)} ETH` : v.toString();
+  }
+
+  async function claimStake() {
+    if (!articleInfo) return;
+    setStatusMsg("");
+    setLoading(true);
+    try {
+      const { signer, provider } = getProviderAndSigner();
+      if (!signer) { setStatusMsg("Signer required. Connect wallet."); return; }
+      const writeContract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, signer);
+      setStatusMsg("Sending claim transaction...");
+      const tx = await writeContract.claimStake(articleInfo.contentHash);
+      await tx.wait();
+      setStatusMsg(`Claimed ${ethers.utils.formatEther(stakeInfo.claimable)} ETH.`);
+      await loadStakeInfo(new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider), articleInfo.contentHash);
+    } catch (e) {
+      console.error(e);
+      const raw = e?.error?.message || e?.message || String(e);
+      const m = raw.match(/revert(?:.*:)?\s*(.*)/i);
+      setStatusMsg(m && m[1] ? `Transaction reverted: ${m[1]}` : "Claim failed: " + raw.slice(0, 200));
+    } finally {
+      setLoading(false);
+    }
+  }
+
   async function computeAndCheck() {
     setStatusMsg("");
     setComputedHash(null);
@@ -64,6 +187,9 @@ export default function VoteArticle({ connectedAddress }) {
     setCheckedHash(false);
     setArticleExists(false);
     setAlreadyVoted(null);
+    setFinalizable(false);
+    setStakeInfo(null);
+    setPhase(null);
 
     if (!articleInput || articleInput.trim() === "") {
       setStatusMsg("Paste the article text/URI to compute contentHash.");
@@ -73,12 +199,18 @@ export default function VoteArticle({ connectedAddress }) {
     try {
       setLoading(true);
       setStatusMsg("Computing contentHash...");
-      const ch = await computeSha256HexStrict(articleInput);
+      const { provider } = getProviderAndSigner();
+      const readContract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+      // articles submitted under older hash versions are found too, and a pasted link finds the first
+      // article submitted with it
+      const { hash: ch } = await findContentHash(
+        articleInput,
+        async h => Number((await readContract.getArticle(h))[4].toString()) !== 0,
+        urlHash => readContract.getArticlesByUrl(urlHash)
+      );
       setComputedHash(ch);
       setStatusMsg("Computed contentHash. Checking on-chain...");
 
-      const { provider } = getProviderAndSigner();
-      const readContract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
       const article = await readContract.getArticle(ch);
       const createdAt = Number(article[4].toString());
       if (createdAt === 0) {
@@ -89,17 +221,20 @@ export default function VoteArticle({ connectedAddress }) {
         const info = {
           contentHash: article[0],
           uri: article[1],
+          publisher: article[2],
           submitter: article[3],
           createdAt,
           status: Number(article[5]),
-          yes: Number(article[6].toString()),
-          no: Number(article[7].toString()),
           finalized: article[8],
         };
         setArticleInfo(info);
         setCheckedHash(true);
         setArticleExists(true);
         setStatusMsg("Article found on-chain.");
+        if (!info.finalized) setFinalizable(Boolean(await readContract.isFinalizable(info.contentHash)));
+        await loadStakeInfo(readContract, info.contentHash);
+        await loadTallies(readContract, info.contentHash);
+        await loadPhase(readContract, info.contentHash);
 
         // check hasVoted if wallet connected
         if (connectedAddress) {
@@ -128,6 +263,9 @@ export default function VoteArticle({ connectedAddress }) {
     setCheckedHash(false);
     setArticleExists(false);
     setAlreadyVoted(null);
+    setFinalizable(false);
+    setStakeInfo(null);
+    setPhase(null);
 
     let hex = hexRaw && hexRaw.trim() ? hexRaw.trim() : "";
     if (!hex.startsWith("0x")) hex = "0x" + hex.replace(/^0x/i, "");
@@ -151,17 +289,20 @@ export default function VoteArticle({ connectedAddress }) {
         const info = {
           contentHash: article[0],
           uri: article[1],
+          publisher: article[2],
           submitter: article[3],
           createdAt: createdAt,
           status: Number(article[5]),
-          yes: Number(article[6].toString()),
-          no: Number(article[7].toString()),
           finalized: article[8],
         };
         setArticleInfo(info);
         setCheckedHash(true);
         setArticleExists(true);
         setStatusMsg("Article found on-chain.");
+        if (!info.finalized) setFinalizable(Boolean(await readContract.isFinalizable(info.contentHash)));
+        await loadStakeInfo(readContract, info.contentHash);
+        await loadTallies(readContract, info.contentHash);
+        await loadPhase(readContract, info.contentHash);
 
         if (connectedAddress) {
           try {
@@ -182,7 +323,7 @@ export default function VoteArticle({ connectedAddress }) {
   }
 
   // New: check hasVoted before sending transaction; show friendly message if already voted.
-  async function vote(support) {
+  async function vote(label) {
     setStatusMsg("");
     setLoading(true);
     try {
@@ -207,32 +348,80 @@ export default function VoteArticle({ connectedAddress }) {
         return;
       }
 
+      const note = rationale.trim();
+      if (new TextEncoder().encode(note).length > 512) {
+        setStatusMsg("Rationale is too long (max 512 bytes).");
+        setLoading(false);
+        return;
+      }
+
+      // stake-weighted articles need an ETH stake of at least minStake
+      const overrides = {};
+      if (stakeInfo?.enabled) {
+        let value;
+        try { value = ethers.utils.parseEther((stakeInput || "").trim()); } catch { value = null; }
+        if (!value || value.lt(stakeInfo.minStake) || value.isZero()) {
+          setStatusMsg(`Stake must be at least ${ethers.utils.formatEther(stakeInfo.minStake)} ETH.`);
+          setLoading(false);
+          return;
+        }
+        overrides.value = value;
+      }
+
       // proceed with vote
       const writeContract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, signer);
-      setStatusMsg("Sending vote transaction...");
-      const tx = await writeContract.vote(hex, support);
-      await tx.wait();
-      setStatusMsg("Vote recorded. Thank you.");
+      if (phase) {
+        // commit-reveal: save the salt before committing so a reload can't lose it
+        const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        const commitment = ethers.utils.solidityKeccak256(
+          ["bytes32", "address", "uint8", "bytes32"],
+          [hex, connectedAddress, label, salt]
+        );
+        localStorage.setItem(saltKey(hex, connectedAddress), JSON.stringify({ label, salt, rationale: note }));
+        setStatusMsg("Sending vote commitment...");
+        const tx = await writeContract.commitVote(hex, commitment, overrides);
+        await tx.wait();
+        setStatusMsg(`Vote committed. Come back between ${new Date(phase.revealStart * 1000).toLocaleString()} and ${new Date(phase.votingEnds * 1000).toLocaleString()} to reveal it.`);
+      } else {
+        setStatusMsg("Sending vote transaction...");
+        const tx = await writeContract.voteLabel(hex, label, note, overrides);
+        await tx.wait();
+        setStatusMsg("Vote recorded. Thank you.");
+      }
 
       // refresh article info
       const updated = await readContract.getArticle(hex);
       setArticleInfo({
         contentHash: updated[0],
         uri: updated[1],
+        publisher: updated[2],
         submitter: updated[3],
         createdAt: Number(updated[4].toString()),
         status: Number(updated[5]),
-        yes: Number(updated[6].toString()),
-        no: Number(updated[7].toString()),
         finalized: updated[8]
       });
       setAlreadyVoted(true);
+      setRationale("");
+      setFinalizable(!updated[8] && Boolean(await readContract.isFinalizable(hex)));
+      await loadStakeInfo(readContract, hex);
+      await loadTallies(readContract, hex);
+      await loadPhase(readContract, hex);
     } catch (e) {
       console.error(e);
       // show short, user-friendly message
       const raw = e?.error?.message || e?.message || String(e);
       if (/already voted/i.test(raw)) {
         setStatusMsg("You have already voted on this article.");
+      } else if (/commit phase over/i.test(raw)) {
+        setStatusMsg("The commit phase has ended for this article — votes can no longer be cast.");
+      } else if (/stake too low/i.test(raw)) {
+        setStatusMsg("Stake is below the minimum required for this article.");
+      } else if (/not a trusted publisher/i.test(raw)) {
+        setStatusMsg("Only trusted publishers can vote. Apply as a publisher from the Home view to request access.");
+      } else if (/invalid label/i.test(raw)) {
+        setStatusMsg("That verdict label has been retired — pick another one.");
+      } else if (/not trusted for category/i.test(raw)) {
+        setStatusMsg("This article's category only takes votes from publishers the registry owner trusts for it.");
       } else if (/revert/i.test(raw) || /execution reverted/i.test(raw)) {
         // show brief revert reason if available
         const m = raw.match(/revert(?:.*:)?\s*(.*)/i);
@@ -245,7 +434,38 @@ export default function VoteArticle({ connectedAddress }) {
     }
   }
 
-  const canVote = checkedHash && articleExists && !alreadyVoted && !loading && connectedAddress;
+  // closes out an article whose voting period elapsed without a later vote triggering finalization
+  async function finalizeArticle() {
+    if (!articleInfo) return;
+    setStatusMsg("");
+    setLoading(true);
+    try {
+      const { signer, provider } = getProviderAndSigner();
+      if (!signer) { setStatusMsg("Signer required. Connect wallet."); return; }
+      const writeContract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, signer);
+      setStatusMsg("Sending finalize transaction...");
+      const tx = await writeContract.finalize(articleInfo.contentHash);
+      await tx.wait();
+
+      const readContract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+      const updated = await readContract.getArticle(articleInfo.contentHash);
+      setArticleInfo(prev => ({ ...prev, status: Number(updated[5]), finalized: updated[8] }));
+      setFinalizable(false);
+      await loadStakeInfo(readContract, articleInfo.contentHash);
+      setStatusMsg(`Article finalized as ${labelName(labels, updated[5])}.`);
+    } catch (e) {
+      console.error(e);
+      const raw = e?.error?.message || e?.message || String(e);
+      const m = raw.match(/revert(?:.*:)?\s*(.*)/i);
+      setStatusMsg(m && m[1] ? `Transaction reverted: ${m[1]}` : "Finalize failed: " + raw.slice(0, 200));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const inCommitPhase = !phase || phase.now < phase.revealStart;
+  const inRevealPhase = phase && phase.now >= phase.revealStart && phase.now < phase.votingEnds;
+  const canVote = checkedHash && articleExists && !alreadyVoted && !loading && connectedAddress && inCommitPhase;
 
   return (
     <div className="card h-100">
@@ -284,23 +504,77 @@ export default function VoteArticle({ connectedAddress }) {
               <div>
                 <div><strong>contentHash:</strong> <span className="text-monospace">{articleInfo.contentHash}</span></div>
                 <div><strong>URI:</strong> {articleInfo.uri || "(empty)"}</div>
-                <div><strong>Submitter:</strong> {articleInfo.submitter}</div>
+                <div><strong>Publisher:</strong> <PublisherName address={articleInfo.publisher} /></div>
+                <div><strong>Submitter:</strong> <PublisherName address={articleInfo.submitter} /></div>
                 <div><strong>Submitted At:</strong> {new Date(articleInfo.createdAt * 1000).toLocaleString()}</div>
               </div>
               <div className="text-end">
                 <div className="mb-1"><strong>Status</strong></div>
-                <div><span className="badge bg-secondary">{statusToString(articleInfo.status)}</span></div>
-                <div className="small mt-2">Yes / No: {articleInfo.yes} / {articleInfo.no}</div>
+                <div><StatusBadge statusNum={articleInfo.status} /></div>
+                {phase && inCommitPhase
+                  ? <div className="small mt-2">Tally hidden until reveal</div>
+                  : <div className="small mt-2">
+                    {tallies.length === 0
+                      ? "No votes counted"
+                      : tallies.map(t => `${labelName(labels, t.id)} ${formatTally(t.amount)}`).join(" · ")}
+                  </div>}
+                {stakeInfo?.enabled && <div className="small text-muted">Stake-weighted · losers slashed {stakeInfo.slashBps / 100}%</div>}
               </div>
             </div>
           </div>
         )}
 
+        {phase && !articleInfo?.finalized && (
+          <div className="small text-muted mt-2">
+            Commit-reveal voting · commit until {new Date(phase.revealStart * 1000).toLocaleString()}, reveal until {new Date(phase.votingEnds * 1000).toLocaleString()}
+          </div>
+        )}
+
+        {inRevealPhase && phase.committed && !phase.revealed && (
+          <div className="alert alert-warning py-2 mt-2 d-flex justify-content-between align-items-center">
+            {phase.saved
+              ? <span>Reveal window is open — reveal your vote ({labelName(labels, phase.saved.label)}) or it won't be counted.</span>
+              : <span>Reveal window is open, but the salt for your vote isn't stored in this browser.</span>}
+            {phase.saved && <button className="btn btn-sm btn-warning" onClick={revealVote} disabled={loading}>Reveal Vote</button>}
+          </div>
+        )}
+
+        <div className="mt-3">
+          <label className="form-label small">Rationale / evidence (optional)</label>
+          <textarea className="form-control form-control-sm" rows="2" value={rationale} onChange={e => setRationale(e.target.value)} placeholder="Why? Link to evidence (https://..., ipfs://...) or a short explanation" disabled={!canVote} />
+        </div>
+
+        {stakeInfo?.enabled && !articleInfo?.finalized && (
+          <div className="mt-3">
+            <label className="form-label small">Stake (ETH, min {ethers.utils.formatEther(stakeInfo.minStake)})</label>
+            <input className="form-control form-control-sm" value={stakeInput} onChange={e => setStakeInput(e.target.value)} placeholder="0.1" disabled={!canVote} />
+          </div>
+        )}
+
+        {stakeInfo?.enabled && !stakeInfo.myStake.isZero() && (
+          <div className="small mt-2">
+            Your stake: {ethers.utils.formatEther(stakeInfo.myStake)} ETH
+            {articleInfo?.finalized && <> · Claimable: {ethers.utils.formatEther(stakeInfo.claimable)} ETH</>}
+          </div>
+        )}
+
         <div className="mt-3 d-flex gap-2">
-          <button className="btn btn-success btn-sm" onClick={() => vote(true)} disabled={!canVote}>Vote Yes</button>
-          <button className="btn btn-danger btn-sm" onClick={() => vote(false)} disabled={!canVote}>Vote No</button>
+          <select className="form-select form-select-sm" style={{ width: "auto" }} value={choice} onChange={e => setChoice(Number(e.target.value))} disabled={!canVote}>
+            {votableLabels(labels).map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+          <button className="btn btn-primary btn-sm" onClick={() => vote(choice)} disabled={!canVote}>Vote</button>
+          {finalizable && (
+            <button className="btn btn-outline-warning btn-sm" onClick={finalizeArticle} disabled={loading || !connectedAddress}>Finalize</button>
+          )}
+          {stakeInfo?.enabled && articleInfo?.finalized && stakeInfo.claimable && !stakeInfo.claimable.isZero() && (
+            <button className="btn btn-outline-success btn-sm" onClick={claimStake} disabled={loading}>Claim Stake</button>
+          )}
         </div>
 
+        {articleInfo?.finalized && (
+          <AppealPanel contentHash={articleInfo.contentHash} finalized connectedAddress={connectedAddress} />
+        )}
+
         {statusMsg && <div className="mt-3"><div className="alert alert-info py-2">{statusMsg}</div></div>}
       </div>
     </div>
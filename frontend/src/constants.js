@@ -1,2 +1,8 @@
 export const NEWS_ADDRESS = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
-export const PUB_ADDRESS  = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
\ No newline at end of file
+export const PUB_ADDRESS  = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+export const APPEAL_ADDRESS = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+export const COUNCIL_ADDRESS = "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9";
+// REST API of the indexer (npm run indexer), e.g. "http://localhost:4000/api"; empty = read straight from RPC
+export const INDEXER_URL = "";
+// Kubo RPC API used to pin archived article text, e.g. "http://127.0.0.1:5001"; empty = in-browser Helia node
+export const IPFS_API_URL = "";
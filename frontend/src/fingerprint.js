@@ -0,0 +1,58 @@
+// src/fingerprint.js
+// 64-bit SimHash fingerprints of article text (NewsRegistry.fingerprints). Articles are keyed by exact
+// contentHash, so a lightly edited copy gets a new entry; close fingerprints link it to an earlier verdict.
+
+export const NO_FINGERPRINT = "0x0000000000000000";
+export const MIN_SIMILARITY = 0.8; // at most 12 of 64 bits differ; unrelated texts agree on ~50%
+
+const SHINGLE = 2; // words per shingle
+const MIN_WORDS = 8; // shorter texts flip too many bits per edit to compare
+const MASK = (1n << 64n) - 1n;
+const FNV_OFFSET = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+
+function fnv1a64(text) {
+  let h = FNV_OFFSET;
+  for (const b of new TextEncoder().encode(text)) {
+    h = ((h ^ BigInt(b)) * FNV_PRIME) & MASK;
+  }
+  return h;
+}
+
+// MurmurHash3 finalizer: FNV alone leaves the high bits poorly mixed, which skews SimHash bit votes
+function fmix64(h) {
+  h ^= h >> 33n;
+  h = (h * 0xff51afd7ed558ccdn) & MASK;
+  h ^= h >> 33n;
+  h = (h * 0xc4ceb9fe1a85ec53n) & MASK;
+  return h ^ (h >> 33n);
+}
+
+// 0x-prefixed 16 hex digits, or null when the text has too few words to compare meaningfully
+export function simhash(text) {
+  const words = (text ?? "").normalize("NFC").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < MIN_WORDS) return null;
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i + SHINGLE <= words.length; i++) {
+    const h = fmix64(fnv1a64(words.slice(i, i + SHINGLE).join(" ")));
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (h >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+  let fp = 0n;
+  weights.forEach((w, bit) => {
+    if (w > 0) fp |= 1n << BigInt(bit);
+  });
+  return "0x" + fp.toString(16).padStart(16, "0");
+}
+
+// share of the 64 bits two fingerprints agree on, 0..1
+export function similarity(a, b) {
+  let x = BigInt(a) ^ BigInt(b);
+  let differing = 0;
+  while (x) {
+    differing += Number(x & 1n);
+    x >>= 1n;
+  }
+  return 1 - differing / 64;
+}
@@ -0,0 +1,104 @@
+// src/hashing.js
+// Canonical contentHash computation shared by every component that hashes article text or URLs.
+// Rules are versioned and the version is stored on-chain next to the hash (NewsRegistry.hashVersion),
+// so an existing version must never change; new rules get a new version number.
+
+export const HASH_VERSION = 2; // used for new submissions
+
+export const HASH_VERSIONS = {
+  1: "Trimmed text",
+  2: "Unicode NFC, straight quotes, collapsed whitespace, canonical URLs",
+};
+
+const SINGLE_QUOTES = /[\u2018\u2019\u201A\u201B\u2032]/g;
+const DOUBLE_QUOTES = /[\u201C\u201D\u201E\u201F\u2033]/g;
+const TRACKING_PARAM = /^utm_/i;
+
+// http(s) URL with lowercase scheme and host, no default port, no fragment and no utm_* parameters;
+// null when the input is not a single http(s) URL
+export function canonicalizeUrl(input) {
+  const s = (input ?? "").trim();
+  if (!/^https?:\/\/\S+$/i.test(s)) return null;
+  let url;
+  try {
+    url = new URL(s);
+  } catch {
+    return null;
+  }
+  url.hash = "";
+  const params = new URLSearchParams();
+  for (const [key, value] of url.searchParams) {
+    if (!TRACKING_PARAM.test(key)) params.append(key, value);
+  }
+  url.search = params.toString();
+  return url.toString();
+}
+
+// the uri as stored on-chain: canonical for http(s) links, otherwise trimmed
+export function canonicalUri(uri) {
+  return canonicalizeUrl(uri) ?? (uri ?? "").trim();
+}
+
+export function canonicalize(text, version = HASH_VERSION) {
+  const raw = text ?? "";
+  switch (Number(version)) {
+    case 1:
+      return raw.trim();
+    case 2: {
+      const s = raw
+        .normalize("NFC")
+        .replace(SINGLE_QUOTES, "'")
+        .replace(DOUBLE_QUOTES, '"')
+        .replace(/\s+/g, " ")
+        .trim();
+      return canonicalizeUrl(s) ?? s;
+    }
+    default:
+      throw new Error(`Unknown hash version ${version}`);
+  }
+}
+
+// 0x-prefixed SHA-256 of the UTF-8 bytes
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return "0x" + Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function computeContentHash(text, version = HASH_VERSION) {
+  return sha256Hex(canonicalize(text, version));
+}
+
+// the input's hash under every version, newest first, for looking up articles submitted under older rules;
+// versions that produce the same hash are listed once (under the newest)
+export async function candidateHashes(text) {
+  const versions = Object.keys(HASH_VERSIONS).map(Number).sort((a, b) => b - a);
+  const out = [];
+  for (const version of versions) {
+    const hash = await computeContentHash(text, version);
+    if (!out.some(c => c.hash === hash)) out.push({ version, hash });
+  }
+  return out;
+}
+
+// NewsRegistry.urlHashes: SHA-256 of the stored uri, null without one
+export async function computeUrlHash(uri) {
+  const stored = canonicalUri(uri);
+  return stored ? sha256Hex(stored) : null;
+}
+
+// looks the input up under every version (newest first) with exists(hash); resolves to the first match,
+// or to the current version's hash with found = false.
+// With articlesByUrl(urlHash), a pasted link also resolves to the articles submitted with it (`linked`,
+// oldest first), which finds articles whose contentHash covers their text rather than the link.
+export async function findContentHash(text, exists, articlesByUrl) {
+  const candidates = await candidateHashes(text);
+  let linked = [];
+  if (articlesByUrl && canonicalizeUrl(text)) {
+    linked = await articlesByUrl(await computeUrlHash(text));
+  }
+  for (const c of candidates) {
+    if (await exists(c.hash)) return { ...c, found: true, linked };
+  }
+  if (linked.length > 0) return { version: null, hash: linked[0], found: true, linked };
+  return { ...candidates[0], found: false, linked };
+}
@@ -0,0 +1,15 @@
+// src/indexerApi.js
+// Optional reads through the indexer's REST API; callers fall back to RPC when it is disabled or fails
+import { INDEXER_URL } from "./constants";
+
+export function indexerEnabled() {
+  return Boolean(INDEXER_URL);
+}
+
+// GET INDEXER_URL + path as JSON; throws on network errors and non-2xx responses
+export async function indexerGet(path, params = {}) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== undefined && v !== "")).toString();
+  const res = await fetch(`${INDEXER_URL.replace(/\/$/, "")}${path}${query ? `?${query}` : ""}`);
+  if (!res.ok) throw new Error(`Indexer ${res.status} for ${path}`);
+  return res.json();
+}
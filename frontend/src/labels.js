@@ -0,0 +1,73 @@
+// src/labels.js
+// Verdict labels (NewsRegistry.getLabels): an article's status and every vote are label ids. The built-in
+// names cover the ids each deployment starts with, so badges render before the registry has loaded
+import { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import NewsJson from "./abis/NewsRegistry.json";
+import { NEWS_ADDRESS } from "./constants";
+
+// statuses the contract sets itself; they are never offered as votes
+export const UNDER_REVIEW = 0;
+export const VERIFIED_TRUE = 1;
+export const MARKED_FAKE = 2;
+export const DISPUTED = 3;
+
+const BUILT_IN = ["UnderReview", "VerifiedTrue", "MarkedFake", "Disputed", "Misleading", "Satire", "PartiallyTrue", "Unverifiable"];
+const COLORS = ["secondary", "success", "danger", "warning", "danger", "info", "primary", "dark"];
+
+const DEFAULT_LABELS = BUILT_IN.map((name, id) => ({ id, name, active: id !== UNDER_REVIEW && id !== DISPUTED }));
+
+let current = DEFAULT_LABELS;
+let pending = null;
+const listeners = new Set();
+
+function getProvider() {
+  if (typeof window !== "undefined" && window.ethereum) {
+    return new ethers.providers.Web3Provider(window.ethereum);
+  }
+  return new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
+}
+
+// [{ id, name, active }] in id order; fetched once per page load unless refreshed
+export function loadLabels(provider = getProvider(), refresh = false) {
+  if (!pending || refresh) {
+    const contract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+    pending = contract.getLabels()
+      .then(list => {
+        current = list.map((l, id) => ({ id, name: l.name, active: l.active }));
+        listeners.forEach(fn => fn(current));
+        return current;
+      })
+      .catch(e => {
+        pending = null;
+        throw e;
+      });
+  }
+  return pending;
+}
+
+// the label list, re-rendering when it loads or an admin change refreshes it
+export function useLabels() {
+  const [labels, setLabels] = useState(current);
+  useEffect(() => {
+    listeners.add(setLabels);
+    loadLabels().catch(e => console.error("labels load error", e));
+    return () => { listeners.delete(setLabels); };
+  }, []);
+  return labels;
+}
+
+export function labelName(labels, id) {
+  const n = Number(id);
+  return labels[n]?.name ?? BUILT_IN[n] ?? `Unknown(${n})`;
+}
+
+// bootstrap background class; owner-added labels share the neutral one
+export function labelColor(id) {
+  return COLORS[Number(id)] || "secondary";
+}
+
+// labels a publisher can currently vote with (NewsRegistry.isVotableLabel)
+export function votableLabels(labels) {
+  return labels.filter(l => l.active);
+}
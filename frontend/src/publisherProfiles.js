@@ -0,0 +1,43 @@
+// src/publisherProfiles.js
+// Cached PublisherRegistry.getProfile lookups for components that show publisher names
+import { ethers } from "ethers";
+import PubJson from "./abis/PublisherRegistry.json";
+import { PUB_ADDRESS } from "./constants";
+
+const cache = new Map(); // lowercase address => Promise<profile | null>
+
+function getProvider() {
+  if (typeof window !== "undefined" && window.ethereum) {
+    return new ethers.providers.Web3Provider(window.ethereum);
+  }
+  return new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
+}
+
+// resolves to { name, domain, logoURI, addedAt, addedBy }, or null for an address that was never a publisher
+export function getPublisherProfile(address) {
+  if (!address || address === ethers.constants.AddressZero) return Promise.resolve(null);
+  const key = address.toLowerCase();
+  if (!cache.has(key)) {
+    const contract = new ethers.Contract(PUB_ADDRESS, PubJson.abi, getProvider());
+    const pending = contract.getProfile(address)
+      .then(p => (p.addedAt.isZero() ? null : {
+        name: p.name,
+        domain: p.domain,
+        logoURI: p.logoURI,
+        addedAt: Number(p.addedAt.toString()),
+        addedBy: p.addedBy,
+      }))
+      .catch(e => {
+        console.error("profile load error", e);
+        cache.delete(key);
+        return null;
+      });
+    cache.set(key, pending);
+  }
+  return cache.get(key);
+}
+
+// call after a profile changes so the next lookup reads it from chain again
+export function forgetPublisherProfile(address) {
+  if (address) cache.delete(address.toLowerCase());
+}
@@ -0,0 +1,32 @@
+// src/similarArticles.js
+// Near-duplicate lookup over NewsRegistry.Fingerprinted events (see fingerprint.js); asks the indexer's
+// /api/similar when INDEXER_URL is set and only replays the events when it is unreachable
+import { ethers } from "ethers";
+import NewsJson from "./abis/NewsRegistry.json";
+import { NEWS_ADDRESS } from "./constants";
+import { MIN_SIMILARITY, NO_FINGERPRINT, similarity } from "./fingerprint";
+import { indexerEnabled, indexerGet } from "./indexerApi";
+
+// finalized articles whose fingerprint is at least minSimilarity close, most similar first
+export async function findSimilarVerdicts(provider, fingerprint, { exclude = "", minSimilarity = MIN_SIMILARITY } = {}) {
+  if (!fingerprint || fingerprint === NO_FINGERPRINT) return [];
+  if (indexerEnabled()) {
+    const rows = await indexerGet("/api/similar", { fingerprint, minSimilarity, exclude }).catch(e => {
+      console.warn("indexer unavailable, reading from chain", e);
+      return null;
+    });
+    if (rows) return rows.map(a => ({ contentHash: a.contentHash, similarity: a.similarity, uri: a.uri, status: a.status }));
+  }
+  const contract = new ethers.Contract(NEWS_ADDRESS, NewsJson.abi, provider);
+  const events = await contract.queryFilter(contract.filters.Fingerprinted(), 0, "latest");
+  const close = events
+    .map(e => ({ contentHash: e.args.contentHash, similarity: similarity(fingerprint, e.args.fingerprint) }))
+    .filter(c => c.similarity >= minSimilarity && c.contentHash.toLowerCase() !== exclude.toLowerCase());
+
+  const out = [];
+  for (const c of close) {
+    const a = await contract.getArticle(c.contentHash);
+    if (a.finalized) out.push({ ...c, uri: a.uri, status: Number(a.status) });
+  }
+  return out.sort((x, y) => y.similarity - x.similarity);
+}
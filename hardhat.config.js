@@ -1,10 +1,23 @@
 /** @type import('hardhat/config').HardhatUserConfig */
 require("@nomiclabs/hardhat-ethers");
+require("hardhat-gas-reporter");
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    // keeps NewsRegistry under the 24KB contract size limit
+    settings: {
+      optimizer: { enabled: true, runs: 50 }
+    }
+  },
   networks: {
     localhost: {
       url: "http://127.0.0.1:8545"
     }
+  },
+  // per-function gas table after `npm test`; set REPORT_GAS=false to skip it
+  gasReporter: {
+    enabled: process.env.REPORT_GAS !== "false",
+    currency: "USD",
+    noColors: true
   }
-};
\ No newline at end of file
+};
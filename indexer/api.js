@@ -0,0 +1,103 @@
+const express = require("express");
+const { createHandler } = require("graphql-http/lib/use/express");
+const { schema, rootValue, createContext } = require("./graphql");
+const { lastBlock, listArticles, getArticle, listVotes, listVersions, findSimilar, listPublishers, getPublisher, getStats, TRUST_STATES } = require("./db");
+
+const MAX_LIMIT = 100;
+const MIN_SIMILARITY = 0.8; // frontend/src/fingerprint.js MIN_SIMILARITY
+
+// REST and GraphQL (/graphql) APIs over the indexed data. Read-only; CORS is open so the frontend dev server can call it.
+function createApi(db) {
+    const app = express();
+
+    app.use((req, res, next) => {
+        res.set("Access-Control-Allow-Origin", "*");
+        res.set("Access-Control-Allow-Headers", "Content-Type");
+        if (req.method === "OPTIONS") return res.sendStatus(204);
+        next();
+    });
+
+    app.get("/api/health", (req, res) => {
+        res.json({ ok: true, lastBlock: lastBlock(db) });
+    });
+
+    app.get("/api/stats", (req, res) => {
+        res.json(getStats(db));
+    });
+
+    app.get("/api/articles", (req, res) => {
+        const { status, submitter, publisher, urlHash, category, language, tag } = req.query;
+        if (status !== undefined && !/^\d+$/.test(status)) {
+            return res.status(400).json({ error: "Invalid status" });
+        }
+        if (category !== undefined && !/^\d+$/.test(category)) {
+            return res.status(400).json({ error: "Invalid category" });
+        }
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), MAX_LIMIT);
+        res.json(listArticles(db, {
+            status: status === undefined ? undefined : Number(status),
+            submitter,
+            publisher,
+            urlHash,
+            category: category === undefined ? undefined : Number(category),
+            language,
+            tag,
+            offset,
+            limit,
+        }));
+    });
+
+    app.get("/api/articles/:hash", (req, res) => {
+        const article = getArticle(db, req.params.hash);
+        if (!article) return res.status(404).json({ error: "Article not found" });
+        res.json({ ...article, votes: listVotes(db, { contentHash: article.contentHash }) });
+    });
+
+    app.get("/api/articles/:hash/votes", (req, res) => {
+        res.json(listVotes(db, { contentHash: req.params.hash }));
+    });
+
+    app.get("/api/articles/:hash/versions", (req, res) => {
+        const versions = listVersions(db, req.params.hash);
+        if (!versions.length) return res.status(404).json({ error: "Article not found" });
+        res.json(versions);
+    });
+
+    // near-duplicates with a verdict for a SimHash fingerprint (0x + 16 hex digits)
+    app.get("/api/similar", (req, res) => {
+        const { fingerprint, exclude } = req.query;
+        if (!/^0x[0-9a-fA-F]{16}$/.test(fingerprint || "")) {
+            return res.status(400).json({ error: "Invalid fingerprint" });
+        }
+        const minSimilarity = req.query.minSimilarity === undefined ? MIN_SIMILARITY : Number(req.query.minSimilarity);
+        if (!(minSimilarity >= 0 && minSimilarity <= 1)) {
+            return res.status(400).json({ error: "Invalid minSimilarity" });
+        }
+        res.json(findSimilar(db, fingerprint, { minSimilarity, exclude }));
+    });
+
+    app.get("/api/publishers", (req, res) => {
+        const { state } = req.query;
+        if (state !== undefined && !TRUST_STATES.includes(state)) {
+            return res.status(400).json({ error: "Invalid state" });
+        }
+        res.json(listPublishers(db, { state }));
+    });
+
+    app.get("/api/publishers/:address", (req, res) => {
+        const publisher = getPublisher(db, req.params.address);
+        if (!publisher) return res.status(404).json({ error: "Publisher not found" });
+        res.json(publisher);
+    });
+
+    app.get("/api/publishers/:address/votes", (req, res) => {
+        res.json(listVotes(db, { voter: req.params.address }));
+    });
+
+    app.all("/graphql", createHandler({ schema, rootValue, context: () => createContext(db) }));
+
+    return app;
+}
+
+module.exports = { createApi };
@@ -0,0 +1,14 @@
+const path = require("path");
+
+// Indexer settings; defaults match scripts/deploy.js on a local Hardhat node.
+module.exports = {
+    rpcUrl: process.env.RPC_URL || "http://127.0.0.1:8545",
+    newsAddress: process.env.NEWS_ADDRESS || "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+    pubAddress: process.env.PUB_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+    dbPath: process.env.DB_PATH || path.join(__dirname, "indexer.db"),
+    port: Number(process.env.PORT || 4000),
+    startBlock: Number(process.env.START_BLOCK || 0),
+    confirmations: Number(process.env.CONFIRMATIONS || 0), // blocks to stay behind the head
+    batchSize: Number(process.env.BATCH_SIZE || 2000), // max blocks per getLogs range
+    pollInterval: Number(process.env.POLL_INTERVAL || 2000), // ms
+};
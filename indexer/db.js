@@ -0,0 +1,275 @@
+const Database = require("better-sqlite3");
+
+// Raw events plus per-article / per-publisher snapshots read from chain. Every row carries the block it
+// came from so a reorg can drop everything above the common ancestor.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_subject ON events (subject);
+CREATE TABLE IF NOT EXISTS articles (
+    content_hash TEXT PRIMARY KEY,
+    uri TEXT NOT NULL,
+    publisher TEXT NOT NULL,
+    submitter TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    status INTEGER NOT NULL,
+    yes_votes TEXT NOT NULL,
+    no_votes TEXT NOT NULL,
+    finalized INTEGER NOT NULL,
+    hash_version INTEGER NOT NULL,
+    fingerprint TEXT,
+    url_hash TEXT,
+    previous_hash TEXT,
+    category INTEGER NOT NULL DEFAULT 0,
+    language TEXT,
+    tags TEXT NOT NULL DEFAULT '[]',
+    confidence INTEGER NOT NULL DEFAULT 0,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS articles_status ON articles (status);
+CREATE INDEX IF NOT EXISTS articles_order ON articles (block_number, log_index);
+CREATE INDEX IF NOT EXISTS articles_url ON articles (url_hash);
+CREATE INDEX IF NOT EXISTS articles_previous ON articles (previous_hash);
+CREATE INDEX IF NOT EXISTS articles_category ON articles (category);
+CREATE TABLE IF NOT EXISTS votes (
+    content_hash TEXT NOT NULL,
+    voter TEXT NOT NULL,
+    label INTEGER NOT NULL,
+    rationale TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (content_hash, voter)
+);
+CREATE INDEX IF NOT EXISTS votes_voter ON votes (voter);
+CREATE TABLE IF NOT EXISTS publishers (
+    address TEXT PRIMARY KEY,
+    state INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    removed_for_cause INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    domain TEXT NOT NULL,
+    logo_uri TEXT NOT NULL,
+    added_at INTEGER NOT NULL,
+    added_by TEXT NOT NULL,
+    categories TEXT NOT NULL DEFAULT '[]'
+);
+`;
+
+const TRUST_STATES = ["None", "Active", "Suspended", "Removed"];
+
+function openDb(file) {
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+    return db;
+}
+
+function lastBlock(db) {
+    return db.prepare("SELECT number, hash, timestamp FROM blocks ORDER BY number DESC LIMIT 1").get() || null;
+}
+
+function articleRow(row) {
+    return {
+        contentHash: row.content_hash,
+        uri: row.uri,
+        publisher: row.publisher,
+        submitter: row.submitter,
+        createdAt: row.created_at,
+        status: row.status,
+        yesVotes: row.yes_votes,
+        noVotes: row.no_votes,
+        finalized: Boolean(row.finalized),
+        hashVersion: row.hash_version,
+        fingerprint: row.fingerprint,
+        urlHash: row.url_hash,
+        previousHash: row.previous_hash,
+        category: row.category,
+        language: row.language,
+        tags: JSON.parse(row.tags),
+        confidence: row.confidence,
+    };
+}
+
+function voteRow(row) {
+    return {
+        contentHash: row.content_hash,
+        voter: row.voter,
+        label: row.label,
+        // true / false for the two built-in verdicts, null for any other label
+        support: row.label === 1 ? true : row.label === 2 ? false : null,
+        rationale: row.rationale,
+        timestamp: row.timestamp,
+        blockNumber: row.block_number,
+    };
+}
+
+// trust depends on time, so it is evaluated against the latest indexed block
+function publisherRow(row, now) {
+    return {
+        address: row.address,
+        state: TRUST_STATES[row.state],
+        trusted: row.state === 1 && (row.expires_at === 0 || now < row.expires_at),
+        expiresAt: row.expires_at,
+        removedForCause: Boolean(row.removed_for_cause),
+        name: row.name,
+        domain: row.domain,
+        logoURI: row.logo_uri,
+        addedAt: row.added_at,
+        addedBy: row.added_by,
+        categories: JSON.parse(row.categories),
+    };
+}
+
+// newest first, like NewsRegistry.getArticleHashes
+function listArticles(db, { status, submitter, publisher, urlHash, category, language, tag, offset = 0, limit = 20 } = {}) {
+    const where = [];
+    const params = {};
+    if (status !== undefined) { where.push("status = @status"); params.status = status; }
+    if (submitter) { where.push("submitter = @submitter COLLATE NOCASE"); params.submitter = submitter; }
+    if (publisher) { where.push("publisher = @publisher COLLATE NOCASE"); params.publisher = publisher; }
+    if (urlHash) { where.push("url_hash = @urlHash COLLATE NOCASE"); params.urlHash = urlHash; }
+    if (category !== undefined) { where.push("category = @category"); params.category = category; }
+    if (language) { where.push("language = @language"); params.language = language; }
+    // tags are stored as a JSON array
+    if (tag) { where.push("EXISTS (SELECT 1 FROM json_each(articles.tags) WHERE value = @tag)"); params.tag = tag; }
+    const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM articles ${clause}`).get(params).n;
+    const rows = db.prepare(
+        `SELECT * FROM articles ${clause} ORDER BY block_number DESC, log_index DESC LIMIT @limit OFFSET @offset`
+    ).all({ ...params, limit, offset });
+    return { total, items: rows.map(articleRow) };
+}
+
+function getArticle(db, contentHash) {
+    const row = db.prepare("SELECT * FROM articles WHERE content_hash = ? COLLATE NOCASE").get(contentHash);
+    return row ? articleRow(row) : null;
+}
+
+// share of matching SimHash bits, as in frontend/src/fingerprint.js
+function similarity(a, b) {
+    let x = BigInt(a) ^ BigInt(b);
+    let differing = 0;
+    while (x) {
+        differing += Number(x & 1n);
+        x >>= 1n;
+    }
+    return 1 - differing / 64;
+}
+
+// finalized articles whose fingerprint is at least minSimilarity close, most similar first
+function findSimilar(db, fingerprint, { minSimilarity, exclude = "" } = {}) {
+    return db.prepare("SELECT * FROM articles WHERE finalized = 1 AND fingerprint IS NOT NULL").all()
+        .map((row) => ({ ...articleRow(row), similarity: similarity(fingerprint, row.fingerprint) }))
+        .filter((a) => a.similarity >= minSimilarity && a.contentHash.toLowerCase() !== exclude.toLowerCase())
+        .sort((x, y) => y.similarity - x.similarity);
+}
+
+// the whole correction chain an article belongs to, oldest first (NewsRegistry.getVersionChain), each version
+// with the verdictCarried flag of the Revised event that created it
+function listVersions(db, contentHash) {
+    const byHash = db.prepare("SELECT * FROM articles WHERE content_hash = ? COLLATE NOCASE");
+    const byPrevious = db.prepare("SELECT * FROM articles WHERE previous_hash = ? COLLATE NOCASE");
+    const revised = db.prepare("SELECT args FROM events WHERE name = 'Revised' AND subject = ? COLLATE NOCASE");
+    let row = byHash.get(contentHash);
+    if (!row) return [];
+    while (row.previous_hash) {
+        const prev = byHash.get(row.previous_hash);
+        if (!prev) break;
+        row = prev;
+    }
+    const chain = [];
+    for (; row; row = byPrevious.get(row.content_hash)) {
+        const event = chain.length ? revised.get(row.content_hash) : null;
+        chain.push({ ...articleRow(row), verdictCarried: Boolean(event && JSON.parse(event.args).verdictCarried) });
+    }
+    return chain;
+}
+
+function listVotes(db, { contentHash, voter } = {}) {
+    if (contentHash) {
+        return db.prepare("SELECT * FROM votes WHERE content_hash = ? COLLATE NOCASE ORDER BY block_number, log_index").all(contentHash).map(voteRow);
+    }
+    return db.prepare("SELECT * FROM votes WHERE voter = ? COLLATE NOCASE ORDER BY block_number DESC, log_index DESC").all(voter).map(voteRow);
+}
+
+// profiles with the same vote counts as getPublisher, aggregated in one pass
+function listPublishers(db, { state } = {}) {
+    const now = (lastBlock(db) || { timestamp: 0 }).timestamp;
+    const idx = state ? TRUST_STATES.indexOf(state) : -1;
+    const rows = idx >= 0
+        ? db.prepare("SELECT * FROM publishers WHERE state = ? ORDER BY added_at").all(idx)
+        : db.prepare("SELECT * FROM publishers ORDER BY added_at").all();
+    const stats = new Map(db.prepare(`
+        SELECT v.voter, COUNT(*) AS votes,
+            COALESCE(SUM(a.finalized = 1 AND a.status NOT IN (0, 3)), 0) AS scored,
+            COALESCE(SUM(a.finalized = 1 AND a.status NOT IN (0, 3) AND v.label = a.status), 0) AS agreed
+        FROM votes v JOIN articles a ON a.content_hash = v.content_hash
+        GROUP BY v.voter
+    `).all().map((r) => [r.voter.toLowerCase(), r]));
+    return rows.map((r) => {
+        const st = stats.get(r.address.toLowerCase()) || { votes: 0, scored: 0, agreed: 0 };
+        return { ...publisherRow(r, now), votes: st.votes, scoredVotes: st.scored, agreedVotes: st.agreed };
+    });
+}
+
+// profile plus voting accuracy over finalized verdict labels (same rule as NewsRegistry.reputation)
+function getPublisher(db, address) {
+    const row = db.prepare("SELECT * FROM publishers WHERE address = ? COLLATE NOCASE").get(address);
+    if (!row) return null;
+    const now = (lastBlock(db) || { timestamp: 0 }).timestamp;
+    const acc = db.prepare(`
+        SELECT COUNT(*) AS scored, COALESCE(SUM(v.label = a.status), 0) AS agreed
+        FROM votes v JOIN articles a ON a.content_hash = v.content_hash
+        WHERE v.voter = ? COLLATE NOCASE AND a.finalized = 1 AND a.status NOT IN (0, 3)
+    `).get(address);
+    const votes = db.prepare("SELECT COUNT(*) AS n FROM votes WHERE voter = ? COLLATE NOCASE").get(address).n;
+    return { ...publisherRow(row, now), votes, scoredVotes: acc.scored, agreedVotes: acc.agreed };
+}
+
+function getStats(db) {
+    const byStatus = {};
+    for (const r of db.prepare("SELECT status, COUNT(*) AS n FROM articles GROUP BY status").all()) {
+        byStatus[r.status] = r.n;
+    }
+    const publishers = listPublishers(db);
+    return {
+        articles: db.prepare("SELECT COUNT(*) AS n FROM articles").get().n,
+        articlesByStatus: byStatus,
+        votes: db.prepare("SELECT COUNT(*) AS n FROM votes").get().n,
+        publishers: publishers.length,
+        trustedPublishers: publishers.filter((p) => p.trusted).length,
+        lastBlock: lastBlock(db),
+    };
+}
+
+module.exports = {
+    openDb,
+    lastBlock,
+    listArticles,
+    getArticle,
+    listVotes,
+    listVersions,
+    findSimilar,
+    listPublishers,
+    getPublisher,
+    getStats,
+    articleRow,
+    voteRow,
+    publisherRow,
+    TRUST_STATES,
+};
@@ -0,0 +1,448 @@
+const { buildSchema, GraphQLError } = require("graphql");
+const { lastBlock, getPublisher, articleRow, voteRow, publisherRow, TRUST_STATES } = require("./db");
+
+// NewsRegistry's built-in labels by id; labels the owner adds later surface as Custom (see statusId)
+const STATUSES = ["UnderReview", "VerifiedTrue", "MarkedFake", "Disputed", "Misleading", "Satire", "PartiallyTrue", "Unverifiable"];
+const MAX_PAGE = 100;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const schema = buildSchema(`
+    "NewsRegistry verdict labels; Custom covers labels added by the owner after deployment"
+    enum ArticleStatus { UnderReview VerifiedTrue MarkedFake Disputed Misleading Satire PartiallyTrue Unverifiable Custom }
+    enum TrustState { None Active Suspended Removed }
+    enum SortDirection { ASC DESC }
+    enum ArticleSortField { SUBMITTED CREATED_AT YES_VOTES NO_VOTES }
+    enum PublisherSortField { ADDED_AT NAME }
+
+    type PageInfo {
+        hasNextPage: Boolean!
+        endCursor: String
+    }
+
+    type Article {
+        contentHash: ID!
+        uri: String!
+        "null when the article names no publisher or the address was never a publisher"
+        publisher: Publisher
+        publisherAddress: String
+        submitter: String!
+        createdAt: Int!
+        status: ArticleStatus!
+        "label id (NewsRegistry.getLabels index)"
+        statusId: Int!
+        "vote weights as decimal strings (wei when stake-weighted)"
+        yesVotes: String!
+        noVotes: String!
+        finalized: Boolean!
+        "margin of the vote that set the status, (leader - runner-up) / tally in basis points; 0 when no vote decided it"
+        confidence: Int!
+        "canonicalization rules the contentHash was computed with (frontend/src/hashing.js)"
+        hashVersion: Int!
+        "64-bit SimHash of the article text (frontend/src/fingerprint.js); null when submitted without text"
+        fingerprint: String
+        "SHA-256 of the stored uri (NewsRegistry.urlHashes); null when submitted without one"
+        urlHash: String
+        "PublisherRegistry category id chosen at submission; 0 = uncategorized"
+        category: Int!
+        "ISO 639-1 code; null when not given"
+        language: String
+        tags: [String!]!
+        "the version this correction replaces (NewsRegistry.submitRevision)"
+        previousVersion: Article
+        "the correction that replaced this version"
+        nextVersion: Article
+        votes(first: Int = 20, after: String, where: VoteFilter, orderBy: VoteOrder): VoteConnection!
+        "oldest first"
+        statusChanges: [StatusChange!]!
+    }
+
+    type Vote {
+        article: Article!
+        voter: String!
+        publisher: Publisher
+        label: ArticleStatus!
+        labelId: Int!
+        "true for VerifiedTrue, false for MarkedFake, null for any other label"
+        support: Boolean
+        rationale: String!
+        timestamp: Int!
+        blockNumber: Int!
+        txHash: String!
+    }
+
+    type Publisher {
+        address: ID!
+        state: TrustState!
+        trusted: Boolean!
+        expiresAt: Int!
+        removedForCause: Boolean!
+        name: String!
+        domain: String!
+        logoURI: String!
+        addedAt: Int!
+        addedBy: String!
+        "category ids the publisher is trusted for (PublisherRegistry.categoryTrust); it votes on uncategorized articles regardless"
+        categories: [Int!]!
+        "votes counted towards accuracy: finalized VerifiedTrue / MarkedFake outcomes"
+        scoredVotes: Int!
+        agreedVotes: Int!
+        votes(first: Int = 20, after: String, where: VoteFilter, orderBy: VoteOrder): VoteConnection!
+        "articles naming this publisher"
+        articles(first: Int = 20, after: String, where: ArticleFilter, orderBy: ArticleOrder): ArticleConnection!
+    }
+
+    "Submitted, Finalized, AppealApplied or ArticleReopened"
+    type StatusChange {
+        article: Article!
+        event: String!
+        status: ArticleStatus!
+        previousStatus: ArticleStatus
+        blockNumber: Int!
+        timestamp: Int!
+        txHash: String!
+    }
+
+    type ArticleEdge { cursor: String!, node: Article! }
+    type ArticleConnection { totalCount: Int!, edges: [ArticleEdge!]!, nodes: [Article!]!, pageInfo: PageInfo! }
+    type VoteEdge { cursor: String!, node: Vote! }
+    type VoteConnection { totalCount: Int!, edges: [VoteEdge!]!, nodes: [Vote!]!, pageInfo: PageInfo! }
+    type PublisherEdge { cursor: String!, node: Publisher! }
+    type PublisherConnection { totalCount: Int!, edges: [PublisherEdge!]!, nodes: [Publisher!]!, pageInfo: PageInfo! }
+    type StatusChangeEdge { cursor: String!, node: StatusChange! }
+    type StatusChangeConnection { totalCount: Int!, edges: [StatusChangeEdge!]!, nodes: [StatusChange!]!, pageInfo: PageInfo! }
+
+    input ArticleFilter {
+        status: ArticleStatus
+        statusIn: [ArticleStatus!]
+        submitter: String
+        publisher: String
+        "articles submitted with this link (frontend/src/hashing.js computeUrlHash)"
+        urlHash: String
+        category: Int
+        language: String
+        "articles carrying this tag"
+        tag: String
+        finalized: Boolean
+        createdSince: Int
+        createdUntil: Int
+        "articles this address voted on (optionally only VerifiedTrue / MarkedFake votes)"
+        votedBy: String
+        votedSupport: Boolean
+    }
+    input ArticleOrder { field: ArticleSortField = SUBMITTED, direction: SortDirection = DESC }
+
+    input VoteFilter {
+        voter: String
+        contentHash: String
+        labelId: Int
+        "true matches VerifiedTrue votes, false MarkedFake votes"
+        support: Boolean
+        since: Int
+        until: Int
+    }
+    input VoteOrder { direction: SortDirection = DESC }
+
+    input PublisherFilter {
+        state: TrustState
+        trusted: Boolean
+        removedForCause: Boolean
+    }
+    input PublisherOrder { field: PublisherSortField = ADDED_AT, direction: SortDirection = ASC }
+
+    input StatusChangeFilter {
+        contentHash: String
+        status: ArticleStatus
+        event: String
+        since: Int
+        until: Int
+    }
+    input StatusChangeOrder { direction: SortDirection = DESC }
+
+    type Query {
+        article(contentHash: ID!): Article
+        articles(first: Int = 20, after: String, where: ArticleFilter, orderBy: ArticleOrder): ArticleConnection!
+        votes(first: Int = 20, after: String, where: VoteFilter, orderBy: VoteOrder): VoteConnection!
+        publisher(address: ID!): Publisher
+        publishers(first: Int = 20, after: String, where: PublisherFilter, orderBy: PublisherOrder): PublisherConnection!
+        statusChanges(first: Int = 20, after: String, where: StatusChangeFilter, orderBy: StatusChangeOrder): StatusChangeConnection!
+    }
+`);
+
+// sort keys per field; the trailing primary key makes every cursor position unique
+const ARTICLE_KEYS = {
+    SUBMITTED: ["block_number", "log_index"],
+    CREATED_AT: ["created_at", "content_hash"],
+    YES_VOTES: ["CAST(yes_votes AS REAL)", "content_hash"],
+    NO_VOTES: ["CAST(no_votes AS REAL)", "content_hash"],
+};
+const PUBLISHER_KEYS = {
+    ADDED_AT: ["added_at", "address"],
+    NAME: ["lower(name)", "address"],
+};
+const EVENT_KEYS = ["block_number", "log_index"];
+
+const VOTES_FROM = "(SELECT v.*, e.tx_hash FROM votes v JOIN events e USING (block_number, log_index))";
+// status-bearing events with the resulting status and the one before it on the same article
+const STATUS_CHANGES_FROM = `(
+    SELECT *, LAG(status) OVER (PARTITION BY subject ORDER BY block_number, log_index) AS previous_status
+    FROM (
+        SELECT e.block_number, e.log_index, e.tx_hash, e.name, e.subject, b.timestamp,
+            CASE e.name
+                WHEN 'Finalized' THEN json_extract(e.args, '$.finalStatus')
+                WHEN 'AppealApplied' THEN json_extract(e.args, '$.newStatus')
+                ELSE 0
+            END AS status
+        FROM events e JOIN blocks b ON b.number = e.block_number
+        WHERE e.name IN ('Submitted', 'Finalized', 'AppealApplied', 'ArticleReopened')
+    )
+)`;
+
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+function decodeCursor(cursor, length) {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    } catch {
+        values = null;
+    }
+    if (!Array.isArray(values) || values.length !== length) throw new GraphQLError("Invalid cursor");
+    return values;
+}
+
+// Keyset pagination: rows strictly after the cursor in (keys..., direction) order.
+function paginate(ctx, { from, where, params, keys, direction = "DESC", first, after, toNode }) {
+    if (!Number.isInteger(first) || first < 0 || first > MAX_PAGE) {
+        throw new GraphQLError(`first must be between 0 and ${MAX_PAGE}`);
+    }
+    const clause = (conds) => (conds.length ? `WHERE ${conds.join(" AND ")}` : "");
+    const totalCount = ctx.db.prepare(`SELECT COUNT(*) AS n FROM ${from} ${clause(where)}`).get(params).n;
+
+    const conds = [...where];
+    const args = { ...params, limit: first + 1 };
+    if (after) {
+        const values = decodeCursor(after, keys.length);
+        values.forEach((v, i) => { args[`cursor${i}`] = v; });
+        conds.push(`(${keys.join(", ")}) ${direction === "ASC" ? ">" : "<"} (${values.map((_, i) => `@cursor${i}`).join(", ")})`);
+    }
+    const select = keys.map((k, i) => `${k} AS _key${i}`).join(", ");
+    const order = keys.map((k) => `${k} ${direction}`).join(", ");
+    const rows = ctx.db.prepare(`SELECT *, ${select} FROM ${from} ${clause(conds)} ORDER BY ${order} LIMIT @limit`).all(args);
+
+    const edges = rows.slice(0, first).map((r) => ({
+        cursor: encodeCursor(keys.map((_, i) => r[`_key${i}`])),
+        node: toNode(ctx, r),
+    }));
+    return {
+        totalCount,
+        edges,
+        nodes: edges.map((e) => e.node),
+        pageInfo: { hasNextPage: rows.length > first, endCursor: edges.length ? edges[edges.length - 1].cursor : null },
+    };
+}
+
+function statusName(id) {
+    return STATUSES[id] || "Custom";
+}
+
+// status = any of the named labels; Custom matches every id past the built-ins
+function statusCondition(column, names, params, prefix) {
+    const parts = names.map((s, i) => {
+        if (s === "Custom") return `${column} >= ${STATUSES.length}`;
+        params[`${prefix}${i}`] = STATUSES.indexOf(s);
+        return `${column} = @${prefix}${i}`;
+    });
+    return parts.length ? `(${parts.join(" OR ")})` : "0";
+}
+
+function articleNode(ctx, row) {
+    const a = articleRow(row);
+    const publisherAddress = a.publisher === ZERO_ADDRESS ? null : a.publisher;
+    return {
+        ...a,
+        status: statusName(a.status),
+        statusId: a.status,
+        publisherAddress,
+        publisher: () => (publisherAddress ? publisherByAddress(ctx, publisherAddress) : null),
+        previousVersion: () => (a.previousHash ? articleByHash(ctx, a.previousHash) : null),
+        nextVersion: () => {
+            const next = ctx.db.prepare("SELECT * FROM articles WHERE previous_hash = ? COLLATE NOCASE").get(a.contentHash);
+            return next ? articleNode(ctx, next) : null;
+        },
+        votes: (args) => voteConnection(ctx, { ...args, where: { ...args.where, contentHash: a.contentHash } }),
+        statusChanges: () => ctx.db
+            .prepare(`SELECT * FROM ${STATUS_CHANGES_FROM} WHERE subject = ? ORDER BY block_number, log_index`)
+            .all(a.contentHash)
+            .map((r) => statusChangeNode(ctx, r)),
+    };
+}
+
+function voteNode(ctx, row) {
+    const v = voteRow(row);
+    return {
+        ...v,
+        label: statusName(v.label),
+        labelId: v.label,
+        txHash: row.tx_hash,
+        article: () => articleByHash(ctx, v.contentHash),
+        publisher: () => publisherByAddress(ctx, v.voter),
+    };
+}
+
+function publisherNode(ctx, row) {
+    const p = publisherRow(row, ctx.now);
+    let stats = null;
+    const accuracy = () => stats || (stats = getPublisher(ctx.db, p.address));
+    return {
+        ...p,
+        scoredVotes: () => accuracy().scoredVotes,
+        agreedVotes: () => accuracy().agreedVotes,
+        votes: (args) => voteConnection(ctx, { ...args, where: { ...args.where, voter: p.address } }),
+        articles: (args) => articleConnection(ctx, { ...args, where: { ...args.where, publisher: p.address } }),
+    };
+}
+
+function statusChangeNode(ctx, row) {
+    return {
+        event: row.name,
+        status: statusName(row.status),
+        previousStatus: row.previous_status === null ? null : statusName(row.previous_status),
+        blockNumber: row.block_number,
+        timestamp: row.timestamp,
+        txHash: row.tx_hash,
+        article: () => articleByHash(ctx, row.subject),
+    };
+}
+
+function articleByHash(ctx, contentHash) {
+    const row = ctx.db.prepare("SELECT * FROM articles WHERE content_hash = ? COLLATE NOCASE").get(contentHash);
+    return row ? articleNode(ctx, row) : null;
+}
+
+function publisherByAddress(ctx, address) {
+    const row = ctx.db.prepare("SELECT * FROM publishers WHERE address = ? COLLATE NOCASE").get(address);
+    return row ? publisherNode(ctx, row) : null;
+}
+
+function articleConnection(ctx, { first, after, where, orderBy }) {
+    where = where || {};
+    orderBy = orderBy || {};
+    const conds = [];
+    const params = {};
+    if (where.status != null) conds.push(statusCondition("status", [where.status], params, "status"));
+    if (where.statusIn) conds.push(statusCondition("status", where.statusIn, params, "statusIn"));
+    if (where.submitter) { conds.push("submitter = @submitter COLLATE NOCASE"); params.submitter = where.submitter; }
+    if (where.publisher) { conds.push("publisher = @publisher COLLATE NOCASE"); params.publisher = where.publisher; }
+    if (where.urlHash) { conds.push("url_hash = @urlHash COLLATE NOCASE"); params.urlHash = where.urlHash; }
+    if (where.category != null) { conds.push("category = @category"); params.category = where.category; }
+    if (where.language) { conds.push("language = @language"); params.language = where.language; }
+    if (where.tag) { conds.push("EXISTS (SELECT 1 FROM json_each(articles.tags) WHERE value = @tag)"); params.tag = where.tag; }
+    if (where.finalized != null) { conds.push("finalized = @finalized"); params.finalized = where.finalized ? 1 : 0; }
+    if (where.createdSince != null) { conds.push("created_at >= @createdSince"); params.createdSince = where.createdSince; }
+    if (where.createdUntil != null) { conds.push("created_at <= @createdUntil"); params.createdUntil = where.createdUntil; }
+    if (where.votedBy) {
+        const support = where.votedSupport == null ? "" : " AND v.label = @votedSupport";
+        conds.push(`EXISTS (SELECT 1 FROM votes v WHERE v.content_hash = articles.content_hash AND v.voter = @votedBy COLLATE NOCASE${support})`);
+        params.votedBy = where.votedBy;
+        if (support) params.votedSupport = where.votedSupport ? 1 : 2;
+    }
+    return paginate(ctx, {
+        from: "articles",
+        where: conds,
+        params,
+        keys: ARTICLE_KEYS[orderBy.field || "SUBMITTED"],
+        direction: orderBy.direction || "DESC",
+        first,
+        after,
+        toNode: articleNode,
+    });
+}
+
+function voteConnection(ctx, { first, after, where, orderBy }) {
+    where = where || {};
+    orderBy = orderBy || {};
+    const conds = [];
+    const params = {};
+    if (where.voter) { conds.push("voter = @voter COLLATE NOCASE"); params.voter = where.voter; }
+    if (where.contentHash) { conds.push("content_hash = @contentHash COLLATE NOCASE"); params.contentHash = where.contentHash; }
+    if (where.labelId != null) { conds.push("label = @labelId"); params.labelId = where.labelId; }
+    if (where.support != null) { conds.push("label = @support"); params.support = where.support ? 1 : 2; }
+    if (where.since != null) { conds.push("timestamp >= @since"); params.since = where.since; }
+    if (where.until != null) { conds.push("timestamp <= @until"); params.until = where.until; }
+    return paginate(ctx, {
+        from: VOTES_FROM,
+        where: conds,
+        params,
+        keys: EVENT_KEYS,
+        direction: orderBy.direction || "DESC",
+        first,
+        after,
+        toNode: voteNode,
+    });
+}
+
+function publisherConnection(ctx, { first, after, where, orderBy }) {
+    where = where || {};
+    orderBy = orderBy || {};
+    const conds = [];
+    const params = {};
+    if (where.state != null) { conds.push("state = @state"); params.state = TRUST_STATES.indexOf(where.state); }
+    if (where.trusted != null) {
+        // same rule as PublisherRegistry.isTrusted, against the latest indexed block
+        const trusted = "(state = 1 AND (expires_at = 0 OR expires_at > @now))";
+        conds.push(where.trusted ? trusted : `NOT ${trusted}`);
+        params.now = ctx.now;
+    }
+    if (where.removedForCause != null) { conds.push("removed_for_cause = @removedForCause"); params.removedForCause = where.removedForCause ? 1 : 0; }
+    return paginate(ctx, {
+        from: "publishers",
+        where: conds,
+        params,
+        keys: PUBLISHER_KEYS[orderBy.field || "ADDED_AT"],
+        direction: orderBy.direction || "ASC",
+        first,
+        after,
+        toNode: publisherNode,
+    });
+}
+
+function statusChangeConnection(ctx, { first, after, where, orderBy }) {
+    where = where || {};
+    orderBy = orderBy || {};
+    const conds = [];
+    const params = {};
+    if (where.contentHash) { conds.push("subject = @contentHash COLLATE NOCASE"); params.contentHash = where.contentHash; }
+    if (where.status != null) conds.push(statusCondition("status", [where.status], params, "status"));
+    if (where.event) { conds.push("name = @event"); params.event = where.event; }
+    if (where.since != null) { conds.push("timestamp >= @since"); params.since = where.since; }
+    if (where.until != null) { conds.push("timestamp <= @until"); params.until = where.until; }
+    return paginate(ctx, {
+        from: STATUS_CHANGES_FROM,
+        where: conds,
+        params,
+        keys: EVENT_KEYS,
+        direction: orderBy.direction || "DESC",
+        first,
+        after,
+        toNode: statusChangeNode,
+    });
+}
+
+// Query resolvers; nested fields are methods on the returned nodes (graphql-js calls them with the field args).
+const rootValue = {
+    article: ({ contentHash }, ctx) => articleByHash(ctx, contentHash),
+    articles: (args, ctx) => articleConnection(ctx, args),
+    votes: (args, ctx) => voteConnection(ctx, args),
+    publisher: ({ address }, ctx) => publisherByAddress(ctx, address),
+    publishers: (args, ctx) => publisherConnection(ctx, args),
+    statusChanges: (args, ctx) => statusChangeConnection(ctx, args),
+};
+
+// per-request context; trust is evaluated against the latest indexed block, like the REST API
+function createContext(db) {
+    return { db, now: (lastBlock(db) || { timestamp: 0 }).timestamp };
+}
+
+module.exports = { schema, rootValue, createContext };
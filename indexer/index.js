@@ -0,0 +1,31 @@
+const { ethers } = require("ethers");
+const config = require("./config");
+const { openDb } = require("./db");
+const { Indexer } = require("./indexer");
+const { createApi } = require("./api");
+
+async function main() {
+    const db = openDb(config.dbPath);
+    const provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
+    const indexer = new Indexer({ provider, db, ...config, log: (m) => console.log(m) });
+
+    createApi(db).listen(config.port, () => {
+        console.log(`Indexer API listening on http://localhost:${config.port}/api and /graphql`);
+    });
+
+    // a failed round (node restarting, RPC hiccup) is simply retried on the next tick
+    async function tick() {
+        try {
+            await indexer.sync();
+        } catch (err) {
+            console.error("sync failed:", err.message);
+        }
+        setTimeout(tick, config.pollInterval);
+    }
+    tick();
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,280 @@
+const { ethers } = require("ethers");
+const NewsJson = require("../frontend/src/abis/NewsRegistry.json");
+const PubJson = require("../frontend/src/abis/PublisherRegistry.json");
+const { lastBlock } = require("./db");
+
+const NO_FINGERPRINT = "0x0000000000000000";
+const NO_HASH = ethers.constants.HashZero;
+const NO_LANGUAGE = "0x0000";
+
+const NEWS_EVENTS = ["Submitted", "PublisherAutoVerified", "Voted", "Finalized", "AppealApplied", "ArticleReopened", "Revised"];
+const PUB_EVENTS = [
+    "PublisherAdded",
+    "PublisherRemoved",
+    "PublisherRemovedForCause",
+    "PublisherSuspended",
+    "PublisherReinstated",
+    "TrustExpirySet",
+    "ProfileUpdated",
+    "CategoryTrustGranted",
+    "CategoryTrustRevoked",
+];
+
+// metadata bytes as text, or as the raw hex when they do not decode (NewsRegistry only validates them since
+// the ASCII rule was added, so older articles may carry anything)
+function decodeOrHex(bytes, decode) {
+    try {
+        return decode(bytes);
+    } catch {
+        return bytes;
+    }
+}
+
+// event args as JSON-safe values (BigNumbers become decimal strings)
+function plainArgs(parsed) {
+    const out = {};
+    parsed.eventFragment.inputs.forEach((input, i) => {
+        const v = parsed.args[i];
+        out[input.name] = ethers.BigNumber.isBigNumber(v) ? v.toString() : v;
+    });
+    return out;
+}
+
+// Follows NewsRegistry and PublisherRegistry events into SQLite. Events are stored raw; the article and
+// publisher rows they touch are re-read from chain at the end of each batch, so derived state always
+// matches the contracts. On a reorg everything above the common ancestor is dropped and re-read.
+class Indexer {
+    constructor({ provider, db, newsAddress, pubAddress, startBlock = 0, confirmations = 0, batchSize = 2000, log = () => {} }) {
+        this.provider = provider;
+        this.db = db;
+        this.news = new ethers.Contract(newsAddress, NewsJson.abi, provider);
+        this.pub = new ethers.Contract(pubAddress, PubJson.abi, provider);
+        this.startBlock = startBlock;
+        this.confirmations = confirmations;
+        this.batchSize = batchSize;
+        this.log = log;
+
+        this.stmts = {
+            insertBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"),
+            insertEvent: db.prepare(
+                "INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, contract, name, subject, args) VALUES (?, ?, ?, ?, ?, ?, ?)"
+            ),
+            insertVote: db.prepare(
+                "INSERT OR REPLACE INTO votes (content_hash, voter, label, rationale, timestamp, block_number, log_index) VALUES (?, ?, ?, ?, ?, ?, ?)"
+            ),
+            upsertArticle: db.prepare(`
+                INSERT INTO articles (content_hash, uri, publisher, submitter, created_at, status, yes_votes, no_votes, finalized, hash_version, fingerprint,
+                    url_hash, previous_hash, category, language, tags, confidence, block_number, log_index)
+                VALUES (@contentHash, @uri, @publisher, @submitter, @createdAt, @status, @yesVotes, @noVotes, @finalized, @hashVersion, @fingerprint,
+                    @urlHash, @previousHash, @category, @language, @tags, @confidence, @blockNumber, @logIndex)
+                ON CONFLICT (content_hash) DO UPDATE SET
+                    uri = excluded.uri, publisher = excluded.publisher, submitter = excluded.submitter,
+                    created_at = excluded.created_at, status = excluded.status, yes_votes = excluded.yes_votes,
+                    no_votes = excluded.no_votes, finalized = excluded.finalized, hash_version = excluded.hash_version,
+                    fingerprint = excluded.fingerprint, url_hash = excluded.url_hash,
+                    previous_hash = excluded.previous_hash, category = excluded.category, language = excluded.language,
+                    tags = excluded.tags, confidence = excluded.confidence
+            `),
+            deleteArticle: db.prepare("DELETE FROM articles WHERE content_hash = ?"),
+            upsertPublisher: db.prepare(`
+                INSERT OR REPLACE INTO publishers (address, state, expires_at, removed_for_cause, name, domain, logo_uri, added_at, added_by, categories)
+                VALUES (@address, @state, @expiresAt, @removedForCause, @name, @domain, @logoURI, @addedAt, @addedBy, @categories)
+            `),
+            deletePublisher: db.prepare("DELETE FROM publishers WHERE address = ?"),
+        };
+    }
+
+    // catches up to the confirmed head
+    async sync() {
+        while ((await this.syncOnce()) !== null) {
+            // keep going until nothing is left to index
+        }
+    }
+
+    // indexes at most one batch; resolves to the last block indexed, or null when already up to date
+    async syncOnce() {
+        await this._checkReorg();
+
+        const head = await this.provider.getBlockNumber();
+        const target = head - this.confirmations;
+        const last = lastBlock(this.db);
+        const from = last ? last.number + 1 : this.startBlock;
+        if (from > target) return null;
+        const to = Math.min(target, from + this.batchSize - 1);
+
+        const tip = await this.provider.getBlock(to);
+        const events = (await this._fetchLogs(from, to)).map((l) => this._parse(l)).filter(Boolean);
+        const blocks = new Map([[to, tip]]);
+        for (const e of events) {
+            if (!blocks.has(e.blockNumber)) blocks.set(e.blockNumber, await this.provider.getBlock(e.blockNumber));
+        }
+        const snapshots = await this._snapshots(events, to);
+
+        this.db.transaction(() => {
+            for (const b of blocks.values()) this.stmts.insertBlock.run(b.number, b.hash, b.timestamp);
+            for (const e of events) {
+                this.stmts.insertEvent.run(e.blockNumber, e.logIndex, e.txHash, e.contract, e.name, e.subject, JSON.stringify(e.args));
+                if (e.name === "Voted") {
+                    const ts = blocks.get(e.blockNumber).timestamp;
+                    this.stmts.insertVote.run(e.subject, e.args.voter, e.args.label, e.args.rationale, ts, e.blockNumber, e.logIndex);
+                }
+            }
+            this._writeSnapshots(snapshots, events);
+        })();
+
+        this.log(`indexed blocks ${from}-${to} (${events.length} events)`);
+        return to;
+    }
+
+    async _fetchLogs(fromBlock, toBlock) {
+        const [newsLogs, pubLogs] = await Promise.all([
+            this.provider.getLogs({ address: this.news.address, fromBlock, toBlock }),
+            this.provider.getLogs({ address: this.pub.address, fromBlock, toBlock }),
+        ]);
+        return [...newsLogs, ...pubLogs].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    // null for events the indexer does not follow
+    _parse(log) {
+        const isNews = log.address.toLowerCase() === this.news.address.toLowerCase();
+        const contract = isNews ? this.news : this.pub;
+        let parsed;
+        try {
+            parsed = contract.interface.parseLog(log);
+        } catch {
+            return null;
+        }
+        if (!(isNews ? NEWS_EVENTS : PUB_EVENTS).includes(parsed.name)) return null;
+        const args = plainArgs(parsed);
+        return {
+            blockNumber: log.blockNumber,
+            logIndex: log.logIndex,
+            txHash: log.transactionHash,
+            contract: isNews ? "NewsRegistry" : "PublisherRegistry",
+            name: parsed.name,
+            subject: isNews ? args.contentHash : args.publisher,
+            args,
+        };
+    }
+
+    // article / publisher state at blockTag for every subject touched by events; null = does not exist there
+    // (a null blockTag means "before deployment": every subject is null)
+    async _snapshots(events, blockTag) {
+        const articles = new Map();
+        const publishers = new Map();
+        for (const e of events) {
+            if (e.contract === "NewsRegistry") articles.set(e.subject, null);
+            else publishers.set(e.subject, null);
+        }
+        if (blockTag === null) return { articles, publishers };
+        for (const hash of articles.keys()) {
+            const [a, hashVersion, fingerprint, urlHash, previousHash, meta, confidence] = await Promise.all([
+                this.news.getArticle(hash, { blockTag }),
+                this.news.hashVersion(hash, { blockTag }),
+                this.news.fingerprints(hash, { blockTag }),
+                this.news.urlHashes(hash, { blockTag }),
+                this.news.previousVersion(hash, { blockTag }),
+                this.news.getArticleMeta(hash, { blockTag }),
+                this.news.confidence(hash, { blockTag }),
+            ]);
+            if (a.createdAt.isZero()) continue;
+            articles.set(hash, {
+                contentHash: hash,
+                uri: a.uri,
+                publisher: a.publisher,
+                submitter: a.submitter,
+                createdAt: a.createdAt.toNumber(),
+                status: a.status,
+                yesVotes: a.yesVotes.toString(),
+                noVotes: a.noVotes.toString(),
+                finalized: a.finalized ? 1 : 0,
+                hashVersion,
+                fingerprint: fingerprint === NO_FINGERPRINT ? null : fingerprint,
+                urlHash: urlHash === NO_HASH ? null : urlHash,
+                previousHash: previousHash === NO_HASH ? null : previousHash,
+                category: meta.category,
+                language: meta.language === NO_LANGUAGE ? null : decodeOrHex(meta.language, ethers.utils.toUtf8String),
+                tags: JSON.stringify(meta.tags.map(t => decodeOrHex(t, ethers.utils.parseBytes32String))),
+                confidence,
+            });
+        }
+        for (const addr of publishers.keys()) {
+            const [state, expiresAt, forCause, profile, categories] = await Promise.all([
+                this.pub.trustState(addr, { blockTag }),
+                this.pub.trustExpiresAt(addr, { blockTag }),
+                this.pub.removedForCause(addr, { blockTag }),
+                this.pub.getProfile(addr, { blockTag }),
+                this.pub.getPublisherCategories(addr, { blockTag }),
+            ]);
+            if (state === 0 && profile.addedAt.isZero()) continue;
+            publishers.set(addr, {
+                address: addr,
+                state,
+                expiresAt: expiresAt.toNumber(),
+                removedForCause: forCause ? 1 : 0,
+                name: profile.name,
+                domain: profile.domain,
+                logoURI: profile.logoURI,
+                addedAt: profile.addedAt.toNumber(),
+                addedBy: profile.addedBy,
+                categories: JSON.stringify(categories),
+            });
+        }
+        return { articles, publishers };
+    }
+
+    // new articles are ordered by the first event that mentions them (Submitted or PublisherAutoVerified)
+    _writeSnapshots({ articles, publishers }, events) {
+        for (const [hash, snap] of articles) {
+            if (!snap) {
+                this.stmts.deleteArticle.run(hash);
+                continue;
+            }
+            const first = events.find((e) => e.subject === hash) || { blockNumber: 0, logIndex: 0 };
+            this.stmts.upsertArticle.run({ ...snap, blockNumber: first.blockNumber, logIndex: first.logIndex });
+        }
+        for (const [addr, snap] of publishers) {
+            if (snap) this.stmts.upsertPublisher.run(snap);
+            else this.stmts.deletePublisher.run(addr);
+        }
+    }
+
+    async _checkReorg() {
+        const last = lastBlock(this.db);
+        if (!last) return;
+        const current = await this.provider.getBlock(last.number);
+        if (current && current.hash === last.hash) return;
+
+        // newest stored block that is still part of the chain
+        let ancestor = this.startBlock - 1;
+        const stored = this.db.prepare("SELECT number, hash FROM blocks WHERE number < ? ORDER BY number DESC").all(last.number);
+        for (const b of stored) {
+            const c = await this.provider.getBlock(b.number);
+            if (c && c.hash === b.hash) {
+                ancestor = b.number;
+                break;
+            }
+        }
+        await this._rollback(ancestor);
+    }
+
+    async _rollback(ancestor) {
+        const touched = this.db.prepare("SELECT contract, subject FROM events WHERE block_number > ?").all(ancestor);
+        const events = touched.map((t) => ({ ...t, blockNumber: 0, logIndex: 0 }));
+        // before the registries were deployed nothing exists yet, so every touched row goes
+        const deployed = ancestor >= 0 && (await this.provider.getCode(this.news.address, ancestor)) !== "0x";
+        const snapshots = deployed
+            ? await this._snapshots(events, ancestor)
+            : await this._snapshots(events, null);
+
+        this.db.transaction(() => {
+            this.db.prepare("DELETE FROM events WHERE block_number > ?").run(ancestor);
+            this.db.prepare("DELETE FROM votes WHERE block_number > ?").run(ancestor);
+            this.db.prepare("DELETE FROM blocks WHERE number > ?").run(ancestor);
+            this._writeSnapshots(snapshots, []);
+        })();
+        this.log(`reorg detected, rolled back to block ${ancestor}`);
+    }
+}
+
+module.exports = { Indexer, NEWS_EVENTS, PUB_EVENTS };
@@ -11,10 +11,35 @@ async function main() {
     console.log("PublisherRegistry:", pub.address);
 
     // Deploy NewsRegistry: votingPeriod = 60s, minVotes = 1 (for testing)
+    // COMMIT_REVEAL=true switches to commit-reveal voting with a 60s reveal window
+    const commitReveal = process.env.COMMIT_REVEAL === "true";
     const News = await hre.ethers.getContractFactory("NewsRegistry");
-    const news = await News.deploy(pub.address, 60, 1);
+    const news = await News.deploy(pub.address, 60, 1, commitReveal, 60);
     await news.deployed();
-    console.log("NewsRegistry:", news.address);
+    console.log("NewsRegistry:", news.address, commitReveal ? "(commit-reveal)" : "");
+
+    // Deploy AppealRegistry: bond = 0.1 ETH, appealPeriod = 120s, appeal quorum = 2 votes
+    const Appeals = await hre.ethers.getContractFactory("AppealRegistry");
+    const appeals = await Appeals.deploy(news.address, pub.address, hre.ethers.utils.parseEther("0.1"), 120, 2);
+    await appeals.deployed();
+    console.log("AppealRegistry:", appeals.address);
+
+    // Deploy Council: 2-of-3 with a 60s timelock over the first three local accounts by default
+    // COUNCIL_MEMBERS (comma-separated), COUNCIL_THRESHOLD and COUNCIL_DELAY override it
+    const signers = await hre.ethers.getSigners();
+    const members = process.env.COUNCIL_MEMBERS
+        ? process.env.COUNCIL_MEMBERS.split(",").map((a) => a.trim())
+        : signers.slice(0, 3).map((s) => s.address);
+    const threshold = Number(process.env.COUNCIL_THRESHOLD || 2);
+    const delay = Number(process.env.COUNCIL_DELAY || 60);
+    const Council = await hre.ethers.getContractFactory("Council");
+    const council = await Council.deploy(members, threshold, delay);
+    await council.deployed();
+    console.log(`Council: ${council.address} (${threshold}-of-${members.length}, ${delay}s timelock)`);
+
+    const tx0 = await news.setAppealRegistry(appeals.address);
+    await tx0.wait();
+    console.log("NewsRegistry appeal registry set");
 
     // Optionally add one trusted publisher (deployer for testing)
     const tx = await pub.addPublisher(deployer.address);
@@ -24,6 +49,19 @@ async function main() {
     const tx2 = await pub.addPublisher("0x90f79bf6eb2c4f870365e785982e1f101e93b906");
     await tx2.wait();
     console.log("Added 0x90f.....1e93b906 as trusted publisher for testing");
+
+    // starter categories for article metadata; more are added through council proposals
+    for (const name of ["Politics", "Health", "Finance", "Science", "Technology"]) {
+        await (await pub.addCategory(name)).wait();
+    }
+    console.log("Added starter categories");
+
+    // from here on owner actions go through council proposals
+    for (const c of [pub, news, appeals]) {
+        const t = await c.transferOwnership(council.address);
+        await t.wait();
+    }
+    console.log("Registries now owned by the Council");
 }
 
 main()
@@ -0,0 +1,248 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { expectRevert, increaseTime, NO_FINGERPRINT, NO_META } = require("./helpers");
+
+const HASH = ethers.utils.sha256(ethers.utils.toUtf8Bytes("some article"));
+const Status = { UnderReview: 0, VerifiedTrue: 1, MarkedFake: 2, Disputed: 3, Satire: 5 };
+const BOND = ethers.utils.parseEther("0.1");
+
+describe("AppealRegistry", function () {
+    let pub, news, appeals, owner, publisher, stranger, p2, p3;
+
+    beforeEach(async function () {
+        [owner, publisher, stranger, p2, p3] = await ethers.getSigners();
+
+        const Pub = await ethers.getContractFactory("PublisherRegistry");
+        pub = await Pub.deploy();
+        await pub.deployed();
+
+        const News = await ethers.getContractFactory("NewsRegistry");
+        news = await News.deploy(pub.address, 0, 1, false, 0);
+        await news.deployed();
+
+        const Appeals = await ethers.getContractFactory("AppealRegistry");
+        appeals = await Appeals.deploy(news.address, pub.address, BOND, 60, 2);
+        await appeals.deployed();
+        await (await news.setAppealRegistry(appeals.address)).wait();
+
+        for (const p of [publisher, p2, p3]) {
+            await (await pub.addPublisher(p.address)).wait();
+        }
+        // finalized as MarkedFake by a single vote
+        await (await news.connect(stranger).submitArticle(HASH, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+        await (await news.connect(publisher).vote(HASH, false, "")).wait();
+    });
+
+    describe("openAppeal", function () {
+        it("records the appeal with bond and evidence", async function () {
+            await (await appeals.connect(stranger).openAppeal(HASH, "ipfs://evidence", { value: BOND })).wait();
+            expect((await appeals.appealCount(HASH)).toNumber()).to.equal(1);
+            const ap = await appeals.getAppeal(HASH, 0);
+            expect(ap.appellant).to.equal(stranger.address);
+            expect(ap.evidenceURI).to.equal("ipfs://evidence");
+            expect(ap.bond).to.deep.equal(BOND);
+            expect(ap.priorStatus).to.equal(Status.MarkedFake);
+            expect(ap.resolved).to.equal(false);
+        });
+
+        it("requires a finalized article", async function () {
+            const other = ethers.utils.sha256(ethers.utils.toUtf8Bytes("other"));
+            await (await news.connect(stranger).submitArticle(other, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            await expectRevert(appeals.openAppeal(other, "ipfs://e", { value: BOND }), "Not finalized");
+        });
+
+        it("requires the bond and evidence", async function () {
+            await expectRevert(appeals.openAppeal(HASH, "ipfs://e", { value: BOND.sub(1) }), "Bond too low");
+            await expectRevert(appeals.openAppeal(HASH, "", { value: BOND }), "Evidence required");
+        });
+
+        it("allows one open appeal at a time", async function () {
+            await (await appeals.openAppeal(HASH, "ipfs://e", { value: BOND })).wait();
+            await expectRevert(appeals.openAppeal(HASH, "ipfs://e2", { value: BOND }), "Appeal already open");
+        });
+    });
+
+    describe("voting and resolution", function () {
+        beforeEach(async function () {
+            await (await appeals.connect(stranger).openAppeal(HASH, "ipfs://evidence", { value: BOND })).wait();
+        });
+
+        it("only lets trusted publishers vote once", async function () {
+            await expectRevert(appeals.connect(stranger).voteAppeal(HASH, Status.VerifiedTrue), "Not a trusted publisher");
+            await (await appeals.connect(p2).voteAppeal(HASH, Status.VerifiedTrue)).wait();
+            await expectRevert(appeals.connect(p2).voteAppeal(HASH, Status.VerifiedTrue), "Already voted");
+        });
+
+        it("only lets publishers trusted for a categorized article's category vote", async function () {
+            const other = ethers.utils.sha256(ethers.utils.toUtf8Bytes("other"));
+            await (await pub.addCategory("Health")).wait();
+            await (await pub.grantCategoryTrust(publisher.address, 1)).wait();
+            await (await pub.grantCategoryTrust(p2.address, 1)).wait();
+            const meta = { category: 1, language: "0x0000", tags: [] };
+            await (await news.connect(stranger).submitArticle(other, 1, NO_FINGERPRINT, "", meta, ethers.constants.AddressZero)).wait();
+            await (await news.connect(publisher).vote(other, false, "")).wait();
+            await (await appeals.connect(stranger).openAppeal(other, "ipfs://evidence", { value: BOND })).wait();
+
+            await expectRevert(appeals.connect(p3).voteAppeal(other, Status.VerifiedTrue), "Not trusted for category");
+            await (await appeals.connect(p2).voteAppeal(other, Status.VerifiedTrue)).wait();
+            expect(await appeals.hasVotedOnAppeal(other, 0, p2.address)).to.equal(true);
+        });
+
+        it("requires a quorum larger than the first round", async function () {
+            await (await news.setVotingParams(0, 3)).wait();
+            expect((await appeals.appealQuorum()).toNumber()).to.equal(4);
+        });
+
+        it("overturns the verdict and refunds the bond", async function () {
+            await (await appeals.connect(publisher).voteAppeal(HASH, Status.VerifiedTrue)).wait();
+            await (await appeals.connect(p2).voteAppeal(HASH, Status.VerifiedTrue)).wait();
+            await expectRevert(appeals.resolveAppeal(HASH), "Appeal period not over");
+            await increaseTime(61);
+            await expectRevert(appeals.connect(p3).voteAppeal(HASH, Status.VerifiedTrue), "Appeal voting over");
+
+            await (await appeals.connect(owner).resolveAppeal(HASH)).wait();
+            expect(await appeals.bondRefunds(stranger.address)).to.deep.equal(BOND);
+            const before = await stranger.getBalance();
+            const receipt = await (await appeals.connect(stranger).withdrawBond()).wait();
+            const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+            expect((await stranger.getBalance()).add(gas).sub(before)).to.deep.equal(BOND);
+            expect(await appeals.bondRefunds(stranger.address)).to.deep.equal(ethers.constants.Zero);
+            await expectRevert(appeals.connect(stranger).withdrawBond(), "Nothing to withdraw");
+
+            const a = await news.getArticle(HASH);
+            expect(a.status).to.equal(Status.VerifiedTrue);
+            const ap = await appeals.getAppeal(HASH, 0);
+            expect(ap.resolved).to.equal(true);
+            expect(ap.outcome).to.equal(Status.VerifiedTrue);
+        });
+
+        it("only accepts votes for votable labels", async function () {
+            await expectRevert(appeals.connect(p2).voteAppeal(HASH, Status.UnderReview), "Invalid label");
+            await expectRevert(appeals.connect(p2).voteAppeal(HASH, Status.Disputed), "Invalid label");
+            await expectRevert(appeals.connect(p2).voteAppeal(HASH, 99), "Invalid label");
+            await (await news.setLabelActive(Status.Satire, false)).wait();
+            await expectRevert(appeals.connect(p2).voteAppeal(HASH, Status.Satire), "Invalid label");
+        });
+
+        it("resolves to the label with the most votes", async function () {
+            await (await appeals.connect(publisher).voteAppeal(HASH, Status.Satire)).wait();
+            await (await appeals.connect(p2).voteAppeal(HASH, Status.Satire)).wait();
+            await (await appeals.connect(p3).voteAppeal(HASH, Status.VerifiedTrue)).wait();
+            expect((await appeals.appealLabelVotes(HASH, 0, Status.Satire)).toNumber()).to.equal(2);
+            expect((await appeals.getAppeal(HASH, 0)).totalVotes.toNumber()).to.equal(3);
+            await increaseTime(61);
+            await (await appeals.resolveAppeal(HASH)).wait();
+            expect((await appeals.getAppeal(HASH, 0)).outcome).to.equal(Status.Satire);
+            expect((await news.getArticle(HASH)).status).to.equal(Status.Satire);
+        });
+
+        it("resolves a tie for the lead as Disputed", async function () {
+            await (await appeals.connect(publisher).voteAppeal(HASH, Status.VerifiedTrue)).wait();
+            await (await appeals.connect(p2).voteAppeal(HASH, Status.Satire)).wait();
+            await increaseTime(61);
+            await (await appeals.resolveAppeal(HASH)).wait();
+            expect((await appeals.getAppeal(HASH, 0)).outcome).to.equal(Status.Disputed);
+            expect((await news.getArticle(HASH)).status).to.equal(Status.Disputed);
+        });
+
+        it("re-scores first-round voters when the verdict is overturned", async function () {
+            let r = await news.reputation(publisher.address);
+            expect(r.scoredVotes.toNumber()).to.equal(1);
+            expect(r.agreedVotes.toNumber()).to.equal(1);
+
+            await (await appeals.connect(publisher).voteAppeal(HASH, Status.VerifiedTrue)).wait();
+            await (await appeals.connect(p2).voteAppeal(HASH, Status.VerifiedTrue)).wait();
+            await increaseTime(61);
+            await (await appeals.resolveAppeal(HASH)).wait();
+
+            r = await news.reputation(publisher.address);
+            expect(r.scoredVotes.toNumber()).to.equal(1);
+            expect(r.agreedVotes.toNumber()).to.equal(0);
+        });
+
+        it("returns the bond when the article was reopened for review meanwhile", async function () {
+            const other = ethers.utils.sha256(ethers.utils.toUtf8Bytes("other"));
+            await (await news.connect(p3).submitArticle(other, 1, NO_FINGERPRINT, "", NO_META, p3.address)).wait();
+            await (await appeals.connect(stranger).openAppeal(other, "ipfs://e", { value: BOND })).wait();
+            await (await pub.removePublisherForCause(p3.address, "Fabricated stories")).wait();
+            await (await news.reopenArticles([other])).wait();
+            await increaseTime(61);
+
+            await (await appeals.connect(owner).resolveAppeal(other)).wait();
+            expect(await appeals.bondRefunds(stranger.address)).to.deep.equal(BOND);
+            const ap = await appeals.getAppeal(other, 0);
+            expect(ap.resolved).to.equal(true);
+            expect(ap.outcome).to.equal(Status.VerifiedTrue);
+            expect(ap.moot).to.equal(true);
+            expect(await appeals.forfeitedBonds()).to.deep.equal(ethers.constants.Zero);
+        });
+
+        it("resolves as moot when the article was reopened and finalized again meanwhile", async function () {
+            const other = ethers.utils.sha256(ethers.utils.toUtf8Bytes("other"));
+            await (await news.connect(p3).submitArticle(other, 1, NO_FINGERPRINT, "", NO_META, p3.address)).wait();
+            await (await appeals.connect(stranger).openAppeal(other, "ipfs://e", { value: BOND })).wait();
+            await (await appeals.connect(publisher).voteAppeal(other, Status.Satire)).wait();
+            await (await appeals.connect(p2).voteAppeal(other, Status.Satire)).wait();
+            await (await pub.removePublisherForCause(p3.address, "Fabricated stories")).wait();
+            await (await news.reopenArticles([other])).wait();
+            await (await news.connect(publisher).vote(other, false, "")).wait(); // finalized again as MarkedFake
+            await increaseTime(61);
+
+            await (await appeals.resolveAppeal(other)).wait();
+            expect((await news.getArticle(other)).status).to.equal(Status.MarkedFake);
+            const ap = await appeals.getAppeal(other, 0);
+            expect(ap.moot).to.equal(true);
+            expect(ap.outcome).to.equal(Status.VerifiedTrue);
+            expect(await appeals.bondRefunds(stranger.address)).to.deep.equal(BOND);
+            expect(await appeals.forfeitedBonds()).to.deep.equal(ethers.constants.Zero);
+        });
+
+        it("resolves even when the appellant rejects ETH", async function () {
+            // a contract without receive() as appellant: the council, appealing through a proposal
+            const Council = await ethers.getContractFactory("Council");
+            const council = await Council.deploy([owner.address], 1, 0);
+            await council.deployed();
+            const other = ethers.utils.sha256(ethers.utils.toUtf8Bytes("other"));
+            await (await news.connect(stranger).submitArticle(other, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            await (await news.connect(publisher).vote(other, false, "")).wait();
+            await (await appeals.setAppealParams(0, 60, 2)).wait();
+            const data = appeals.interface.encodeFunctionData("openAppeal", [other, "ipfs://e"]);
+            await (await council.propose(appeals.address, data, "appeal")).wait();
+            await (await council.execute(0)).wait();
+
+            await (await appeals.connect(publisher).voteAppeal(other, Status.VerifiedTrue)).wait();
+            await (await appeals.connect(p2).voteAppeal(other, Status.VerifiedTrue)).wait();
+            await increaseTime(61);
+            await (await appeals.resolveAppeal(other)).wait();
+            expect((await news.getArticle(other)).status).to.equal(Status.VerifiedTrue);
+            expect((await appeals.getAppeal(other, 0)).appellant).to.equal(council.address);
+        });
+
+        it("keeps the verdict and forfeits the bond below quorum", async function () {
+            await (await appeals.connect(p2).voteAppeal(HASH, Status.VerifiedTrue)).wait();
+            await increaseTime(61);
+            await (await appeals.resolveAppeal(HASH)).wait();
+            expect((await news.getArticle(HASH)).status).to.equal(Status.MarkedFake);
+            expect(await appeals.forfeitedBonds()).to.deep.equal(BOND);
+            await expectRevert(appeals.resolveAppeal(HASH), "No open appeal");
+
+            // a new appeal can be opened once the previous one is resolved
+            await (await appeals.openAppeal(HASH, "ipfs://more", { value: BOND })).wait();
+            expect((await appeals.appealCount(HASH)).toNumber()).to.equal(2);
+        });
+
+        it("lets the owner withdraw forfeited bonds", async function () {
+            await increaseTime(61);
+            await (await appeals.resolveAppeal(HASH)).wait();
+            await expectRevert(appeals.connect(stranger).withdrawForfeitedBonds(stranger.address), "OwnableUnauthorizedAccount");
+            const before = await p3.getBalance();
+            await (await appeals.withdrawForfeitedBonds(p3.address)).wait();
+            expect((await p3.getBalance()).sub(before)).to.deep.equal(BOND);
+            expect(await appeals.forfeitedBonds()).to.deep.equal(ethers.constants.Zero);
+        });
+    });
+
+    it("only the appeal registry can change a finalized status", async function () {
+        await expectRevert(news.connect(stranger).applyAppealOutcome(HASH, Status.VerifiedTrue), "Not appeal registry");
+    });
+});
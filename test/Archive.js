@@ -0,0 +1,37 @@
+const { expect } = require("chai");
+
+// contentHash of "Breaking news" under every hash version (see test/Hashing.js)
+const HASH = "0x30724acfaf3204d8a00b739f35876aae32eb3db496447cd5e422b465c8ca533f";
+
+describe("archive", function () {
+    let archive;
+
+    before(async function () {
+        archive = await import("../frontend/src/archive.js");
+    });
+
+    it("derives a raw sha2-256 CID whose digest is the contentHash", function () {
+        const cid = archive.archiveCid(HASH);
+        expect(cid.version).to.equal(1);
+        expect(cid.code).to.equal(0x55);
+        expect(cid.multihash.code).to.equal(0x12);
+        expect("0x" + Buffer.from(cid.multihash.digest).toString("hex")).to.equal(HASH);
+        expect(cid.toString()).to.match(/^bafkrei/);
+        expect(archive.archiveUri(HASH)).to.equal(`ipfs://${cid}`);
+    });
+
+    it("parses only bare CIDs and ipfs:// uris", function () {
+        const cid = archive.archiveCid(HASH).toString();
+        const uri = archive.archiveUri(HASH);
+        expect(archive.parseArchiveCid(cid).toString()).to.equal(cid);
+        expect(archive.parseArchiveCid(` ${uri} `).toString()).to.equal(cid);
+        expect(archive.parseArchiveCid("https://example.com/a")).to.equal(null);
+        expect(archive.parseArchiveCid("ipfs://not-a-cid")).to.equal(null);
+        expect(archive.parseArchiveCid(`${uri}/path`)).to.equal(null);
+        expect(archive.parseArchiveCid("")).to.equal(null);
+    });
+
+    it("rejects hashes that are not 32 bytes", function () {
+        expect(() => archive.archiveCid("0x1234")).to.throw("contentHash must be 32 bytes");
+    });
+});
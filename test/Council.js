@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { expectRevert, increaseTime } = require("./helpers");
+
+const DELAY = 60;
+
+describe("Council", function () {
+    let pub, news, council, owner, m1, m2, publisher, stranger;
+
+    beforeEach(async function () {
+        [owner, m1, m2, publisher, stranger] = await ethers.getSigners();
+
+        const Pub = await ethers.getContractFactory("PublisherRegistry");
+        pub = await Pub.deploy();
+        await pub.deployed();
+
+        const News = await ethers.getContractFactory("NewsRegistry");
+        news = await News.deploy(pub.address, 0, 1, false, 0);
+        await news.deployed();
+
+        const Council = await ethers.getContractFactory("Council");
+        council = await Council.deploy([owner.address, m1.address, m2.address], 2, DELAY);
+        await council.deployed();
+
+        await (await pub.transferOwnership(council.address)).wait();
+        await (await news.transferOwnership(council.address)).wait();
+    });
+
+    // proposes from `from` and returns the new proposal id
+    async function propose(from, target, data, description = "") {
+        const receipt = await (await council.connect(from).propose(target, data, description)).wait();
+        return receipt.events.find((e) => e.event === "Proposed").args.proposalId;
+    }
+
+    function addPublisherCall(addr) {
+        return pub.interface.encodeFunctionData("addPublisher", [addr]);
+    }
+
+    it("stores members, threshold and delay", async function () {
+        expect(await council.getMembers()).to.deep.equal([owner.address, m1.address, m2.address]);
+        expect(await council.isMember(m1.address)).to.equal(true);
+        expect((await council.threshold()).toNumber()).to.equal(2);
+        expect((await council.delay()).toNumber()).to.equal(DELAY);
+    });
+
+    it("rejects an invalid threshold or duplicate members", async function () {
+        const Council = await ethers.getContractFactory("Council");
+        await expectRevert(Council.deploy([owner.address], 2, 0), "Invalid threshold");
+        await expectRevert(Council.deploy([owner.address], 0, 0), "Invalid threshold");
+        await expectRevert(Council.deploy([owner.address, owner.address], 1, 0), "Already a member");
+    });
+
+    it("blocks direct owner calls once the council owns the registries", async function () {
+        await expectRevert(pub.addPublisher(publisher.address), "OwnableUnauthorizedAccount");
+        await expectRevert(news.setVotingParams(60, 2), "OwnableUnauthorizedAccount");
+    });
+
+    describe("proposals", function () {
+        it("only lets members propose and approve", async function () {
+            await expectRevert(council.connect(stranger).propose(pub.address, addPublisherCall(publisher.address), ""), "Not a council member");
+            const id = await propose(owner, pub.address, addPublisherCall(publisher.address));
+            await expectRevert(council.connect(stranger).approve(id), "Not a council member");
+        });
+
+        it("counts the proposer's approval and rejects double approvals", async function () {
+            const id = await propose(owner, pub.address, addPublisherCall(publisher.address), "Add publisher");
+            const p = await council.getProposal(id);
+            expect(p.proposer).to.equal(owner.address);
+            expect(p.description).to.equal("Add publisher");
+            expect(p.approvals.toNumber()).to.equal(1);
+            expect(p.readyAt.toNumber()).to.equal(0);
+            await expectRevert(council.approve(id), "Already approved");
+        });
+
+        it("executes after M approvals and the timelock", async function () {
+            const id = await propose(owner, pub.address, addPublisherCall(publisher.address));
+            await expectRevert(council.execute(id), "Not enough approvals");
+
+            const receipt = await (await council.connect(m1).approve(id)).wait();
+            expect(receipt.events.find((e) => e.event === "Queued")).to.not.equal(undefined);
+            await expectRevert(council.execute(id), "Timelock not expired");
+
+            await increaseTime(DELAY + 1);
+            await (await council.connect(stranger).execute(id)).wait();
+            expect(await pub.isTrusted(publisher.address)).to.equal(true);
+            expect((await council.getProposal(id)).executed).to.equal(true);
+            await expectRevert(council.execute(id), "Proposal closed");
+        });
+
+        it("changes voting params through a proposal", async function () {
+            const data = news.interface.encodeFunctionData("setVotingParams", [120, 3]);
+            const id = await propose(m1, news.address, data);
+            await (await council.connect(m2).approve(id)).wait();
+            await increaseTime(DELAY + 1);
+            await (await council.execute(id)).wait();
+            expect((await news.votingPeriod()).toNumber()).to.equal(120);
+            expect((await news.minVotes()).toNumber()).to.equal(3);
+        });
+
+        it("bubbles up the target's revert reason", async function () {
+            const data = pub.interface.encodeFunctionData("removePublisher", [publisher.address]);
+            const id = await propose(owner, pub.address, data);
+            await (await council.connect(m1).approve(id)).wait();
+            await increaseTime(DELAY + 1);
+            await expectRevert(council.execute(id), "Not trusted");
+            expect((await council.getProposal(id)).executed).to.equal(false);
+        });
+
+        it("lets the proposer cancel", async function () {
+            const id = await propose(owner, pub.address, addPublisherCall(publisher.address));
+            await expectRevert(council.connect(m1).cancel(id), "Not proposer");
+            await (await council.cancel(id)).wait();
+            expect((await council.getProposal(id)).cancelled).to.equal(true);
+            await expectRevert(council.connect(m1).approve(id), "Proposal closed");
+        });
+    });
+
+    describe("self-governance", function () {
+        async function passProposal(data) {
+            const id = await propose(owner, council.address, data);
+            await (await council.connect(m1).approve(id)).wait();
+            await increaseTime(DELAY + 1);
+            return council.execute(id);
+        }
+
+        it("rejects direct calls to council functions", async function () {
+            await expectRevert(council.addMember(stranger.address), "Only via proposal");
+            await expectRevert(council.setThreshold(1), "Only via proposal");
+            await expectRevert(council.setDelay(0), "Only via proposal");
+        });
+
+        it("adds and removes members", async function () {
+            await (await passProposal(council.interface.encodeFunctionData("addMember", [stranger.address]))).wait();
+            expect(await council.isMember(stranger.address)).to.equal(true);
+            await (await passProposal(council.interface.encodeFunctionData("removeMember", [m2.address]))).wait();
+            expect(await council.isMember(m2.address)).to.equal(false);
+            expect(await council.getMembers()).to.have.members([owner.address, m1.address, stranger.address]);
+        });
+
+        it("keeps enough members for the threshold", async function () {
+            await (await passProposal(council.interface.encodeFunctionData("setThreshold", [3]))).wait();
+            expect((await council.threshold()).toNumber()).to.equal(3);
+            const id = await propose(owner, council.address, council.interface.encodeFunctionData("removeMember", [m2.address]));
+            await (await council.connect(m1).approve(id)).wait();
+            await (await council.connect(m2).approve(id)).wait();
+            await increaseTime(DELAY + 1);
+            await expectRevert(council.execute(id), "Below threshold");
+        });
+
+        it("stops counting approvals of removed members", async function () {
+            const id = await propose(owner, pub.address, addPublisherCall(publisher.address));
+            await (await council.connect(m2).approve(id)).wait(); // queued with owner + m2
+            await (await passProposal(council.interface.encodeFunctionData("removeMember", [m2.address]))).wait();
+            expect((await council.getProposal(id)).approvals.toNumber()).to.equal(1);
+            await expectRevert(council.execute(id), "Not enough approvals");
+
+            await (await council.connect(m1).approve(id)).wait();
+            await (await council.execute(id)).wait();
+            expect(await pub.isTrusted(publisher.address)).to.equal(true);
+        });
+
+        it("does not count approvals a re-added member gave before removal", async function () {
+            const id = await propose(owner, pub.address, addPublisherCall(publisher.address));
+            await (await council.connect(m2).approve(id)).wait(); // queued with owner + m2
+            await (await passProposal(council.interface.encodeFunctionData("removeMember", [m2.address]))).wait();
+            await (await passProposal(council.interface.encodeFunctionData("addMember", [m2.address]))).wait();
+            expect(await council.hasApproved(id, m2.address)).to.equal(false);
+            expect((await council.getProposal(id)).approvals.toNumber()).to.equal(1);
+            await expectRevert(council.execute(id), "Not enough approvals");
+
+            await (await council.connect(m2).approve(id)).wait();
+            await (await council.execute(id)).wait();
+            expect(await pub.isTrusted(publisher.address)).to.equal(true);
+        });
+
+        it("queues a proposal that meets a lowered threshold", async function () {
+            await (await passProposal(council.interface.encodeFunctionData("setThreshold", [3]))).wait();
+            const id = await propose(owner, pub.address, addPublisherCall(publisher.address));
+            await (await council.connect(m1).approve(id)).wait(); // 2 of 3, not queued
+            await expectRevert(council.queue(id), "Not enough approvals");
+            const lower = await propose(owner, council.address, council.interface.encodeFunctionData("setThreshold", [2]));
+            await (await council.connect(m1).approve(lower)).wait();
+            await (await council.connect(m2).approve(lower)).wait();
+            await increaseTime(DELAY + 1);
+            await (await council.execute(lower)).wait();
+
+            await expectRevert(council.execute(id), "Not queued");
+            await (await council.connect(stranger).queue(id)).wait();
+            await expectRevert(council.queue(id), "Already queued");
+            await expectRevert(council.execute(id), "Timelock not expired");
+            await increaseTime(DELAY + 1);
+            await (await council.execute(id)).wait();
+            expect(await pub.isTrusted(publisher.address)).to.equal(true);
+        });
+
+        it("changes the delay", async function () {
+            await (await passProposal(council.interface.encodeFunctionData("setDelay", [0]))).wait();
+            expect((await council.delay()).toNumber()).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,46 @@
+const { expect } = require("chai");
+
+const ORIGINAL =
+    "Officials confirmed on Tuesday that the city council approved a new budget for public transport, " +
+    "including funding for two additional tram lines and longer night service hours across the northern districts.";
+const EDITED =
+    "Officials confirmed on Wednesday that the city council approved a new budget for public transport, " +
+    "including funding for three additional tram lines and longer night service hours across the northern districts!";
+const UNRELATED =
+    "Scientists discovered a previously unknown species of frog in the rainforest canopy, " +
+    "noting its unusual bright blue markings and a distinctive call heard mostly after heavy rain.";
+
+describe("fingerprint", function () {
+    let fp;
+
+    before(async function () {
+        fp = await import("../frontend/src/fingerprint.js");
+    });
+
+    it("matches the fixed vectors", function () {
+        // changing these invalidates every fingerprint already stored on-chain
+        expect(fp.simhash(ORIGINAL)).to.equal("0x6be596401f86078a");
+        expect(fp.simhash(EDITED)).to.equal("0x79a71200138607aa");
+        expect(fp.simhash(UNRELATED)).to.equal("0x5e3c1c199fa85a06");
+    });
+
+    it("ignores case, punctuation and spacing", function () {
+        expect(fp.simhash("OFFICIALS confirmed on   Tuesday that the city council!")).to.equal(
+            fp.simhash("Officials confirmed on Tuesday that the city council")
+        );
+    });
+
+    it("rates a lightly edited copy as similar and unrelated text as not", function () {
+        const near = fp.similarity(fp.simhash(ORIGINAL), fp.simhash(EDITED));
+        const far = fp.similarity(fp.simhash(ORIGINAL), fp.simhash(UNRELATED));
+        expect(near).to.equal(0.84375);
+        expect(near).to.be.at.least(fp.MIN_SIMILARITY);
+        expect(far).to.be.below(fp.MIN_SIMILARITY);
+        expect(fp.similarity(fp.simhash(ORIGINAL), fp.simhash(ORIGINAL))).to.equal(1);
+    });
+
+    it("returns null for text too short to compare", function () {
+        expect(fp.simhash("Breaking: tram lines approved")).to.equal(null);
+        expect(fp.simhash("")).to.equal(null);
+    });
+});
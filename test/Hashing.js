@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+
+// fixed vectors: changing any of these means a hash version changed, which breaks lookups of stored articles
+const VECTORS = [
+    {
+        input: "  Breaking news  ",
+        v1: "0x30724acfaf3204d8a00b739f35876aae32eb3db496447cd5e422b465c8ca533f",
+        v2: "0x30724acfaf3204d8a00b739f35876aae32eb3db496447cd5e422b465c8ca533f",
+    },
+    {
+        input: "Cafe\u0301 says \u201Chello\u201D\r\nto\tthe  world\u2019s press",
+        v1: "0x591d35491f033502ba335ea4116419af0d098875a795089b0d9305d91a8a0282",
+        v2: "0x93e6b73d406a9af94cd8080387625b35b442313edd44e03fca02768b3ec7bc20",
+    },
+    {
+        input: "HTTPS://Example.COM:443/story?id=7&utm_source=tw&UTM_Medium=x#comments",
+        v1: "0xb90a30067237612c52c4b1d6dfc6d4b02caaa5a230387abb9deac831cc7cb323",
+        v2: "0x33fadfd2d60dbc01934d145a97f9bcbdff53b142081584ffefbc0238f8ea97f5",
+    },
+];
+
+describe("hashing", function () {
+    let hashing;
+
+    before(async function () {
+        hashing = await import("../frontend/src/hashing.js");
+    });
+
+    it("matches the fixed vectors for every version", async function () {
+        for (const v of VECTORS) {
+            expect(await hashing.computeContentHash(v.input, 1)).to.equal(v.v1, v.input);
+            expect(await hashing.computeContentHash(v.input, 2)).to.equal(v.v2, v.input);
+        }
+    });
+
+    it("uses the latest version by default", async function () {
+        expect(hashing.HASH_VERSION).to.equal(2);
+        expect(await hashing.computeContentHash(VECTORS[1].input)).to.equal(VECTORS[1].v2);
+    });
+
+    it("v1 only trims", function () {
+        expect(hashing.canonicalize("  a\r\nb  ", 1)).to.equal("a\r\nb");
+    });
+
+    it("v2 normalizes unicode, quotes and whitespace", function () {
+        expect(hashing.canonicalize("Cafe\u0301", 2)).to.equal("Caf\u00E9");
+        expect(hashing.canonicalize("\u2018a\u2019 \u201Cb\u201D", 2)).to.equal("'a' \"b\"");
+        expect(hashing.canonicalize(" one\r\n\r\ntwo\t three ", 2)).to.equal("one two three");
+    });
+
+    it("v2 canonicalizes URLs", function () {
+        expect(hashing.canonicalize("https://news.example/a?utm_campaign=x&page=2#top", 2)).to.equal("https://news.example/a?page=2");
+        expect(hashing.canonicalize("http://NEWS.example:80/?utm_source=x", 2)).to.equal("http://news.example/");
+        // text that merely contains a URL is left as text
+        expect(hashing.canonicalize("see https://news.example/a#top", 2)).to.equal("see https://news.example/a#top");
+        expect(hashing.canonicalizeUrl("ipfs://bafy")).to.equal(null);
+    });
+
+    it("rejects unknown versions", function () {
+        expect(() => hashing.canonicalize("x", 99)).to.throw("Unknown hash version 99");
+    });
+
+    it("lists candidate hashes newest first without duplicates", async function () {
+        const plain = await hashing.candidateHashes("  Breaking news  ");
+        expect(plain).to.deep.equal([{ version: 2, hash: VECTORS[0].v2 }]);
+        const url = await hashing.candidateHashes(VECTORS[2].input);
+        expect(url).to.deep.equal([{ version: 2, hash: VECTORS[2].v2 }, { version: 1, hash: VECTORS[2].v1 }]);
+    });
+
+    it("hashes the stored uri for link lookups", async function () {
+        // same rules as a link-only contentHash, so either lookup finds it
+        expect(await hashing.computeUrlHash(VECTORS[2].input)).to.equal(VECTORS[2].v2);
+        expect(hashing.canonicalUri("  ipfs://bafy ")).to.equal("ipfs://bafy");
+        expect(await hashing.computeUrlHash("  ")).to.equal(null);
+    });
+
+    it("resolves a link to the articles submitted with it", async function () {
+        const textHash = "0x" + "11".repeat(32);
+        const byUrl = async (urlHash) => (urlHash === VECTORS[2].v2 ? [textHash] : []);
+        const found = await hashing.findContentHash(VECTORS[2].input, async () => false, byUrl);
+        expect(found).to.deep.equal({ version: null, hash: textHash, found: true, linked: [textHash] });
+        // plain text never consults the link index
+        const text = await hashing.findContentHash("Breaking news", async () => false, byUrl);
+        expect(text.found).to.equal(false);
+        expect(text.linked).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,348 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { openDb, listArticles, getArticle, listVotes, listVersions, findSimilar, listPublishers, getPublisher, getStats } = require("../indexer/db");
+const { Indexer } = require("../indexer/indexer");
+const { createApi } = require("../indexer/api");
+const { NO_FINGERPRINT, NO_META } = require("./helpers");
+const { graphql } = require("graphql");
+const { schema, rootValue, createContext } = require("../indexer/graphql");
+
+const Status = { UnderReview: 0, VerifiedTrue: 1, MarkedFake: 2, Disputed: 3 };
+const hashOf = (s) => ethers.utils.sha256(ethers.utils.toUtf8Bytes(s));
+
+describe("Indexer", function () {
+    let pub, news, db, indexer, owner, publisher, p2, stranger;
+
+    beforeEach(async function () {
+        [owner, publisher, p2, stranger] = await ethers.getSigners();
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        const Pub = await ethers.getContractFactory("PublisherRegistry");
+        pub = await Pub.deploy();
+        await pub.deployed();
+
+        const News = await ethers.getContractFactory("NewsRegistry");
+        news = await News.deploy(pub.address, 0, 1, false, 0);
+        await news.deployed();
+
+        await (await pub.addPublisher(publisher.address)).wait();
+        await (await pub.addPublisher(p2.address)).wait();
+
+        db = openDb(":memory:");
+        indexer = new Indexer({
+            provider: ethers.provider,
+            db,
+            newsAddress: news.address,
+            pubAddress: pub.address,
+            startBlock,
+            batchSize: 3,
+        });
+    });
+
+    afterEach(function () {
+        db.close();
+    });
+
+    it("indexes submissions, votes and finalization", async function () {
+        await (await pub.addCategory("Health")).wait();
+        const meta = { category: 1, language: "0x656e", tags: [ethers.utils.formatBytes32String("vaccines")] };
+        await (await news.connect(stranger).submitArticle(hashOf("a"), 1, NO_FINGERPRINT, "https://example.com/a", NO_META, ethers.constants.AddressZero)).wait();
+        await (await news.connect(stranger).submitArticle(hashOf("b"), 1, "0x0123456789abcdef", "https://example.com/b", meta, ethers.constants.AddressZero)).wait();
+        await (await news.connect(publisher).vote(hashOf("a"), false, "https://factcheck.example/a")).wait();
+        await indexer.sync();
+
+        const { total, items } = listArticles(db);
+        expect(total).to.equal(2);
+        expect(items.map((a) => a.contentHash)).to.deep.equal([hashOf("b"), hashOf("a")]); // newest first
+
+        const a = getArticle(db, hashOf("a"));
+        expect(a.status).to.equal(Status.MarkedFake);
+        expect(a.finalized).to.equal(true);
+        expect(a.noVotes).to.equal("1");
+        expect(a.confidence).to.equal(10000);
+        expect(a.submitter).to.equal(stranger.address);
+        expect(a.hashVersion).to.equal(1);
+        expect(a.fingerprint).to.equal(null);
+        expect(getArticle(db, hashOf("b")).fingerprint).to.equal("0x0123456789abcdef");
+        expect(findSimilar(db, "0x0123456789abcdef", { minSimilarity: 0.8 })).to.deep.equal([]); // b is not finalized
+        const urlHash = ethers.utils.sha256(ethers.utils.toUtf8Bytes("https://example.com/a"));
+        expect(a.urlHash).to.equal(urlHash);
+        expect(listArticles(db, { urlHash }).items.map((x) => x.contentHash)).to.deep.equal([hashOf("a")]);
+        expect(a.category).to.equal(0);
+        expect(a.language).to.equal(null);
+        expect(a.tags).to.deep.equal([]);
+        const b = getArticle(db, hashOf("b"));
+        expect(b.category).to.equal(1);
+        expect(b.language).to.equal("en");
+        expect(b.tags).to.deep.equal(["vaccines"]);
+        expect(listArticles(db, { category: 1 }).items.map((x) => x.contentHash)).to.deep.equal([hashOf("b")]);
+        expect(listArticles(db, { language: "en", tag: "vaccines" }).total).to.equal(1);
+        expect(listArticles(db, { tag: "other" }).total).to.equal(0);
+
+        const votes = listVotes(db, { contentHash: hashOf("a") });
+        expect(votes).to.have.length(1);
+        expect(votes[0].voter).to.equal(publisher.address);
+        expect(votes[0].support).to.equal(false);
+        expect(votes[0].rationale).to.equal("https://factcheck.example/a");
+
+        expect(listArticles(db, { status: Status.UnderReview }).items.map((x) => x.contentHash)).to.deep.equal([hashOf("b")]);
+        expect(getStats(db).articlesByStatus).to.deep.equal({ [Status.UnderReview]: 1, [Status.MarkedFake]: 1 });
+    });
+
+    it("indexes publisher-attested articles as auto-verified", async function () {
+        await (await news.connect(publisher).submitArticle(hashOf("a"), 1, NO_FINGERPRINT, "", NO_META, publisher.address)).wait();
+        await indexer.sync();
+
+        const a = getArticle(db, hashOf("a"));
+        expect(a.status).to.equal(Status.VerifiedTrue);
+        expect(a.publisher).to.equal(publisher.address);
+        expect(listArticles(db, { publisher: publisher.address }).total).to.equal(1);
+    });
+
+    it("tracks publisher trust state, profiles and accuracy", async function () {
+        await (await pub.updateProfile(publisher.address, "Daily Planet", "dailyplanet.example", "")).wait();
+        await (await pub.suspendPublisher(p2.address, "under investigation")).wait();
+        await (await pub.addCategory("Health")).wait();
+        await (await pub.grantCategoryTrust(publisher.address, 1)).wait();
+        await (await news.connect(stranger).submitArticle(hashOf("a"), 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+        await (await news.connect(publisher).vote(hashOf("a"), true, "")).wait();
+        await indexer.sync();
+
+        const all = listPublishers(db);
+        expect(all.map((p) => p.address)).to.have.members([publisher.address, p2.address]);
+        expect(all.find((p) => p.address === publisher.address)).to.include({ votes: 1, scoredVotes: 1, agreedVotes: 1 });
+        expect(all.find((p) => p.address === p2.address)).to.include({ votes: 0, scoredVotes: 0 });
+        expect(listPublishers(db, { state: "Suspended" }).map((p) => p.address)).to.deep.equal([p2.address]);
+
+        const p = getPublisher(db, publisher.address);
+        expect(p.name).to.equal("Daily Planet");
+        expect(p.trusted).to.equal(true);
+        expect(p.votes).to.equal(1);
+        expect(p.scoredVotes).to.equal(1);
+        expect(p.agreedVotes).to.equal(1);
+        expect(p.categories).to.deep.equal([1]);
+        expect(getPublisher(db, p2.address).trusted).to.equal(false);
+        expect(getPublisher(db, p2.address).categories).to.deep.equal([]);
+    });
+
+    it("rolls back and re-indexes after a reorg", async function () {
+        await (await news.connect(stranger).submitArticle(hashOf("kept"), 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+        await indexer.sync();
+
+        const snapshot = await network.provider.send("evm_snapshot");
+        await (await news.connect(stranger).submitArticle(hashOf("orphaned"), 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+        await (await news.connect(publisher).vote(hashOf("kept"), true, "")).wait();
+        await (await pub.removePublisher(p2.address)).wait();
+        await indexer.sync();
+        expect(listArticles(db).total).to.equal(2);
+        expect(getArticle(db, hashOf("kept")).status).to.equal(Status.VerifiedTrue);
+
+        // the competing branch replaces those blocks
+        await network.provider.send("evm_revert", [snapshot]);
+        await (await news.connect(publisher).vote(hashOf("kept"), false, "")).wait();
+        await network.provider.send("evm_mine");
+        await network.provider.send("evm_mine");
+        await indexer.sync();
+
+        expect(getArticle(db, hashOf("orphaned"))).to.equal(null);
+        expect(getArticle(db, hashOf("kept")).status).to.equal(Status.MarkedFake);
+        const votes = listVotes(db, { contentHash: hashOf("kept") });
+        expect(votes.map((v) => v.support)).to.deep.equal([false]);
+        expect(getPublisher(db, p2.address).state).to.equal("Active");
+    });
+
+    it("serves the REST API", async function () {
+        await (await news.connect(stranger).submitArticle(hashOf("a"), 1, "0x0123456789abcdef", "https://example.com/a", NO_META, ethers.constants.AddressZero)).wait();
+        await (await news.connect(publisher).vote(hashOf("a"), true, "")).wait();
+        await indexer.sync();
+
+        const server = createApi(db).listen(0);
+        const base = `http://127.0.0.1:${server.address().port}/api`;
+        try {
+            const list = await (await fetch(`${base}/articles?status=1`)).json();
+            expect(list.total).to.equal(1);
+
+            const article = await (await fetch(`${base}/articles/${hashOf("a")}`)).json();
+            expect(article.uri).to.equal("https://example.com/a");
+            expect(article.votes).to.have.length(1);
+
+            const publisherRes = await (await fetch(`${base}/publishers/${publisher.address}`)).json();
+            expect(publisherRes.agreedVotes).to.equal(1);
+
+            const stats = await (await fetch(`${base}/stats`)).json();
+            expect(stats.articles).to.equal(1);
+            expect(stats.trustedPublishers).to.equal(2);
+
+            expect((await fetch(`${base}/articles/${hashOf("missing")}`)).status).to.equal(404);
+            expect((await fetch(`${base}/articles?status=x`)).status).to.equal(400);
+            const versions = await (await fetch(`${base}/articles/${hashOf("a")}/versions`)).json();
+            expect(versions.map((v) => v.contentHash)).to.deep.equal([hashOf("a")]);
+            expect((await fetch(`${base}/articles/${hashOf("missing")}/versions`)).status).to.equal(404);
+            const similar = await (await fetch(`${base}/similar?fingerprint=0x0123456789abcdee`)).json();
+            expect(similar.map((x) => [x.contentHash, x.similarity, x.status])).to.deep.equal([[hashOf("a"), 63 / 64, 1]]);
+            expect(await (await fetch(`${base}/similar?fingerprint=0x0123456789abcdee&exclude=${hashOf("a")}`)).json()).to.deep.equal([]);
+            expect((await fetch(`${base}/similar?fingerprint=nope`)).status).to.equal(400);
+        } finally {
+            server.close();
+        }
+    });
+
+    describe("GraphQL", function () {
+        async function query(source, variableValues) {
+            const res = await graphql({ schema, source, rootValue, contextValue: createContext(db), variableValues });
+            if (res.errors) throw res.errors[0];
+            return res.data;
+        }
+
+        beforeEach(async function () {
+            await (await pub.updateProfile(publisher.address, "Daily Planet", "", "")).wait();
+            await (await pub.updateProfile(p2.address, "Bugle", "", "")).wait();
+            for (const s of ["a", "b", "c", "d", "e"]) {
+                await (await news.connect(stranger).submitArticle(hashOf(s), 1, NO_FINGERPRINT, `https://example.com/${s}`, NO_META, ethers.constants.AddressZero)).wait();
+            }
+            await (await news.connect(publisher).vote(hashOf("a"), false, "fabricated")).wait();
+            await (await news.connect(publisher).vote(hashOf("b"), true, "")).wait();
+            await (await news.connect(p2).vote(hashOf("c"), false, "")).wait();
+            await indexer.sync();
+        });
+
+        it("resolves verdict labels beyond true / fake", async function () {
+            await (await news.addLabel("Opinion")).wait();
+            await (await news.connect(p2).voteLabel(hashOf("d"), 5, "parody site")).wait(); // Satire
+            await (await news.connect(publisher).voteLabel(hashOf("e"), 8, "")).wait();
+            await indexer.sync();
+
+            const data = await query(`
+                {
+                    votes(where: { labelId: 5 }) { nodes { label labelId support article { contentHash status statusId } } }
+                    articles(where: { status: Custom }) { nodes { contentHash statusId } }
+                }`);
+            const [v] = data.votes.nodes;
+            expect(v).to.deep.equal({ label: "Satire", labelId: 5, support: null, article: { contentHash: hashOf("d"), status: "Satire", statusId: 5 } });
+            expect(data.articles.nodes).to.deep.equal([{ contentHash: hashOf("e"), statusId: 8 }]);
+            expect(getPublisher(db, p2.address)).to.include({ scoredVotes: 2, agreedVotes: 2 });
+        });
+
+        it("finds articles a publisher voted fake on, with nested votes", async function () {
+            const data = await query(`
+                query ($voter: String!) {
+                    votes(where: { voter: $voter, support: false, since: 0 }) {
+                        totalCount
+                        nodes { rationale publisher { name } article { contentHash status votes { nodes { voter } } } }
+                    }
+                }`, { voter: publisher.address });
+            expect(data.votes.totalCount).to.equal(1);
+            const [v] = data.votes.nodes;
+            expect(v.rationale).to.equal("fabricated");
+            expect(v.publisher.name).to.equal("Daily Planet");
+            expect(v.article.contentHash).to.equal(hashOf("a"));
+            expect(v.article.status).to.equal("MarkedFake");
+            expect(v.article.votes.nodes.map((x) => x.voter)).to.deep.equal([publisher.address]);
+
+            const voted = await query(`
+                query ($voter: String!) { articles(where: { votedBy: $voter, votedSupport: false }) { nodes { contentHash } } }
+            `, { voter: publisher.address });
+            expect(voted.articles.nodes.map((a) => a.contentHash)).to.deep.equal([hashOf("a")]);
+        });
+
+        it("filters articles by submitter and status", async function () {
+            const data = await query(`
+                query ($submitter: String!) {
+                    articles(where: { submitter: $submitter, statusIn: [UnderReview, VerifiedTrue] }) { totalCount nodes { contentHash } }
+                }`, { submitter: stranger.address });
+            expect(data.articles.totalCount).to.equal(3);
+            expect(data.articles.nodes.map((a) => a.contentHash)).to.deep.equal([hashOf("e"), hashOf("d"), hashOf("b")]);
+        });
+
+        it("pages through articles with cursors", async function () {
+            const seen = [];
+            let after = null;
+            let pages = 0;
+            do {
+                const data = await query(`
+                    query ($after: String) {
+                        articles(first: 2, after: $after, orderBy: { direction: ASC }) {
+                            nodes { contentHash }
+                            pageInfo { hasNextPage endCursor }
+                        }
+                    }`, { after });
+                seen.push(...data.articles.nodes.map((a) => a.contentHash));
+                after = data.articles.pageInfo.hasNextPage ? data.articles.pageInfo.endCursor : null;
+                pages++;
+            } while (after);
+            expect(pages).to.equal(3);
+            expect(seen).to.deep.equal(["a", "b", "c", "d", "e"].map(hashOf));
+
+            const byVotes = await query("{ articles(first: 1, orderBy: { field: NO_VOTES }) { nodes { contentHash noVotes } } }");
+            expect(byVotes.articles.nodes[0].noVotes).to.equal("1");
+
+            let error;
+            try {
+                await query('{ articles(after: "not-a-cursor") { totalCount } }');
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.equal("Invalid cursor");
+        });
+
+        it("lists status changes with the previous status", async function () {
+            const data = await query(`
+                query ($hash: ID!) { article(contentHash: $hash) { statusChanges { event status previousStatus timestamp } } }
+            `, { hash: hashOf("a") });
+            expect(data.article.statusChanges.map((c) => [c.event, c.status, c.previousStatus])).to.deep.equal([
+                ["Submitted", "UnderReview", null],
+                ["Finalized", "MarkedFake", "UnderReview"],
+            ]);
+
+            const fake = await query("{ statusChanges(where: { status: MarkedFake }) { totalCount nodes { article { contentHash } } } }");
+            expect(fake.statusChanges.nodes.map((c) => c.article.contentHash)).to.deep.equal([hashOf("c"), hashOf("a")]);
+        });
+
+        it("links corrections to the versions they replace", async function () {
+            await (await news.connect(publisher).submitArticle(hashOf("v1"), 1, NO_FINGERPRINT, "", NO_META, publisher.address)).wait();
+            await (await news.connect(publisher).submitRevision(hashOf("v1"), hashOf("v2"), 2, NO_FINGERPRINT, "", NO_META, true)).wait();
+            await indexer.sync();
+
+            expect(getArticle(db, hashOf("v2")).previousHash).to.equal(hashOf("v1"));
+            const versions = listVersions(db, hashOf("v2"));
+            expect(versions.map((v) => [v.contentHash, v.verdictCarried])).to.deep.equal([[hashOf("v1"), false], [hashOf("v2"), true]]);
+            expect(listVersions(db, hashOf("v1"))).to.deep.equal(versions);
+            const data = await query(`
+                query ($hash: ID!) {
+                    article(contentHash: $hash) { nextVersion { contentHash status previousVersion { contentHash } } previousVersion { contentHash } }
+                }
+            `, { hash: hashOf("v1") });
+            expect(data.article.previousVersion).to.equal(null);
+            expect(data.article.nextVersion).to.deep.equal({
+                contentHash: hashOf("v2"),
+                status: "VerifiedTrue",
+                previousVersion: { contentHash: hashOf("v1") },
+            });
+        });
+
+        it("filters and sorts publishers", async function () {
+            await (await pub.suspendPublisher(p2.address, "review")).wait();
+            await indexer.sync();
+            const data = await query(`{
+                trusted: publishers(where: { trusted: true }) { nodes { name scoredVotes agreedVotes } }
+                byName: publishers(orderBy: { field: NAME }) { nodes { name state } }
+            }`);
+            expect(data.trusted.nodes).to.deep.equal([{ name: "Daily Planet", scoredVotes: 2, agreedVotes: 2 }]);
+            expect(data.byName.nodes).to.deep.equal([{ name: "Bugle", state: "Suspended" }, { name: "Daily Planet", state: "Active" }]);
+        });
+
+        it("is served over HTTP", async function () {
+            const server = createApi(db).listen(0);
+            try {
+                const res = await fetch(`http://127.0.0.1:${server.address().port}/graphql`, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({ query: "{ articles { totalCount } }" }),
+                });
+                expect((await res.json()).data.articles.totalCount).to.equal(5);
+            } finally {
+                server.close();
+            }
+        });
+    });
+});
@@ -0,0 +1,1003 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { expectRevert, increaseTime, NO_FINGERPRINT, NO_META } = require("./helpers");
+
+const HASH = ethers.utils.sha256(ethers.utils.toUtf8Bytes("some article"));
+const OTHER = ethers.utils.sha256(ethers.utils.toUtf8Bytes("another article"));
+const Status = { UnderReview: 0, VerifiedTrue: 1, MarkedFake: 2, Disputed: 3, Misleading: 4, Satire: 5, PartiallyTrue: 6, Unverifiable: 7 };
+
+async function signAttestation(signer, news, contentHash, uri, hashVersion = 1) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "NewsRegistry", version: "1", chainId, verifyingContract: news.address };
+    const types = {
+        ArticleAttestation: [
+            { name: "contentHash", type: "bytes32" },
+            { name: "hashVersion", type: "uint8" },
+            { name: "uri", type: "string" },
+        ],
+    };
+    return signer._signTypedData(domain, types, { contentHash, hashVersion, uri });
+}
+
+describe("NewsRegistry", function () {
+    let pub, news, owner, publisher, stranger, p2, p3;
+
+    beforeEach(async function () {
+        [owner, publisher, stranger, p2, p3] = await ethers.getSigners();
+
+        const Pub = await ethers.getContractFactory("PublisherRegistry");
+        pub = await Pub.deploy();
+        await pub.deployed();
+
+        const News = await ethers.getContractFactory("NewsRegistry");
+        news = await News.deploy(pub.address, 0, 1, false, 0);
+        await news.deployed();
+
+        for (const p of [publisher, p2, p3]) {
+            await (await pub.addPublisher(p.address)).wait();
+        }
+        await (await news.connect(stranger).submitArticle(HASH, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+    });
+
+    it("stores constructor params and owner", async function () {
+        expect(await news.publisherRegistry()).to.equal(pub.address);
+        expect((await news.votingPeriod()).toNumber()).to.equal(0);
+        expect((await news.minVotes()).toNumber()).to.equal(1);
+        expect(await news.owner()).to.equal(owner.address);
+    });
+
+    describe("submitArticle", function () {
+        it("stores the article under review and emits Submitted", async function () {
+            const receipt = await (await news.connect(stranger).submitArticle(OTHER, 1, NO_FINGERPRINT, "ipfs://cid", NO_META, ethers.constants.AddressZero)).wait();
+            const evt = receipt.events.find((e) => e.event === "Submitted");
+            expect(evt.args.contentHash).to.equal(OTHER);
+            expect(evt.args.submitter).to.equal(stranger.address);
+            expect(evt.args.uri).to.equal("ipfs://cid");
+
+            const a = await news.getArticle(OTHER);
+            expect(a.contentHash).to.equal(OTHER);
+            expect(a.uri).to.equal("ipfs://cid");
+            expect(a.submitter).to.equal(stranger.address);
+            expect(a.createdAt.toNumber()).to.be.greaterThan(0);
+            expect(a.status).to.equal(Status.UnderReview);
+            expect(await news.hashVersion(OTHER)).to.equal(1);
+        });
+
+        it("records the hash version and requires one", async function () {
+            await (await news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            expect(await news.hashVersion(OTHER)).to.equal(2);
+            const third = ethers.utils.sha256(ethers.utils.toUtf8Bytes("third article"));
+            await expectRevert(news.submitArticle(third, 0, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero), "Hash version required");
+        });
+
+        it("stores a fingerprint and emits Fingerprinted", async function () {
+            const fp = "0x0123456789abcdef";
+            const receipt = await (await news.submitArticle(OTHER, 2, fp, "", NO_META, ethers.constants.AddressZero)).wait();
+            const evt = receipt.events.find((e) => e.event === "Fingerprinted");
+            expect(evt.args.contentHash).to.equal(OTHER);
+            expect(evt.args.fingerprint).to.equal(fp);
+            expect(await news.fingerprints(OTHER)).to.equal(fp);
+            // text-less submissions carry none
+            expect(await news.fingerprints(HASH)).to.equal(NO_FINGERPRINT);
+        });
+
+        it("indexes the uri hash so a link resolves to its articles", async function () {
+            const url = "https://example.com/story";
+            const urlHash = ethers.utils.sha256(ethers.utils.toUtf8Bytes(url));
+            const third = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("third"));
+            const receipt = await (await news.submitArticle(OTHER, 2, NO_FINGERPRINT, url, NO_META, ethers.constants.AddressZero)).wait();
+            const evt = receipt.events.find((e) => e.event === "UrlLinked");
+            expect(evt.args.urlHash).to.equal(urlHash);
+            expect(evt.args.contentHash).to.equal(OTHER);
+            await (await news.connect(stranger).submitArticle(third, 2, NO_FINGERPRINT, url, NO_META, ethers.constants.AddressZero)).wait();
+
+            expect(await news.urlHashes(OTHER)).to.equal(urlHash);
+            expect(await news.resolveUrl(urlHash)).to.equal(OTHER);
+            expect(await news.getArticlesByUrl(urlHash)).to.deep.equal([OTHER, third]);
+            // submitted without a uri
+            expect(await news.urlHashes(HASH)).to.equal(ethers.constants.HashZero);
+            expect(await news.resolveUrl(ethers.utils.sha256(ethers.utils.toUtf8Bytes("https://example.com/other")))).to.equal(
+                ethers.constants.HashZero
+            );
+        });
+
+        it("records an archive CID apart from the uri, once and only by the submitter", async function () {
+            const url = "https://example.com/story";
+            const cid = "bafkreibm6jg3ux5qumhcn2b3flc3tyu6dmlb4xa7u5bf44yegnrjhc4yeq";
+            await (await news.connect(stranger).submitArticle(OTHER, 1, NO_FINGERPRINT, url, NO_META, ethers.constants.AddressZero)).wait();
+            await expectRevert(news.connect(publisher).recordArchive(OTHER, cid), "Not the submitter");
+            await expectRevert(news.connect(stranger).recordArchive(OTHER, ""), "CID required");
+
+            const receipt = await (await news.connect(stranger).recordArchive(OTHER, cid)).wait();
+            const evt = receipt.events.find((e) => e.event === "Archived");
+            expect(evt.args.contentHash).to.equal(OTHER);
+            expect(evt.args.cid).to.equal(cid);
+            expect(await news.archiveCids(OTHER)).to.equal(cid);
+            expect((await news.getArticle(OTHER)).uri).to.equal(url);
+            expect(await news.resolveUrl(ethers.utils.sha256(ethers.utils.toUtf8Bytes(url)))).to.equal(OTHER);
+            await expectRevert(news.connect(stranger).recordArchive(OTHER, cid), "Already archived");
+        });
+
+        it("rejects duplicate submissions", async function () {
+            await expectRevert(
+                news.connect(publisher).submitArticle(HASH, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero),
+                "Already submitted"
+            );
+        });
+
+        it("auto-verifies when the trusted publisher submits", async function () {
+            const receipt = await (await news.connect(publisher).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, publisher.address)).wait();
+            const names = receipt.events.map((e) => e.event);
+            expect(names).to.include("PublisherAutoVerified");
+            expect(names).to.include("Finalized");
+            expect(names).to.not.include("Submitted");
+            const a = await news.getArticle(OTHER);
+            expect(a.status).to.equal(Status.VerifiedTrue);
+            expect(a.finalized).to.equal(true);
+        });
+
+        it("does not auto-verify a pasted trusted publisher address", async function () {
+            await (await news.connect(stranger).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, publisher.address)).wait();
+            const a = await news.getArticle(OTHER);
+            expect(a.status).to.equal(Status.UnderReview);
+            expect(a.finalized).to.equal(false);
+        });
+    });
+
+    describe("submitSignedArticle", function () {
+        const URI = "https://example.com/story";
+
+        it("auto-verifies with the publisher's attestation", async function () {
+            const sig = await signAttestation(publisher, news, OTHER, URI);
+            await (await news.connect(stranger).submitSignedArticle(OTHER, 1, NO_FINGERPRINT, URI, NO_META, publisher.address, sig)).wait();
+            const a = await news.getArticle(OTHER);
+            expect(a.status).to.equal(Status.VerifiedTrue);
+            expect(a.submitter).to.equal(stranger.address);
+        });
+
+        it("rejects a signature from another wallet", async function () {
+            const sig = await signAttestation(stranger, news, OTHER, URI);
+            await expectRevert(
+                news.connect(stranger).submitSignedArticle(OTHER, 1, NO_FINGERPRINT, URI, NO_META, publisher.address, sig),
+                "Invalid publisher signature"
+            );
+        });
+
+        it("rejects a signature over a different uri", async function () {
+            const sig = await signAttestation(publisher, news, OTHER, "https://example.com/other");
+            await expectRevert(
+                news.connect(stranger).submitSignedArticle(OTHER, 1, NO_FINGERPRINT, URI, NO_META, publisher.address, sig),
+                "Invalid publisher signature"
+            );
+        });
+
+        it("rejects a signature over a different hash version", async function () {
+            const sig = await signAttestation(publisher, news, OTHER, URI, 2);
+            await expectRevert(
+                news.connect(stranger).submitSignedArticle(OTHER, 1, NO_FINGERPRINT, URI, NO_META, publisher.address, sig),
+                "Invalid publisher signature"
+            );
+        });
+
+        it("leaves articles signed by untrusted publishers under review", async function () {
+            const sig = await signAttestation(stranger, news, OTHER, URI);
+            await (await news.connect(owner).submitSignedArticle(OTHER, 1, NO_FINGERPRINT, URI, NO_META, stranger.address, sig)).wait();
+            const a = await news.getArticle(OTHER);
+            expect(a.status).to.equal(Status.UnderReview);
+        });
+    });
+
+    describe("vote", function () {
+        it("rejects votes from untrusted addresses", async function () {
+            await expectRevert(news.connect(stranger).vote(HASH, false, ""), "Not a trusted publisher");
+            const a = await news.getArticle(HASH);
+            expect(a.noVotes.toNumber()).to.equal(0);
+            expect(await news.hasVoted(HASH, stranger.address)).to.equal(false);
+        });
+
+        it("rejects votes from a publisher after removal", async function () {
+            await (await pub.removePublisher(publisher.address)).wait();
+            await expectRevert(news.connect(publisher).vote(HASH, true, ""), "Not a trusted publisher");
+        });
+
+        it("accepts votes from trusted publishers", async function () {
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            const a = await news.getArticle(HASH);
+            expect(a.yesVotes.toNumber()).to.equal(1);
+            expect(await news.hasVoted(HASH, publisher.address)).to.equal(true);
+        });
+
+        it("emits Voted with the rationale", async function () {
+            const receipt = await (await news.connect(publisher).vote(HASH, false, "ipfs://debunk")).wait();
+            const evt = receipt.events.find((e) => e.event === "Voted");
+            expect(evt.args.voter).to.equal(publisher.address);
+            expect(evt.args.label).to.equal(Status.MarkedFake);
+            expect(evt.args.rationale).to.equal("ipfs://debunk");
+        });
+
+        it("stores a vote record per voter", async function () {
+            await (await news.setVotingParams(60, 2)).wait();
+            await (await news.connect(publisher).vote(HASH, false, "Photo is from 2012")).wait();
+            await (await news.connect(p2).vote(HASH, true, "")).wait();
+
+            const votes = await news.getVotes(HASH);
+            expect(votes.length).to.equal(2);
+            expect(votes[0].voter).to.equal(publisher.address);
+            expect(votes[0].label).to.equal(Status.MarkedFake);
+            expect(votes[0].rationale).to.equal("Photo is from 2012");
+            expect(votes[0].timestamp.toNumber()).to.be.greaterThan(0);
+
+            const mine = await news.getVote(HASH, p2.address);
+            expect(mine.label).to.equal(Status.VerifiedTrue);
+            expect(mine.rationale).to.equal("");
+            await expectRevert(news.getVote(HASH, p3.address), "No vote");
+        });
+
+        it("rejects overly long rationales", async function () {
+            await expectRevert(news.connect(publisher).vote(HASH, true, "x".repeat(513)), "Rationale too long");
+        });
+
+        it("rejects a second vote from the same publisher", async function () {
+            await (await news.setVotingParams(60, 1)).wait();
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            await expectRevert(news.connect(publisher).vote(HASH, false, ""), "Already voted");
+        });
+
+        it("rejects votes on unknown articles", async function () {
+            await expectRevert(news.connect(publisher).vote(OTHER, true, ""), "Not submitted");
+        });
+
+        it("rejects votes on finalized articles", async function () {
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            await expectRevert(news.connect(p2).vote(HASH, true, ""), "Already finalized");
+        });
+    });
+
+    describe("resolution", function () {
+        beforeEach(async function () {
+            await (await news.setVotingParams(60, 2)).wait();
+        });
+
+        it("does not finalize before the voting period ends", async function () {
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            await (await news.connect(p2).vote(HASH, true, "")).wait();
+            const a = await news.getArticle(HASH);
+            expect(a.finalized).to.equal(false);
+            expect(a.status).to.equal(Status.UnderReview);
+        });
+
+        it("does not finalize below minVotes even after the period", async function () {
+            await increaseTime(61);
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            expect((await news.getArticle(HASH)).finalized).to.equal(false);
+        });
+
+        it("marks VerifiedTrue on a yes majority", async function () {
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            await (await news.connect(p2).vote(HASH, false, "")).wait();
+            await increaseTime(61);
+            const receipt = await (await news.connect(p3).vote(HASH, true, "")).wait();
+            const evt = receipt.events.find((e) => e.event === "Finalized");
+            expect(evt.args.finalStatus).to.equal(Status.VerifiedTrue);
+            const a = await news.getArticle(HASH);
+            expect(a.status).to.equal(Status.VerifiedTrue);
+            expect(a.finalized).to.equal(true);
+            expect(await news.confidence(HASH)).to.equal(3333); // 2-1
+        });
+
+        it("marks MarkedFake on a no majority", async function () {
+            await (await news.connect(publisher).vote(HASH, false, "")).wait();
+            await increaseTime(61);
+            await (await news.connect(p2).vote(HASH, false, "")).wait();
+            expect((await news.getArticle(HASH)).status).to.equal(Status.MarkedFake);
+        });
+
+        it("marks Disputed on a tie", async function () {
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            await increaseTime(61);
+            await (await news.connect(p2).vote(HASH, false, "")).wait();
+            const a = await news.getArticle(HASH);
+            expect(a.status).to.equal(Status.Disputed);
+            expect(a.yesVotes.toNumber()).to.equal(1);
+            expect(a.noVotes.toNumber()).to.equal(1);
+            expect(await news.confidence(HASH)).to.equal(0);
+        });
+    });
+
+    describe("verdict policy", function () {
+        let extra;
+
+        beforeEach(async function () {
+            extra = (await ethers.getSigners()).slice(5, 7);
+            for (const p of extra) {
+                await (await pub.addPublisher(p.address)).wait();
+            }
+            await (await news.setVotingParams(60, 1)).wait();
+        });
+
+        async function voteAll(supports) {
+            const voters = [publisher, p2, p3, ...extra];
+            for (let i = 0; i < supports.length; i++) {
+                await (await news.connect(voters[i]).vote(HASH, supports[i], "")).wait();
+            }
+            await increaseTime(61);
+            await (await news.finalize(HASH)).wait();
+            return news.getArticle(HASH);
+        }
+
+        it("stores the policy and emits VerdictPolicyUpdated", async function () {
+            const receipt = await (await news.setVerdictPolicy(6667, 5000, 2000)).wait();
+            const evt = receipt.events.find((e) => e.event === "VerdictPolicyUpdated");
+            expect([evt.args.supermajorityBps, evt.args.quorumBps, evt.args.minMarginBps]).to.deep.equal([6667, 5000, 2000]);
+            expect(await news.supermajorityBps()).to.equal(6667);
+            expect(await news.quorumBps()).to.equal(5000);
+            expect(await news.minMarginBps()).to.equal(2000);
+        });
+
+        it("marks Disputed when the majority misses the supermajority", async function () {
+            await (await news.setVerdictPolicy(6667, 0, 0)).wait();
+            const a = await voteAll([true, true, true, false, false]);
+            expect(a.status).to.equal(Status.Disputed);
+            expect(await news.confidence(HASH)).to.equal(2000); // 3-2
+        });
+
+        it("accepts a majority that meets the supermajority", async function () {
+            await (await news.setVerdictPolicy(6667, 0, 0)).wait();
+            const a = await voteAll([false, false, false, false, true]);
+            expect(a.status).to.equal(Status.MarkedFake);
+            expect(await news.confidence(HASH)).to.equal(6000); // 4-1
+        });
+
+        it("marks Disputed below the minimum margin", async function () {
+            await (await news.setVerdictPolicy(0, 0, 5000)).wait();
+            expect((await voteAll([true, true, false])).status).to.equal(Status.Disputed);
+        });
+
+        it("waits for a quorum of eligible publishers", async function () {
+            await (await news.setVerdictPolicy(0, 6000, 0)).wait(); // 3 of 5 publishers
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            await (await news.connect(p2).vote(HASH, true, "")).wait();
+            await increaseTime(61);
+            expect(await news.isFinalizable(HASH)).to.equal(false);
+            await expectRevert(news.finalize(HASH), "Quorum not met");
+            await (await news.connect(p3).vote(HASH, true, "")).wait();
+            expect((await news.getArticle(HASH)).status).to.equal(Status.VerifiedTrue);
+            expect(await news.confidence(HASH)).to.equal(10000);
+        });
+
+        it("measures the quorum of a categorized article against its specialists", async function () {
+            await (await pub.addCategory("health")).wait();
+            await (await pub.grantCategoryTrust(p2.address, 1)).wait();
+            await (await news.setVerdictPolicy(0, 10000, 0)).wait();
+            await (await news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", { category: 1, language: "0x0000", tags: [] }, ethers.constants.AddressZero)).wait();
+            await (await news.connect(p2).vote(OTHER, false, "")).wait();
+            await increaseTime(61);
+            await (await news.finalize(OTHER)).wait();
+            expect((await news.getArticle(OTHER)).status).to.equal(Status.MarkedFake);
+        });
+
+        it("validates the policy and is owner only", async function () {
+            await expectRevert(news.setVerdictPolicy(5000, 0, 0), "Invalid supermajority");
+            await expectRevert(news.setVerdictPolicy(10001, 0, 0), "Invalid supermajority");
+            await expectRevert(news.setVerdictPolicy(0, 10001, 0), "Above 100%");
+            await expectRevert(news.setVerdictPolicy(0, 0, 10001), "Above 100%");
+            await expectRevert(news.connect(stranger).setVerdictPolicy(0, 0, 0), "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("verdict labels", function () {
+        beforeEach(async function () {
+            await (await news.setVotingParams(60, 3)).wait();
+        });
+
+        async function voteLabels(labels) {
+            const voters = [publisher, p2, p3];
+            for (let i = 0; i < labels.length; i++) {
+                await (await news.connect(voters[i]).voteLabel(HASH, labels[i], "")).wait();
+            }
+            await increaseTime(61);
+            await (await news.finalize(HASH)).wait();
+            return news.getArticle(HASH);
+        }
+
+        it("lists the built-in labels", async function () {
+            const labels = await news.getLabels();
+            expect(labels.map((l) => l.name)).to.deep.equal(
+                ["UnderReview", "VerifiedTrue", "MarkedFake", "Disputed", "Misleading", "Satire", "PartiallyTrue", "Unverifiable"]
+            );
+            expect(labels.map((l) => l.active)).to.deep.equal([false, true, true, false, true, true, true, true]);
+        });
+
+        it("finalizes on the plurality label", async function () {
+            const receipt = await (await news.connect(publisher).voteLabel(HASH, Status.Satire, "ipfs://parody")).wait();
+            expect(receipt.events.find((e) => e.event === "Voted").args.label).to.equal(Status.Satire);
+            await (await news.connect(p2).voteLabel(HASH, Status.Satire, "")).wait();
+            await (await news.connect(p3).vote(HASH, false, "")).wait();
+            await increaseTime(61);
+            await (await news.finalize(HASH)).wait();
+
+            const a = await news.getArticle(HASH);
+            expect(a.status).to.equal(Status.Satire);
+            expect(a.noVotes.toNumber()).to.equal(1);
+            expect((await news.labelVotes(HASH, Status.Satire)).toNumber()).to.equal(2);
+            expect(await news.confidence(HASH)).to.equal(3333); // 2-1
+            expect((await news.reputation(publisher.address)).agreedVotes.toNumber()).to.equal(1);
+            expect((await news.reputation(p3.address)).agreedVotes.toNumber()).to.equal(0);
+        });
+
+        it("marks Disputed when the lead is tied", async function () {
+            const a = await voteLabels([Status.Misleading, Status.PartiallyTrue, Status.Unverifiable]);
+            expect(a.status).to.equal(Status.Disputed);
+            expect(await news.confidence(HASH)).to.equal(0);
+        });
+
+        it("rejects outcome-only, unknown and retired labels", async function () {
+            await expectRevert(news.connect(publisher).voteLabel(HASH, Status.UnderReview, ""), "Invalid label");
+            await expectRevert(news.connect(publisher).voteLabel(HASH, Status.Disputed, ""), "Invalid label");
+            await expectRevert(news.connect(publisher).voteLabel(HASH, 8, ""), "Invalid label");
+            await (await news.setLabelActive(Status.Satire, false)).wait();
+            await expectRevert(news.connect(publisher).voteLabel(HASH, Status.Satire, ""), "Invalid label");
+        });
+
+        it("lets the owner add and retire labels", async function () {
+            const receipt = await (await news.addLabel("MissingContext")).wait();
+            const evt = receipt.events.find((e) => e.event === "LabelAdded");
+            expect(evt.args.id).to.equal(8);
+            expect(evt.args.name).to.equal("MissingContext");
+            expect(await news.isVotableLabel(8)).to.equal(true);
+
+            const a = await voteLabels([8, 8, Status.VerifiedTrue]);
+            expect(a.status).to.equal(8);
+
+            await expectRevert(news.setLabelActive(Status.Disputed, true), "Unknown label");
+            await expectRevert(news.setLabelActive(9, true), "Unknown label");
+            await expectRevert(news.addLabel(""), "Name required");
+            await expectRevert(news.connect(stranger).addLabel("Other"), "OwnableUnauthorizedAccount");
+            await expectRevert(news.connect(stranger).setLabelActive(4, false), "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("setVotingParams", function () {
+        it("updates votingPeriod and minVotes", async function () {
+            await (await news.setVotingParams(3600, 3)).wait();
+            expect((await news.votingPeriod()).toNumber()).to.equal(3600);
+            expect((await news.minVotes()).toNumber()).to.equal(3);
+        });
+
+        it("is owner only", async function () {
+            await expectRevert(news.connect(stranger).setVotingParams(1, 1), "OwnableUnauthorizedAccount");
+        });
+
+        it("applies to articles already under review", async function () {
+            await (await news.setVotingParams(0, 2)).wait();
+            await (await news.connect(publisher).vote(HASH, false, "")).wait();
+            expect((await news.getArticle(HASH)).finalized).to.equal(false);
+            await (await news.connect(p2).vote(HASH, false, "")).wait();
+            expect((await news.getArticle(HASH)).status).to.equal(Status.MarkedFake);
+        });
+    });
+
+    describe("finalize", function () {
+        beforeEach(async function () {
+            await (await news.setVotingParams(60, 1)).wait();
+            await (await news.connect(publisher).vote(HASH, false, "")).wait();
+        });
+
+        it("reverts while the voting period is running", async function () {
+            expect(await news.isFinalizable(HASH)).to.equal(false);
+            await expectRevert(news.connect(stranger).finalize(HASH), "Voting period not over");
+        });
+
+        it("lets anyone finalize once the period has elapsed", async function () {
+            await increaseTime(61);
+            expect(await news.isFinalizable(HASH)).to.equal(true);
+            await (await news.connect(stranger).finalize(HASH)).wait();
+            const a = await news.getArticle(HASH);
+            expect(a.status).to.equal(Status.MarkedFake);
+            expect(a.finalized).to.equal(true);
+            await expectRevert(news.connect(stranger).finalize(HASH), "Already finalized");
+        });
+
+        it("reverts without enough votes", async function () {
+            await (await news.setVotingParams(60, 2)).wait();
+            await increaseTime(61);
+            await expectRevert(news.connect(stranger).finalize(HASH), "Not enough votes");
+        });
+
+        it("finalizes a batch and skips hashes that are not finalizable", async function () {
+            await (await news.connect(stranger).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            await increaseTime(61);
+            const count = await news.callStatic.finalizeBatch([HASH, OTHER]);
+            expect(count.toNumber()).to.equal(1);
+            await (await news.connect(stranger).finalizeBatch([HASH, OTHER])).wait();
+            expect((await news.getArticle(HASH)).finalized).to.equal(true);
+            expect((await news.getArticle(OTHER)).finalized).to.equal(false);
+        });
+    });
+
+    describe("reputation", function () {
+        beforeEach(async function () {
+            await (await news.setVotingParams(60, 2)).wait();
+        });
+
+        it("scores voters against the final status", async function () {
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            await (await news.connect(p2).vote(HASH, false, "")).wait();
+            await (await news.connect(p3).vote(HASH, true, "")).wait();
+            await increaseTime(61);
+            await (await news.finalize(HASH)).wait();
+
+            const r = await news.reputation(publisher.address);
+            expect(r.scoredVotes.toNumber()).to.equal(1);
+            expect(r.agreedVotes.toNumber()).to.equal(1);
+            expect((await news.reputation(p2.address)).agreedVotes.toNumber()).to.equal(0);
+            expect((await news.reputationScore(publisher.address)).toNumber()).to.equal(10000);
+            expect((await news.reputationScore(p2.address)).toNumber()).to.equal(0);
+        });
+
+        it("does not score Disputed outcomes", async function () {
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            await (await news.connect(p2).vote(HASH, false, "")).wait();
+            await increaseTime(61);
+            await (await news.finalize(HASH)).wait();
+            expect((await news.reputation(publisher.address)).scoredVotes.toNumber()).to.equal(0);
+            expect((await news.reputation(p2.address)).scoredVotes.toNumber()).to.equal(0);
+        });
+
+        it("accumulates across articles", async function () {
+            await (await news.connect(stranger).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            for (const h of [HASH, OTHER]) {
+                await (await news.connect(p2).vote(h, false, "")).wait();
+                await (await news.connect(p3).vote(h, false, "")).wait();
+            }
+            await (await news.connect(publisher).vote(HASH, true, "")).wait();
+            await (await news.connect(publisher).vote(OTHER, false, "")).wait();
+            await increaseTime(61);
+            await (await news.finalizeBatch([HASH, OTHER])).wait();
+
+            const r = await news.reputation(publisher.address);
+            expect(r.scoredVotes.toNumber()).to.equal(2);
+            expect(r.agreedVotes.toNumber()).to.equal(1);
+            expect((await news.reputationScore(publisher.address)).toNumber()).to.equal(5000);
+        });
+    });
+
+    describe("reopening auto-verified articles", function () {
+        beforeEach(async function () {
+            await (await news.connect(publisher).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, publisher.address)).wait();
+        });
+
+        it("tracks articles auto-verified by a publisher", async function () {
+            expect(await news.autoVerified(OTHER)).to.equal(true);
+            expect(await news.autoVerified(HASH)).to.equal(false);
+            expect(await news.getAutoVerifiedBy(publisher.address)).to.deep.equal([OTHER]);
+        });
+
+        it("only reopens after removal for cause", async function () {
+            await (await pub.removePublisher(publisher.address)).wait();
+            expect(await news.canReopen(OTHER)).to.equal(false);
+            expect((await news.callStatic.reopenArticles([OTHER])).toNumber()).to.equal(0);
+        });
+
+        it("puts the article back under review with a fresh voting period", async function () {
+            await (await news.setVotingParams(60, 1)).wait();
+            await (await pub.removePublisherForCause(publisher.address, "Fabricated stories")).wait();
+            expect(await news.canReopen(OTHER)).to.equal(true);
+
+            const receipt = await (await news.connect(stranger).reopenArticles([OTHER, HASH])).wait();
+            const evt = receipt.events.find((e) => e.event === "ArticleReopened");
+            expect(evt.args.contentHash).to.equal(OTHER);
+            expect(evt.args.publisher).to.equal(publisher.address);
+
+            const a = await news.getArticle(OTHER);
+            expect(a.status).to.equal(Status.UnderReview);
+            expect(a.finalized).to.equal(false);
+            expect(await news.canReopen(OTHER)).to.equal(false);
+            const reopenedAt = (await news.reopenedAt(OTHER)).toNumber();
+            expect((await news.votingEndsAt(OTHER)).toNumber()).to.equal(reopenedAt + 60);
+
+            await (await news.connect(p2).vote(OTHER, false, "")).wait();
+            await increaseTime(61);
+            await (await news.finalize(OTHER)).wait();
+            expect((await news.getArticle(OTHER)).status).to.equal(Status.MarkedFake);
+        });
+    });
+
+    describe("article metadata", function () {
+        const tag = (t) => ethers.utils.formatBytes32String(t);
+        const EN = ethers.utils.hexlify(ethers.utils.toUtf8Bytes("en"));
+
+        beforeEach(async function () {
+            await (await pub.addCategory("politics")).wait();
+            await (await pub.addCategory("health")).wait();
+        });
+
+        it("stores category, language and tags and emits Categorized", async function () {
+            const meta = { category: 2, language: EN, tags: [tag("vaccines"), tag("who")] };
+            const receipt = await (await news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", meta, ethers.constants.AddressZero)).wait();
+            const evt = receipt.events.find((e) => e.event === "Categorized");
+            expect(evt.args.contentHash).to.equal(OTHER);
+            expect(evt.args.category).to.equal(2);
+            expect(evt.args.language).to.equal(EN);
+            expect(evt.args.tags).to.deep.equal(meta.tags);
+
+            const stored = await news.getArticleMeta(OTHER);
+            expect(stored.category).to.equal(2);
+            expect(stored.language).to.equal(EN);
+            expect(stored.tags).to.deep.equal(meta.tags);
+            expect((await news.categoryArticleCount(2)).toNumber()).to.equal(1);
+            expect(await news.getArticlesByCategory(2, 0, 10)).to.deep.equal([OTHER]);
+        });
+
+        it("leaves uncategorized submissions without metadata", async function () {
+            const receipt = await (await news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            expect(receipt.events.map((e) => e.event)).to.not.include("Categorized");
+            expect((await news.getArticleMeta(OTHER)).category).to.equal(0);
+            expect(await news.getArticlesByCategory(0, 0, 10)).to.deep.equal([]);
+        });
+
+        it("only accepts active categories and a few tags", async function () {
+            const meta = (category, tags = []) => ({ category, language: "0x0000", tags });
+            await expectRevert(news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", meta(3), ethers.constants.AddressZero), "Unknown category");
+            await (await pub.setCategoryActive(1, false)).wait();
+            await expectRevert(news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", meta(1), ethers.constants.AddressZero), "Unknown category");
+            const six = ["a", "b", "c", "d", "e", "f"].map(tag);
+            await expectRevert(news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", meta(2, six), ethers.constants.AddressZero), "Too many tags");
+        });
+
+        it("only accepts ASCII languages and zero-terminated ASCII tags", async function () {
+            const submit = (language, tags) => news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", { category: 0, language, tags }, ethers.constants.AddressZero);
+            await expectRevert(submit("0xc3a9", []), "Invalid language");
+            await expectRevert(submit(EN, [tag("caf\u00e9")]), "Invalid tag");
+            await expectRevert(submit(EN, ["0x" + "61".repeat(32)]), "Invalid tag");
+            await expectRevert(submit(EN, ["0x" + "ff".repeat(31) + "00"]), "Invalid tag");
+            await (await submit(EN, [tag("x".repeat(31))])).wait();
+            expect((await news.getArticleMeta(OTHER)).tags).to.deep.equal([tag("x".repeat(31))]);
+        });
+
+        it("only counts votes from publishers trusted for the article's category", async function () {
+            const meta = { category: 2, language: "0x0000", tags: [] };
+            await (await news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", meta, ethers.constants.AddressZero)).wait();
+            await (await pub.grantCategoryTrust(p2.address, 1)).wait();
+            await expectRevert(news.connect(p2).vote(OTHER, true, ""), "Not trusted for category");
+
+            await (await pub.grantCategoryTrust(p2.address, 2)).wait();
+            await (await news.connect(p2).vote(OTHER, true, "")).wait();
+            expect((await news.getArticle(OTHER)).status).to.equal(Status.VerifiedTrue);
+
+            // uncategorized articles stay open to every trusted publisher
+            await (await news.connect(p3).vote(HASH, false, "")).wait();
+        });
+
+        it("stops counting a publisher once its category trust is revoked", async function () {
+            await (await news.setVotingParams(0, 2)).wait();
+            await (await news.submitArticle(OTHER, 2, NO_FINGERPRINT, "", { category: 1, language: "0x0000", tags: [] }, ethers.constants.AddressZero)).wait();
+            await (await pub.grantCategoryTrust(p2.address, 1)).wait();
+            await (await pub.grantCategoryTrust(p3.address, 1)).wait();
+            await (await news.connect(p2).vote(OTHER, true, "")).wait();
+            await (await pub.revokeCategoryTrust(p3.address, 1)).wait();
+            await expectRevert(news.connect(p3).vote(OTHER, true, ""), "Not trusted for category");
+        });
+    });
+
+    describe("revisions", function () {
+        const V2 = ethers.utils.sha256(ethers.utils.toUtf8Bytes("another article, corrected"));
+        const V3 = ethers.utils.sha256(ethers.utils.toUtf8Bytes("another article, corrected twice"));
+
+        beforeEach(async function () {
+            await (await news.connect(publisher).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, publisher.address)).wait();
+        });
+
+        it("links the revision and carries the verdict forward", async function () {
+            const receipt = await (await news.connect(publisher).submitRevision(OTHER, V2, 2, NO_FINGERPRINT, "", NO_META, true)).wait();
+            const evt = receipt.events.find((e) => e.event === "Revised");
+            expect(evt.args.previousHash).to.equal(OTHER);
+            expect(evt.args.contentHash).to.equal(V2);
+            expect(evt.args.verdictCarried).to.equal(true);
+
+            const a = await news.getArticle(V2);
+            expect(a.status).to.equal(Status.VerifiedTrue);
+            expect(a.finalized).to.equal(true);
+            expect(a.publisher).to.equal(publisher.address);
+            expect(await news.previousVersion(V2)).to.equal(OTHER);
+            expect(await news.nextVersion(OTHER)).to.equal(V2);
+            // the carried auto-verification is reopened with the original
+            expect(await news.getAutoVerifiedBy(publisher.address)).to.deep.equal([OTHER, V2]);
+        });
+
+        it("sends the revision to review when the verdict is not carried", async function () {
+            await (await news.connect(publisher).submitRevision(OTHER, V2, 2, NO_FINGERPRINT, "", NO_META, false)).wait();
+            const a = await news.getArticle(V2);
+            expect(a.status).to.equal(Status.UnderReview);
+            expect(a.finalized).to.equal(false);
+            expect(await news.autoVerified(V2)).to.equal(false);
+        });
+
+        it("returns the whole chain from any version", async function () {
+            await (await news.connect(publisher).submitRevision(OTHER, V2, 2, NO_FINGERPRINT, "", NO_META, false)).wait();
+            await (await news.connect(publisher).submitRevision(V2, V3, 2, NO_FINGERPRINT, "", NO_META, false)).wait();
+            for (const h of [OTHER, V2, V3]) {
+                expect(await news.getVersionChain(h)).to.deep.equal([OTHER, V2, V3]);
+            }
+            expect(await news.getVersionChain(HASH)).to.deep.equal([HASH]);
+            expect(await news.getVersionChain(ethers.constants.HashZero)).to.deep.equal([]);
+        });
+
+        it("only lets the publisher revise the latest version", async function () {
+            await expectRevert(news.connect(stranger).submitRevision(OTHER, V2, 2, NO_FINGERPRINT, "", NO_META, false), "Not the publisher");
+            await expectRevert(news.connect(publisher).submitRevision(V3, V2, 2, NO_FINGERPRINT, "", NO_META, false), "Previous not submitted");
+            await (await news.connect(publisher).submitRevision(OTHER, V2, 2, NO_FINGERPRINT, "", NO_META, false)).wait();
+            await expectRevert(news.connect(publisher).submitRevision(OTHER, V3, 2, NO_FINGERPRINT, "", NO_META, false), "Already revised");
+        });
+
+        it("carries a verdict only from a finalized version by a trusted publisher", async function () {
+            await (await news.connect(publisher).submitRevision(OTHER, V2, 2, NO_FINGERPRINT, "", NO_META, false)).wait();
+            await expectRevert(news.connect(publisher).submitRevision(V2, V3, 2, NO_FINGERPRINT, "", NO_META, true), "Previous not finalized");
+            await (await news.connect(p2).vote(V2, true, "")).wait();
+            await (await pub.removePublisher(publisher.address)).wait();
+            await expectRevert(news.connect(publisher).submitRevision(V2, V3, 2, NO_FINGERPRINT, "", NO_META, true), "Not a trusted publisher");
+        });
+    });
+
+    describe("enumeration", function () {
+        const hashes = ["a", "b", "c", "d"].map((t) => ethers.utils.sha256(ethers.utils.toUtf8Bytes(t)));
+
+        beforeEach(async function () {
+            // HASH is already index 0 (stranger); a/b by stranger, c/d by publisher with auto-verify
+            await (await news.connect(stranger).submitArticle(hashes[0], 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            await (await news.connect(stranger).submitArticle(hashes[1], 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            await (await news.connect(publisher).submitArticle(hashes[2], 1, NO_FINGERPRINT, "", NO_META, publisher.address)).wait();
+            await (await news.connect(publisher).submitArticle(hashes[3], 1, NO_FINGERPRINT, "", NO_META, publisher.address)).wait();
+        });
+
+        it("keeps an ordered index", async function () {
+            expect((await news.articleCount()).toNumber()).to.equal(5);
+            expect(await news.articleHashes(0)).to.equal(HASH);
+            expect(await news.articleHashes(4)).to.equal(hashes[3]);
+        });
+
+        it("pages newest first", async function () {
+            expect(await news.getArticleHashes(0, 2)).to.deep.equal([hashes[3], hashes[2]]);
+            expect(await news.getArticleHashes(4, 2)).to.deep.equal([HASH]);
+            expect(await news.getArticleHashes(5, 2)).to.deep.equal([]);
+        });
+
+        it("pages by status", async function () {
+            expect(await news.getArticlesByStatus(Status.VerifiedTrue, 0, 10)).to.deep.equal([hashes[3], hashes[2]]);
+            expect(await news.getArticlesByStatus(Status.UnderReview, 1, 2)).to.deep.equal([hashes[0], HASH]);
+            expect(await news.getArticlesByStatus(Status.MarkedFake, 0, 10)).to.deep.equal([]);
+        });
+
+        it("pages by submitter", async function () {
+            expect((await news.submitterArticleCount(stranger.address)).toNumber()).to.equal(3);
+            expect(await news.getArticlesBySubmitter(stranger.address, 0, 2)).to.deep.equal([hashes[1], hashes[0]]);
+            expect(await news.getArticlesBySubmitter(publisher.address, 1, 5)).to.deep.equal([hashes[2]]);
+        });
+    });
+
+    describe("stake-weighted voting", function () {
+        const ONE = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            // 25% of a losing stake goes to the winning side
+            await (await news.setStakeParams(true, ethers.utils.parseEther("0.1"), 2500)).wait();
+            await (await news.setVotingParams(60, 3)).wait();
+            await (await news.connect(stranger).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+        });
+
+        it("only applies to articles submitted after enabling", async function () {
+            expect((await news.stakePools(HASH)).enabled).to.equal(false);
+            expect((await news.stakePools(OTHER)).enabled).to.equal(true);
+            await expectRevert(news.connect(publisher).vote(HASH, true, "", { value: ONE }), "Staking not enabled");
+        });
+
+        it("requires the minimum stake", async function () {
+            await expectRevert(news.connect(publisher).vote(OTHER, true, ""), "Stake too low");
+            await expectRevert(
+                news.connect(publisher).vote(OTHER, true, "", { value: ethers.utils.parseEther("0.05") }),
+                "Stake too low"
+            );
+        });
+
+        it("weights tallies by stake and counts voters for minVotes", async function () {
+            await (await news.connect(publisher).vote(OTHER, true, "", { value: ONE })).wait();
+            await (await news.connect(p2).vote(OTHER, false, "", { value: ONE.mul(3) })).wait();
+            const a = await news.getArticle(OTHER);
+            expect(a.yesVotes).to.deep.equal(ONE);
+            expect(a.noVotes).to.deep.equal(ONE.mul(3));
+            expect((await news.voterCount(OTHER)).toNumber()).to.equal(2);
+            expect(await news.stakeOf(OTHER, p2.address)).to.deep.equal(ONE.mul(3));
+        });
+
+        it("slashes the losing side in favour of the winners", async function () {
+            await (await news.connect(publisher).vote(OTHER, true, "", { value: ONE })).wait();
+            await (await news.connect(p2).vote(OTHER, false, "", { value: ONE.mul(3) })).wait();
+            await (await news.connect(p3).vote(OTHER, false, "", { value: ONE })).wait();
+            await increaseTime(61);
+            await (await news.finalize(OTHER)).wait();
+            expect((await news.getArticle(OTHER)).status).to.equal(Status.MarkedFake);
+
+            // loser keeps 75%; the 0.25 ETH pool is split 3:1 among the winners
+            expect(await news.claimableStake(OTHER, publisher.address)).to.deep.equal(ethers.utils.parseEther("0.75"));
+            expect(await news.claimableStake(OTHER, p2.address)).to.deep.equal(ethers.utils.parseEther("3.1875"));
+            expect(await news.claimableStake(OTHER, p3.address)).to.deep.equal(ethers.utils.parseEther("1.0625"));
+
+            const before = await p2.getBalance();
+            const receipt = await (await news.connect(p2).claimStake(OTHER)).wait();
+            const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+            expect((await p2.getBalance()).sub(before).add(gas)).to.deep.equal(ethers.utils.parseEther("3.1875"));
+            await expectRevert(news.connect(p2).claimStake(OTHER), "Nothing to claim");
+
+            await (await news.connect(publisher).claimStake(OTHER)).wait();
+            await (await news.connect(p3).claimStake(OTHER)).wait();
+            expect(await ethers.provider.getBalance(news.address)).to.deep.equal(ethers.constants.Zero);
+        });
+
+        it("refunds everyone on a Disputed outcome", async function () {
+            await (await news.connect(publisher).vote(OTHER, true, "", { value: ONE })).wait();
+            await (await news.connect(p2).vote(OTHER, false, "", { value: ONE })).wait();
+            await (await news.setVotingParams(60, 2)).wait();
+            await increaseTime(61);
+            await (await news.finalize(OTHER)).wait();
+            expect((await news.getArticle(OTHER)).status).to.equal(Status.Disputed);
+            expect(await news.claimableStake(OTHER, publisher.address)).to.deep.equal(ONE);
+            expect(await news.claimableStake(OTHER, p2.address)).to.deep.equal(ONE);
+        });
+
+        it("refunds everyone when the plurality misses the margin rule", async function () {
+            // 3 ETH to 2 is a 20% margin, short of the 30% required
+            await (await news.setVerdictPolicy(0, 0, 3000)).wait();
+            await (await news.connect(publisher).vote(OTHER, true, "", { value: ONE.mul(2) })).wait();
+            await (await news.connect(p2).vote(OTHER, false, "", { value: ONE.mul(3) })).wait();
+            await (await news.setVotingParams(60, 2)).wait();
+            await increaseTime(61);
+            await (await news.finalize(OTHER)).wait();
+            expect((await news.getArticle(OTHER)).status).to.equal(Status.Disputed);
+            expect((await news.stakePools(OTHER)).disputed).to.equal(true);
+            expect(await news.claimableStake(OTHER, publisher.address)).to.deep.equal(ONE.mul(2));
+            expect(await news.claimableStake(OTHER, p2.address)).to.deep.equal(ONE.mul(3));
+
+            await (await news.connect(publisher).claimStake(OTHER)).wait();
+            await (await news.connect(p2).claimStake(OTHER)).wait();
+            expect(await ethers.provider.getBalance(news.address)).to.deep.equal(ethers.constants.Zero);
+        });
+
+        it("locks stakes until finalization", async function () {
+            await (await news.connect(publisher).vote(OTHER, true, "", { value: ONE })).wait();
+            await expectRevert(news.connect(publisher).claimStake(OTHER), "Not finalized");
+        });
+
+        it("caps slashing at 100%", async function () {
+            await expectRevert(news.setStakeParams(true, 0, 10001), "Slash above 100%");
+        });
+    });
+
+    describe("commit-reveal voting", function () {
+        const SALT = ethers.utils.formatBytes32String("salt");
+        let cr;
+
+        async function commit(signer, label, overrides = {}) {
+            const c = await cr.commitmentFor(HASH, signer.address, label, SALT);
+            await (await cr.connect(signer).commitVote(HASH, c, overrides)).wait();
+        }
+
+        beforeEach(async function () {
+            const News = await ethers.getContractFactory("NewsRegistry");
+            cr = await News.deploy(pub.address, 60, 1, true, 60);
+            await cr.deployed();
+            await (await cr.connect(stranger).submitArticle(HASH, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+        });
+
+        it("rejects plain votes", async function () {
+            await expectRevert(cr.connect(publisher).vote(HASH, true, ""), "Use commitVote");
+        });
+
+        it("hides choices until the reveal phase", async function () {
+            await commit(publisher, Status.MarkedFake);
+            const a = await cr.getArticle(HASH);
+            expect(a.yesVotes.toNumber() + a.noVotes.toNumber()).to.equal(0);
+            expect(await cr.hasVoted(HASH, publisher.address)).to.equal(true);
+            await expectRevert(cr.connect(publisher).revealVote(HASH, Status.MarkedFake, SALT, ""), "Not in reveal phase");
+        });
+
+        it("rejects commits after the commit phase", async function () {
+            await increaseTime(61);
+            await expectRevert(
+                cr.connect(publisher).commitVote(HASH, ethers.utils.formatBytes32String("x")),
+                "Commit phase over"
+            );
+        });
+
+        it("tallies revealed votes and finalizes after the reveal window", async function () {
+            await commit(publisher, Status.MarkedFake);
+            await commit(p2, Status.MarkedFake);
+            await commit(p3, Status.VerifiedTrue);
+            await increaseTime(61);
+            await expectRevert(cr.connect(publisher).revealVote(HASH, Status.VerifiedTrue, SALT, ""), "Commitment mismatch");
+            await (await cr.connect(publisher).revealVote(HASH, Status.MarkedFake, SALT, "ipfs://why")).wait();
+            await (await cr.connect(p3).revealVote(HASH, Status.VerifiedTrue, SALT, "")).wait();
+            expect((await cr.getVote(HASH, publisher.address)).rationale).to.equal("ipfs://why");
+            await expectRevert(cr.connect(publisher).revealVote(HASH, Status.MarkedFake, SALT, ""), "Already revealed");
+            await expectRevert(cr.finalize(HASH), "Voting period not over");
+
+            await increaseTime(60);
+            await expectRevert(cr.connect(p2).revealVote(HASH, Status.MarkedFake, SALT, ""), "Not in reveal phase");
+            await (await cr.finalize(HASH)).wait();
+            const a = await cr.getArticle(HASH);
+            // p2 never revealed, so the 1-1 split is Disputed
+            expect(a.status).to.equal(Status.Disputed);
+            expect((await cr.voterCount(HASH)).toNumber()).to.equal(2);
+        });
+
+        it("slashes the stake of unrevealed commits", async function () {
+            const ONE = ethers.utils.parseEther("1");
+            await (await cr.setStakeParams(true, 0, 5000)).wait();
+            await (await cr.connect(stranger).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            const commitOther = async (signer, label) => {
+                const c = await cr.commitmentFor(OTHER, signer.address, label, SALT);
+                await (await cr.connect(signer).commitVote(OTHER, c, { value: ONE })).wait();
+            };
+            await commitOther(publisher, Status.VerifiedTrue);
+            await commitOther(p2, Status.MarkedFake);
+            await increaseTime(61);
+            await (await cr.connect(publisher).revealVote(OTHER, Status.VerifiedTrue, SALT, "")).wait();
+            await increaseTime(60);
+            await (await cr.finalize(OTHER)).wait();
+
+            expect((await cr.getArticle(OTHER)).status).to.equal(Status.VerifiedTrue);
+            expect(await cr.claimableStake(OTHER, p2.address)).to.deep.equal(ethers.utils.parseEther("0.5"));
+            expect(await cr.claimableStake(OTHER, publisher.address)).to.deep.equal(ethers.utils.parseEther("1.5"));
+        });
+
+        it("rejects reveals after finalization, even when the reveal window is reopened", async function () {
+            const ONE = ethers.utils.parseEther("1");
+            await (await cr.setStakeParams(true, 0, 5000)).wait();
+            await (await cr.connect(stranger).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            const commitOther = async (signer, label) => {
+                const c = await cr.commitmentFor(OTHER, signer.address, label, SALT);
+                await (await cr.connect(signer).commitVote(OTHER, c, { value: ONE })).wait();
+            };
+            await commitOther(publisher, Status.VerifiedTrue);
+            await commitOther(p2, Status.MarkedFake);
+            await commitOther(p3, Status.MarkedFake);
+            await increaseTime(61);
+            await (await cr.connect(publisher).revealVote(OTHER, Status.VerifiedTrue, SALT, "")).wait();
+            await increaseTime(60);
+            await (await cr.finalize(OTHER)).wait();
+            await (await cr.connect(publisher).claimStake(OTHER)).wait();
+
+            // a longer reveal period puts the article back inside its reveal window
+            await (await cr.setRevealPeriod(3600)).wait();
+            await expectRevert(cr.connect(p2).revealVote(OTHER, Status.MarkedFake, SALT, ""), "Already finalized");
+            expect((await cr.getArticle(OTHER)).status).to.equal(Status.VerifiedTrue);
+            expect((await cr.getArticle(OTHER)).noVotes).to.deep.equal(ethers.constants.Zero);
+
+            // claims come from the pool recorded at finalization: winner 1 ETH, 2 ETH unrevealed
+            const pool = await cr.stakePools(OTHER);
+            expect(pool.winner).to.equal(Status.VerifiedTrue);
+            expect(pool.winningStake).to.deep.equal(ONE);
+            expect(pool.losingStake).to.deep.equal(ONE.mul(2));
+            await (await cr.connect(p2).claimStake(OTHER)).wait();
+            await (await cr.connect(p3).claimStake(OTHER)).wait();
+            expect(await ethers.provider.getBalance(cr.address)).to.deep.equal(ethers.constants.Zero);
+        });
+
+        it("closes a staked article that nobody revealed as Disputed and refunds the stakes", async function () {
+            const ONE = ethers.utils.parseEther("1");
+            await (await cr.setStakeParams(true, 0, 5000)).wait();
+            await (await cr.connect(stranger).submitArticle(OTHER, 1, NO_FINGERPRINT, "", NO_META, ethers.constants.AddressZero)).wait();
+            const c = await cr.commitmentFor(OTHER, p2.address, Status.MarkedFake, SALT);
+            await (await cr.connect(p2).commitVote(OTHER, c, { value: ONE })).wait();
+            await increaseTime(61);
+            expect(await cr.isFinalizable(OTHER)).to.equal(false);
+            await increaseTime(60);
+
+            expect(await cr.isFinalizable(OTHER)).to.equal(true);
+            await (await cr.connect(stranger).finalize(OTHER)).wait();
+            expect((await cr.getArticle(OTHER)).status).to.equal(Status.Disputed);
+            expect(await cr.claimableStake(OTHER, p2.address)).to.deep.equal(ONE);
+            await (await cr.connect(p2).claimStake(OTHER)).wait();
+            expect(await ethers.provider.getBalance(cr.address)).to.deep.equal(ethers.constants.Zero);
+        });
+    });
+});
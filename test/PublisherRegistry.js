@@ -0,0 +1,338 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { expectRevert, increaseTime } = require("./helpers");
+
+describe("PublisherRegistry", function () {
+    let pub, owner, publisher, stranger;
+
+    beforeEach(async function () {
+        [owner, publisher, stranger] = await ethers.getSigners();
+        const Pub = await ethers.getContractFactory("PublisherRegistry");
+        pub = await Pub.deploy();
+        await pub.deployed();
+    });
+
+    it("sets the deployer as owner", async function () {
+        expect(await pub.owner()).to.equal(owner.address);
+    });
+
+    describe("addPublisher", function () {
+        it("trusts the publisher and emits PublisherAdded", async function () {
+            const receipt = await (await pub.addPublisher(publisher.address)).wait();
+            const evt = receipt.events.find((e) => e.event === "PublisherAdded");
+            expect(evt.args.publisher).to.equal(publisher.address);
+            expect(await pub.isTrusted(publisher.address)).to.equal(true);
+            expect(await pub.trustStatus(publisher.address)).to.equal(true);
+        });
+
+        it("rejects an already trusted publisher", async function () {
+            await (await pub.addPublisher(publisher.address)).wait();
+            await expectRevert(pub.addPublisher(publisher.address), "Already trusted");
+        });
+
+        it("is owner only", async function () {
+            await expectRevert(pub.connect(stranger).addPublisher(stranger.address), "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("removePublisher", function () {
+        beforeEach(async function () {
+            await (await pub.addPublisher(publisher.address)).wait();
+        });
+
+        it("untrusts the publisher and emits PublisherRemoved", async function () {
+            const receipt = await (await pub.removePublisher(publisher.address)).wait();
+            const evt = receipt.events.find((e) => e.event === "PublisherRemoved");
+            expect(evt.args.publisher).to.equal(publisher.address);
+            expect(await pub.isTrusted(publisher.address)).to.equal(false);
+        });
+
+        it("rejects an untrusted address", async function () {
+            await expectRevert(pub.removePublisher(stranger.address), "Not trusted");
+        });
+
+        it("is owner only", async function () {
+            await expectRevert(pub.connect(stranger).removePublisher(publisher.address), "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("trust states", function () {
+        const TrustState = { None: 0, Active: 1, Suspended: 2, Removed: 3 };
+
+        beforeEach(async function () {
+            await (await pub.addPublisher(publisher.address)).wait();
+        });
+
+        it("stops trusting after the expiry", async function () {
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            await (await pub.setTrustExpiry(publisher.address, now + 100)).wait();
+            expect(await pub.isTrusted(publisher.address)).to.equal(true);
+            await increaseTime(101);
+            expect(await pub.isTrusted(publisher.address)).to.equal(false);
+            expect(await pub.trustState(publisher.address)).to.equal(TrustState.Active);
+
+            // re-adding an expired publisher clears the expiry
+            await (await pub.addPublisher(publisher.address)).wait();
+            expect(await pub.isTrusted(publisher.address)).to.equal(true);
+            expect((await pub.trustExpiresAt(publisher.address)).toNumber()).to.equal(0);
+        });
+
+        it("validates expiry updates", async function () {
+            await expectRevert(pub.setTrustExpiry(publisher.address, 1), "Expiry in the past");
+            await expectRevert(pub.setTrustExpiry(stranger.address, 0), "Not trusted");
+            await expectRevert(pub.connect(stranger).setTrustExpiry(publisher.address, 0), "OwnableUnauthorizedAccount");
+        });
+
+        it("suspends and reinstates", async function () {
+            const receipt = await (await pub.suspendPublisher(publisher.address, "Under investigation")).wait();
+            expect(receipt.events.find((e) => e.event === "PublisherSuspended").args.reason).to.equal("Under investigation");
+            expect(await pub.trustState(publisher.address)).to.equal(TrustState.Suspended);
+            expect(await pub.isTrusted(publisher.address)).to.equal(false);
+            await expectRevert(pub.suspendPublisher(publisher.address, ""), "Not active");
+            await expectRevert(pub.addPublisher(publisher.address), "Suspended");
+            await expectRevert(pub.connect(publisher).applyAsPublisher("Planet", "", ""), "Suspended");
+
+            await (await pub.reinstatePublisher(publisher.address)).wait();
+            expect(await pub.isTrusted(publisher.address)).to.equal(true);
+            await expectRevert(pub.reinstatePublisher(publisher.address), "Not suspended");
+        });
+
+        it("removes a suspended publisher", async function () {
+            await (await pub.suspendPublisher(publisher.address, "")).wait();
+            await (await pub.removePublisher(publisher.address)).wait();
+            expect(await pub.trustState(publisher.address)).to.equal(TrustState.Removed);
+            expect(await pub.removedForCause(publisher.address)).to.equal(false);
+        });
+
+        it("records removal for cause until the publisher is added again", async function () {
+            await expectRevert(pub.removePublisherForCause(publisher.address, ""), "Reason required");
+            const receipt = await (await pub.removePublisherForCause(publisher.address, "Fabricated stories")).wait();
+            expect(receipt.events.map((e) => e.event)).to.include.members(["PublisherRemoved", "PublisherRemovedForCause"]);
+            expect(await pub.removedForCause(publisher.address)).to.equal(true);
+            expect(await pub.isTrusted(publisher.address)).to.equal(false);
+
+            await (await pub.addPublisher(publisher.address)).wait();
+            expect(await pub.removedForCause(publisher.address)).to.equal(false);
+        });
+    });
+
+    describe("profiles", function () {
+        beforeEach(async function () {
+            await (await pub.addPublisher(publisher.address)).wait();
+        });
+
+        it("records when and by whom a publisher was added", async function () {
+            const p = await pub.getProfile(publisher.address);
+            expect(p.addedBy).to.equal(owner.address);
+            expect(p.addedAt.toNumber()).to.be.greaterThan(0);
+            expect(p.name).to.equal("");
+        });
+
+        it("lets the publisher and the owner update the profile", async function () {
+            const receipt = await (await pub.connect(publisher).updateProfile(publisher.address, "Daily Planet", "planet.example", "ipfs://logo")).wait();
+            expect(receipt.events.find((e) => e.event === "ProfileUpdated").args.name).to.equal("Daily Planet");
+            await (await pub.updateProfile(publisher.address, "The Daily Planet", "planet.example", "")).wait();
+            const p = await pub.getProfile(publisher.address);
+            expect(p.name).to.equal("The Daily Planet");
+            expect(p.domain).to.equal("planet.example");
+            expect(p.logoURI).to.equal("");
+        });
+
+        it("rejects other callers, non-publishers and empty names", async function () {
+            await expectRevert(pub.connect(stranger).updateProfile(publisher.address, "X", "", ""), "Not publisher or owner");
+            await expectRevert(pub.connect(stranger).updateProfile(stranger.address, "X", "", ""), "Not a publisher");
+            await expectRevert(pub.connect(publisher).updateProfile(publisher.address, "", "", ""), "Name required");
+        });
+
+        it("keeps the profile after removal", async function () {
+            await (await pub.connect(publisher).updateProfile(publisher.address, "Daily Planet", "", "")).wait();
+            await (await pub.removePublisher(publisher.address)).wait();
+            expect((await pub.getProfile(publisher.address)).name).to.equal("Daily Planet");
+        });
+    });
+
+    describe("applications", function () {
+        const AppStatus = { None: 0, Pending: 1, Approved: 2, Rejected: 3 };
+
+        beforeEach(async function () {
+            await (await pub.connect(stranger).applyAsPublisher("Daily Planet", "https://planet.example", "mailto:desk@planet.example")).wait();
+        });
+
+        it("records a pending application", async function () {
+            const app = await pub.getApplication(stranger.address);
+            expect(app.orgName).to.equal("Daily Planet");
+            expect(app.website).to.equal("https://planet.example");
+            expect(app.contactURI).to.equal("mailto:desk@planet.example");
+            expect(app.status).to.equal(AppStatus.Pending);
+            expect(await pub.getApplicants()).to.deep.equal([stranger.address]);
+        });
+
+        it("rejects duplicate, nameless and already trusted applications", async function () {
+            await expectRevert(pub.connect(stranger).applyAsPublisher("Daily Planet", "", ""), "Application pending");
+            await expectRevert(pub.connect(publisher).applyAsPublisher("", "", ""), "Name required");
+            await (await pub.addPublisher(publisher.address)).wait();
+            await expectRevert(pub.connect(publisher).applyAsPublisher("Bugle", "", ""), "Already trusted");
+        });
+
+        it("trusts the applicant on approval", async function () {
+            const receipt = await (await pub.approveApplication(stranger.address)).wait();
+            expect(receipt.events.map((e) => e.event)).to.include.members(["PublisherAdded", "ApplicationApproved"]);
+            expect(await pub.isTrusted(stranger.address)).to.equal(true);
+            expect((await pub.getApplication(stranger.address)).status).to.equal(AppStatus.Approved);
+            const profile = await pub.getProfile(stranger.address);
+            expect(profile.name).to.equal("Daily Planet");
+            expect(profile.domain).to.equal("https://planet.example");
+            await expectRevert(pub.approveApplication(stranger.address), "No pending application");
+        });
+
+        it("stores the rejection reason and allows reapplying", async function () {
+            await expectRevert(pub.rejectApplication(stranger.address, ""), "Reason required");
+            await (await pub.rejectApplication(stranger.address, "Website unreachable")).wait();
+            const app = await pub.getApplication(stranger.address);
+            expect(app.status).to.equal(AppStatus.Rejected);
+            expect(app.reason).to.equal("Website unreachable");
+            expect(await pub.isTrusted(stranger.address)).to.equal(false);
+
+            await (await pub.connect(stranger).applyAsPublisher("Daily Planet", "https://planet.example", "")).wait();
+            expect((await pub.getApplication(stranger.address)).status).to.equal(AppStatus.Pending);
+            expect((await pub.getApplication(stranger.address)).reason).to.equal("");
+            expect(await pub.getApplicants()).to.deep.equal([stranger.address]);
+        });
+
+        it("is owner only", async function () {
+            await expectRevert(pub.connect(stranger).approveApplication(stranger.address), "OwnableUnauthorizedAccount");
+            await expectRevert(pub.connect(stranger).rejectApplication(stranger.address, "no"), "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("categories", function () {
+        it("adds categories with sequential ids", async function () {
+            const receipt = await (await pub.addCategory("politics")).wait();
+            const evt = receipt.events.find((e) => e.event === "CategoryAdded");
+            expect(evt.args.id).to.equal(1);
+            expect(evt.args.name).to.equal("politics");
+            await (await pub.addCategory("health")).wait();
+
+            const all = await pub.getCategories();
+            expect(all.map((c) => [c.name, c.active])).to.deep.equal([["politics", true], ["health", true]]);
+            expect(await pub.categoryIdByName(ethers.utils.id("health"))).to.equal(2);
+            expect(await pub.isActiveCategory(2)).to.equal(true);
+            expect(await pub.isActiveCategory(0)).to.equal(false);
+            expect(await pub.isActiveCategory(3)).to.equal(false);
+        });
+
+        it("rejects empty and duplicate names", async function () {
+            await (await pub.addCategory("health")).wait();
+            await expectRevert(pub.addCategory(""), "Name required");
+            await expectRevert(pub.addCategory("health"), "Category exists");
+        });
+
+        it("retires and restores a category", async function () {
+            await (await pub.addCategory("health")).wait();
+            await (await pub.setCategoryActive(1, false)).wait();
+            expect(await pub.isActiveCategory(1)).to.equal(false);
+            expect((await pub.getCategories())[0].name).to.equal("health");
+            await (await pub.setCategoryActive(1, true)).wait();
+            expect(await pub.isActiveCategory(1)).to.equal(true);
+            await expectRevert(pub.setCategoryActive(2, true), "Unknown category");
+        });
+
+        it("is owner only", async function () {
+            await expectRevert(pub.connect(stranger).addCategory("health"), "OwnableUnauthorizedAccount");
+            await expectRevert(pub.connect(stranger).setCategoryActive(1, false), "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("category trust", function () {
+        beforeEach(async function () {
+            await (await pub.addCategory("politics")).wait();
+            await (await pub.addCategory("health")).wait();
+            await (await pub.addPublisher(publisher.address)).wait();
+        });
+
+        it("grants and revokes trust per category", async function () {
+            const receipt = await (await pub.grantCategoryTrust(publisher.address, 2)).wait();
+            const evt = receipt.events.find((e) => e.event === "CategoryTrustGranted");
+            expect(evt.args.publisher).to.equal(publisher.address);
+            expect(evt.args.category).to.equal(2);
+            expect(await pub.categoryTrust(publisher.address, 2)).to.equal(true);
+            expect(await pub.isTrustedFor(publisher.address, 2)).to.equal(true);
+            expect(await pub.isTrustedFor(publisher.address, 1)).to.equal(false);
+            expect(await pub.isTrustedFor(publisher.address, 0)).to.equal(true);
+            expect(await pub.getPublisherCategories(publisher.address)).to.deep.equal([2]);
+
+            await (await pub.revokeCategoryTrust(publisher.address, 2)).wait();
+            expect(await pub.isTrustedFor(publisher.address, 2)).to.equal(false);
+            expect(await pub.getPublisherCategories(publisher.address)).to.deep.equal([]);
+        });
+
+        it("only counts while the publisher is trusted", async function () {
+            await (await pub.grantCategoryTrust(publisher.address, 1)).wait();
+            await (await pub.suspendPublisher(publisher.address, "review")).wait();
+            expect(await pub.isTrustedFor(publisher.address, 1)).to.equal(false);
+            await (await pub.reinstatePublisher(publisher.address)).wait();
+            expect(await pub.isTrustedFor(publisher.address, 1)).to.equal(true);
+        });
+
+        it("validates grants and revocations", async function () {
+            await expectRevert(pub.grantCategoryTrust(stranger.address, 1), "Not a publisher");
+            await expectRevert(pub.grantCategoryTrust(publisher.address, 0), "Unknown category");
+            await expectRevert(pub.grantCategoryTrust(publisher.address, 3), "Unknown category");
+            await (await pub.grantCategoryTrust(publisher.address, 1)).wait();
+            await expectRevert(pub.grantCategoryTrust(publisher.address, 1), "Already granted");
+            await expectRevert(pub.revokeCategoryTrust(publisher.address, 2), "Not granted");
+        });
+
+        it("counts eligible voters per category", async function () {
+            await (await pub.addPublisher(stranger.address)).wait();
+            expect((await pub.eligibleVoters(0)).toNumber()).to.equal(2);
+            await (await pub.grantCategoryTrust(publisher.address, 1)).wait();
+            expect((await pub.eligibleVoters(1)).toNumber()).to.equal(1);
+            expect((await pub.eligibleVoters(2)).toNumber()).to.equal(0);
+            await (await pub.revokeCategoryTrust(publisher.address, 1)).wait();
+            expect((await pub.eligibleVoters(1)).toNumber()).to.equal(0);
+
+            await (await pub.suspendPublisher(stranger.address, "review")).wait();
+            expect((await pub.eligibleVoters(0)).toNumber()).to.equal(1);
+            await (await pub.reinstatePublisher(stranger.address)).wait();
+            await (await pub.removePublisher(publisher.address)).wait();
+            expect((await pub.eligibleVoters(0)).toNumber()).to.equal(1);
+            await (await pub.addPublisher(publisher.address)).wait();
+            expect((await pub.eligibleVoters(0)).toNumber()).to.equal(2);
+        });
+
+        it("only counts grants of publishers trusted right now", async function () {
+            await (await pub.addPublisher(stranger.address)).wait();
+            await (await pub.grantCategoryTrust(publisher.address, 1)).wait();
+            await (await pub.grantCategoryTrust(stranger.address, 1)).wait();
+            expect((await pub.eligibleVoters(1)).toNumber()).to.equal(2);
+
+            await (await pub.suspendPublisher(publisher.address, "review")).wait();
+            expect((await pub.eligibleVoters(1)).toNumber()).to.equal(1);
+            await (await pub.reinstatePublisher(publisher.address)).wait();
+            await (await pub.removePublisher(stranger.address)).wait();
+            expect((await pub.eligibleVoters(1)).toNumber()).to.equal(1);
+
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            await (await pub.setTrustExpiry(publisher.address, now + 100)).wait();
+            await increaseTime(101);
+            await expectRevert(pub.settleExpiry(stranger.address), "Not expired");
+            await (await pub.connect(stranger).settleExpiry(publisher.address)).wait();
+            expect((await pub.eligibleVoters(1)).toNumber()).to.equal(0);
+            expect((await pub.eligibleVoters(0)).toNumber()).to.equal(0);
+            await expectRevert(pub.settleExpiry(publisher.address), "Not expired");
+
+            // granting while not counted leaves the count alone until the publisher is trusted again
+            await (await pub.revokeCategoryTrust(publisher.address, 1)).wait();
+            await (await pub.grantCategoryTrust(publisher.address, 1)).wait();
+            expect((await pub.eligibleVoters(1)).toNumber()).to.equal(0);
+            await (await pub.addPublisher(publisher.address)).wait();
+            expect((await pub.eligibleVoters(1)).toNumber()).to.equal(1);
+        });
+
+        it("is owner only", async function () {
+            await expectRevert(pub.connect(stranger).grantCategoryTrust(publisher.address, 1), "OwnableUnauthorizedAccount");
+            await expectRevert(pub.connect(stranger).revokeCategoryTrust(publisher.address, 1), "OwnableUnauthorizedAccount");
+        });
+    });
+});
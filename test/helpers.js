@@ -0,0 +1,29 @@
+const { expect } = require("chai");
+
+// Awaits a transaction promise and asserts it reverted with the given reason string.
+async function expectRevert(promise, reason) {
+    try {
+        const tx = await promise;
+        await tx.wait();
+    } catch (err) {
+        const msg = err?.error?.message || err?.message || String(err);
+        expect(msg).to.include(reason);
+        return;
+    }
+    expect.fail(`Expected revert with "${reason}"`);
+}
+
+// Moves the in-process Hardhat network clock forward and mines a block.
+async function increaseTime(seconds) {
+    const { network } = require("hardhat");
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+}
+
+// bytes8 fingerprint argument for submissions without article text
+const NO_FINGERPRINT = "0x0000000000000000";
+
+// NewsRegistry.ArticleMeta argument for uncategorized submissions
+const NO_META = { category: 0, language: "0x0000", tags: [] };
+
+module.exports = { expectRevert, increaseTime, NO_FINGERPRINT, NO_META };